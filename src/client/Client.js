@@ -9,6 +9,7 @@ const { authenticator } = require('otplib');
 const BaseClient = require('./BaseClient');
 const ActionsManager = require('./actions/ActionsManager');
 const ClientVoiceManager = require('./voice/ClientVoiceManager');
+const TransportDecompressor = require('./websocket/TransportDecompressor');
 const WebSocketManager = require('./websocket/WebSocketManager');
 const { Error, TypeError } = require('../errors');
 const BaseGuildEmojiManager = require('../managers/BaseGuildEmojiManager');
@@ -19,6 +20,7 @@ const DeveloperManager = require('../managers/DeveloperManager');
 const GuildManager = require('../managers/GuildManager');
 const PresenceManager = require('../managers/PresenceManager');
 const QuestManager = require('../managers/QuestManager');
+const ReadStateManager = require('../managers/ReadStateManager');
 const RelationshipManager = require('../managers/RelationshipManager');
 const SessionManager = require('../managers/SessionManager');
 const UserManager = require('../managers/UserManager');
@@ -29,6 +31,7 @@ const ClientPresence = require('../structures/ClientPresence');
 const GuildPreview = require('../structures/GuildPreview');
 const GuildTemplate = require('../structures/GuildTemplate');
 const Invite = require('../structures/Invite');
+const SoundboardSound = require('../structures/SoundboardSound');
 const { Sticker } = require('../structures/Sticker');
 const StickerPack = require('../structures/StickerPack');
 const VoiceRegion = require('../structures/VoiceRegion');
@@ -40,6 +43,7 @@ const DataResolver = require('../util/DataResolver');
 const Intents = require('../util/Intents');
 const DiscordAuthWebsocket = require('../util/RemoteAuth');
 const Sweepers = require('../util/Sweepers');
+const Util = require('../util/Util');
 const TOKEN_PREFIX_REGEX = /^(Bot|Bearer)\s*/i;
 const INVITE_ROUTE_FALLBACK_STATUSES = new Set([404, 405, 501]);
 const INVITE_NOT_FOUND_API_CODE = 10006;
@@ -171,6 +175,12 @@ class Client extends BaseClient {
      */
     this.notes = new UserNoteManager(this);
 
+    /**
+     * The read states of the channels of the client user
+     * @type {ReadStateManager}
+     */
+    this.readStates = new ReadStateManager(this);
+
     /**
      * All of the relationships {@link User}
      * @type {RelationshipManager}
@@ -603,6 +613,20 @@ class Client extends BaseClient {
     const data = await this.api('sticker-packs').get();
     return new Collection(data.sticker_packs.map(p => [p.id, new StickerPack(this, p)]));
   }
+
+  /**
+   * Obtains the default soundboard sounds, available in every guild.
+   * @returns {Promise<Collection<Snowflake, SoundboardSound>>}
+   * @example
+   * client.fetchDefaultSoundboardSounds()
+   *   .then(sounds => console.log(`Available default sounds are: ${sounds.map(sound => sound.name).join(', ')}`))
+   *   .catch(console.error);
+   */
+  async fetchDefaultSoundboardSounds() {
+    const data = await this.api('soundboard-default-sounds').get();
+    return new Collection(data.map(sound => [sound.sound_id, new SoundboardSound(this, sound)]));
+  }
+
   /**
    * A last ditch cleanup function for garbage collection.
    * @param {Function} options.cleanup The function called to GC
@@ -1045,12 +1069,38 @@ class Client extends BaseClient {
     if (typeof options.failIfNotExists !== 'boolean') {
       throw new TypeError('CLIENT_INVALID_OPTION', 'failIfNotExists', 'a boolean');
     }
+    if (typeof options.handleRemoteCommands !== 'boolean') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'handleRemoteCommands', 'a boolean');
+    }
     if (
       typeof options.rejectOnRateLimit !== 'undefined' &&
       !(typeof options.rejectOnRateLimit === 'function' || Array.isArray(options.rejectOnRateLimit))
     ) {
       throw new TypeError('CLIENT_INVALID_OPTION', 'rejectOnRateLimit', 'an array or a function');
     }
+    if (
+      options.ws?.transportCompression !== undefined &&
+      options.ws.transportCompression !== null &&
+      !TransportDecompressor.isSupported(options.ws.transportCompression)
+    ) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.transportCompression', "'zlib-stream', 'zstd-stream' or null");
+    }
+    if (
+      options.ws?.guildSubscriptions !== undefined &&
+      !['object', 'function'].includes(typeof options.ws.guildSubscriptions)
+    ) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.guildSubscriptions', 'an object or a function');
+    }
+    if (options.ws?.health !== undefined && typeof options.ws.health !== 'object') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.health', 'an object');
+    }
+    if (options.ws?.worker !== undefined && typeof options.ws.worker !== 'boolean') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.worker', 'a boolean');
+    }
+    // The agents can't be sent to the worker threads
+    if (options.ws?.worker && Util.verifyProxyAgent(options.ws.agent)) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'ws.worker', 'false when ws.agent is a proxy agent');
+    }
     if (typeof options.TOTPKey === 'string') {
       // Convert to base32 if not already
       options.TOTPKey = options.TOTPKey.replace(/ +/g, '').toUpperCase();
@@ -0,0 +1,20 @@
+'use strict';
+
+const Action = require('./Action');
+const { Events } = require('../../util/Constants');
+
+class GuildSoundboardSoundCreateAction extends Action {
+  handle(guild, createdSound) {
+    const already = guild.soundboardSounds.cache.has(createdSound.sound_id);
+    const sound = guild.soundboardSounds._add(createdSound);
+    /**
+     * Emitted whenever a soundboard sound is created in a guild.
+     * @event Client#guildSoundboardSoundCreate
+     * @param {SoundboardSound} sound The sound that was created
+     */
+    if (!already) this.client.emit(Events.GUILD_SOUNDBOARD_SOUND_CREATE, sound);
+    return { sound };
+  }
+}
+
+module.exports = GuildSoundboardSoundCreateAction;
@@ -0,0 +1,19 @@
+'use strict';
+
+const Action = require('./Action');
+const { Events } = require('../../util/Constants');
+
+class GuildSoundboardSoundDeleteAction extends Action {
+  handle(sound) {
+    sound.guild.soundboardSounds.cache.delete(sound.soundId);
+    /**
+     * Emitted whenever a soundboard sound is deleted in a guild.
+     * @event Client#guildSoundboardSoundDelete
+     * @param {SoundboardSound} sound The sound that was deleted
+     */
+    this.client.emit(Events.GUILD_SOUNDBOARD_SOUND_DELETE, sound);
+    return { sound };
+  }
+}
+
+module.exports = GuildSoundboardSoundDeleteAction;
@@ -0,0 +1,20 @@
+'use strict';
+
+const Action = require('./Action');
+const { Events } = require('../../util/Constants');
+
+class GuildSoundboardSoundUpdateAction extends Action {
+  handle(current, data) {
+    const old = current._update(data);
+    /**
+     * Emitted whenever a soundboard sound is updated in a guild.
+     * @event Client#guildSoundboardSoundUpdate
+     * @param {SoundboardSound} oldSound The old sound
+     * @param {SoundboardSound} newSound The new sound
+     */
+    this.client.emit(Events.GUILD_SOUNDBOARD_SOUND_UPDATE, old, current);
+    return { sound: current };
+  }
+}
+
+module.exports = GuildSoundboardSoundUpdateAction;
@@ -0,0 +1,34 @@
+'use strict';
+
+const Action = require('./Action');
+
+class GuildSoundboardSoundsUpdateAction extends Action {
+  handle(data) {
+    const guild = this.client.guilds.cache.get(data.guild_id);
+    if (!guild?.soundboardSounds) return;
+
+    const deletions = new Map(guild.soundboardSounds.cache);
+
+    for (const sound of data.soundboard_sounds) {
+      // Determine type of soundboard sound event
+      const cachedSound = guild.soundboardSounds.cache.get(sound.sound_id);
+      if (cachedSound) {
+        deletions.delete(sound.sound_id);
+        if (!cachedSound.equals(sound)) {
+          // Soundboard sound updated
+          this.client.actions.GuildSoundboardSoundUpdate.handle(cachedSound, sound);
+        }
+      } else {
+        // Soundboard sound added
+        this.client.actions.GuildSoundboardSoundCreate.handle(guild, sound);
+      }
+    }
+
+    for (const sound of deletions.values()) {
+      // Soundboard sound deleted
+      this.client.actions.GuildSoundboardSoundDelete.handle(sound);
+    }
+  }
+}
+
+module.exports = GuildSoundboardSoundsUpdateAction;
@@ -20,6 +20,7 @@ class MessageCreateAction extends Action {
       if (existing && existing.author?.id !== this.client.user.id) return { message: existing };
       const message = existing ?? channel.messages._add(data);
       channel.lastMessageId = data.id;
+      client.readStates._onMessage(message);
 
       /**
        * Emitted whenever a message is created.
@@ -90,6 +90,8 @@ class ClientVoiceManager {
    * @property {boolean} [selfDeaf=false]
    * @property {boolean} [selfVideo=false]
    * @property {VideoCodec} [videoCodec='H264']
+   * @property {boolean} [daveEncryption=true] Whether to end-to-end encrypt the media of the calls which support it,
+   * this requires the `@snazzah/davey` package
    * @typedef {Object} JoinChannelConfig
    */
 
@@ -117,6 +119,7 @@ class ClientVoiceManager {
       } else {
         connection = new VoiceConnection(this, channel);
         if (config?.videoCodec) connection.setVideoCodec(config.videoCodec);
+        if (typeof config?.daveEncryption === 'boolean') connection.daveEncryption = config.daveEncryption;
         const forwardDebug = msg => {
           if (hasListener(this.client, Events.DEBUG)) {
             this.client.emit(Events.DEBUG, `[VOICE (${channel.guild?.id || channel.id}:${connection.status})]: ${msg}`);
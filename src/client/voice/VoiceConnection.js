@@ -5,6 +5,7 @@ const { getCiphers } = require('node:crypto');
 const { setTimeout } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
 const StreamEventRouter = require('./StreamEventRouter');
+const DAVESession = require('./networking/DAVESession');
 const VoiceUDP = require('./networking/VoiceUDPClient');
 const VoiceWebSocket = require('./networking/VoiceWebSocket');
 const MediaPlayer = require('./player/MediaPlayer');
@@ -88,6 +89,20 @@ class VoiceConnection extends EventEmitter {
     this.authentication = {};
     this._voiceSequence = -1;
 
+    /**
+     * Whether to end-to-end encrypt the media of the calls which support it (DAVE protocol),
+     * this requires the `@snazzah/davey` package
+     * @type {boolean}
+     */
+    this.daveEncryption = true;
+
+    /**
+     * The end-to-end encryption session of this connection
+     * @type {?DAVESession}
+     * @private
+     */
+    this.dave = null;
+
     /**
      * The audio player for this voice connection
      * @type {MediaPlayer}
@@ -198,6 +213,28 @@ class VoiceConnection extends EventEmitter {
     return this.player.videoDispatcher;
   }
 
+  /**
+   * The code users can compare to check that the call is end-to-end encrypted with the same keys,
+   * `null` when it isn't end-to-end encrypted
+   * @type {?string}
+   * @readonly
+   */
+  get voicePrivacyCode() {
+    return this.dave?.voicePrivacyCode ?? null;
+  }
+
+  /**
+   * Gets the code to verify the identity of a user of the end-to-end encrypted call with.
+   * @param {UserResolvable} user The user
+   * @returns {Promise<?string>}
+   */
+  async getVerificationCode(user) {
+    const userId = this.client.users.resolveId(user);
+    if (!userId) throw new Error('VOICE_USER_MISSING');
+    if (!this.dave?.session) return null;
+    return this.dave.getVerificationCode(userId);
+  }
+
   hasDebugListeners() {
     const forwardingListeners = this._voiceDebugForwarder ? 1 : 0;
     const hasClientDebugListener = hasListener(this.client, Events.DEBUG);
@@ -540,6 +577,9 @@ class VoiceConnection extends EventEmitter {
 
     if (udp) udp.removeAllListeners('error');
 
+    this.dave?.destroy();
+    this.dave = null;
+
     this.sockets.ws = null;
     this.sockets.udp = null;
   }
@@ -601,6 +641,7 @@ class VoiceConnection extends EventEmitter {
   onSessionDescription(data) {
     Object.assign(this.authentication, data);
     this.status = VoiceStatus.CONNECTED;
+    this.createDAVESession(data.dave_protocol_version ?? 0);
     const ready = () => {
       clearTimeout(this.connectTimeout);
       this._debugLazy(() => `Ready with authentication details: ${JSON.stringify(this.authentication)}`);
@@ -620,6 +661,32 @@ class VoiceConnection extends EventEmitter {
     }
   }
 
+  /**
+   * Creates the end-to-end encryption session of the connection, replacing the previous one.
+   * @param {number} protocolVersion The DAVE protocol version of the call
+   * @private
+   */
+  createDAVESession(protocolVersion) {
+    this.dave?.destroy();
+    this.dave = null;
+    if (!this.daveEncryption || !DAVESession.maxProtocolVersion) return;
+
+    const dave = (this.dave = new DAVESession(protocolVersion, this.client.user.id, this.channel.id));
+    dave.on('debug', message => this._debug(message));
+    dave.on('keyPackage', keyPackage => {
+      this.sockets.ws?.sendBinary(VoiceOpcodes.DAVE_MLS_KEY_PACKAGE, keyPackage).catch(e => this._debug(e));
+    });
+    dave.on('invalidateTransition', transitionId => {
+      this.sockets.ws
+        ?.sendPacket({
+          op: VoiceOpcodes.DAVE_MLS_INVALID_COMMIT_WELCOME,
+          d: { transition_id: transitionId },
+        })
+        .catch(e => this._debug(e));
+    });
+    dave.reinit();
+  }
+
   onResumed() {
     this.status = VoiceStatus.CONNECTED;
     clearTimeout(this.connectTimeout);
@@ -714,6 +781,7 @@ class VoiceConnection extends EventEmitter {
       } else {
         const connection = (this.streamConnection = new StreamConnection(this.voiceManager, this.channel, this));
         connection.setVideoCodec(this.videoCodec); // Sync :?
+        connection.daveEncryption = this.daveEncryption;
         this._streamEventRouter.attach();
 
         connection.sendSignalScreenshare();
@@ -773,6 +841,7 @@ class VoiceConnection extends EventEmitter {
         const connection = new StreamConnectionReadonly(this.voiceManager, this.channel, this, userId);
         this.streamWatchConnection.set(userId, connection);
         connection.setVideoCodec(this.videoCodec);
+        connection.daveEncryption = this.daveEncryption;
         this._streamEventRouter.attach();
 
         connection.sendSignalScreenshare();
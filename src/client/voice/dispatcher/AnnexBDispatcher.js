@@ -22,12 +22,41 @@ const VideoDispatcher = require('./VideoDispatcher');
 const Util = require('../../../util/Util');
 const { H264Helpers, H265Helpers } = require('../player/processing/AnnexBNalSplitter');
 
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+
 class AnnexBDispatcher extends VideoDispatcher {
   constructor(player, highWaterMark = 12, streams, fps, nalFunctions, payloadType) {
     super(player, highWaterMark, streams, fps, payloadType);
     this._nalFunctions = nalFunctions;
   }
 
+  _encryptFrame(frame) {
+    if (!this.player.voiceConnection.dave) return frame;
+    // The access units are encrypted in the Annex B format, the lengths of the NAL units are replaced by start codes
+    const annexB = Buffer.from(frame);
+    for (let offset = 0; offset < annexB.length; offset += 4 + frame.readUInt32BE(offset)) {
+      START_CODE.copy(annexB, offset);
+    }
+    const encrypted = super._encryptFrame(annexB);
+    if (!encrypted) return null;
+    if (encrypted === annexB) return frame;
+
+    const units = [];
+    let start = 4;
+    for (let index = encrypted.indexOf(START_CODE, start); index !== -1; index = encrypted.indexOf(START_CODE, start)) {
+      units.push(encrypted.subarray(start, index));
+      start = index + 4;
+    }
+    units.push(encrypted.subarray(start));
+    return Buffer.concat(
+      units.flatMap(unit => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(unit.length);
+        return [length, unit];
+      }),
+    );
+  }
+
   _codecCallback(frame) {
     let accessUnit = frame;
     let offset = 0;
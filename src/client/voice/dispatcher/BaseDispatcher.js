@@ -4,6 +4,7 @@ const { Buffer } = require('node:buffer');
 const crypto = require('node:crypto');
 const { Writable } = require('node:stream');
 const { setTimeout } = require('node:timers');
+const Util = require('../../../util/Util');
 const secretbox = require('../util/Secretbox');
 
 const MAX_UINT_16 = 2 ** 16 - 1;
@@ -33,6 +34,12 @@ class BaseDispatcher extends Writable {
     this.payloadType = payloadType;
     this.extensionEnabled = extensionEnabled;
 
+    /**
+     * The codec of the frames of this dispatcher
+     * @type {?string}
+     */
+    this.codec = Util.getAllPayloadType().find(p => p.payload_type === payloadType)?.name ?? null;
+
     this._nonce = 0;
     this._nonceBuffer = null;
 
@@ -115,10 +122,11 @@ class BaseDispatcher extends Writable {
         this.resume();
       }, 10_000).unref();
     }
-    if (this.getTypeDispatcher() === 'video') {
-      this._codecCallback(chunk);
-    } else {
-      this._playChunk(chunk);
+    const frame = this._encryptFrame(chunk);
+    if (frame && this.getTypeDispatcher() === 'video') {
+      this._codecCallback(frame);
+    } else if (frame) {
+      this._playChunk(frame);
     }
     this._step(done);
   }
@@ -304,6 +312,23 @@ class BaseDispatcher extends Writable {
     return Buffer.concat(extensionsData);
   }
 
+  /**
+   * Encrypts a frame end-to-end if the call supports it (DAVE protocol), before it is split into packets.
+   * @param {Buffer} frame The frame
+   * @returns {?Buffer} The frame to send, `null` if it couldn't be encrypted
+   * @private
+   */
+  _encryptFrame(frame) {
+    const dave = this.player.voiceConnection.dave;
+    if (!dave) return frame;
+    try {
+      return dave.encrypt(frame, this.codec);
+    } catch (error) {
+      this.emit('debug', `Failed to encrypt a frame - ${error}`);
+      return null;
+    }
+  }
+
   _encrypt(buffer, additionalData) {
     const { secret_key, mode } = this.player.voiceConnection.authentication;
     // Both supported encryption methods want the nonce to be an incremental integer
@@ -0,0 +1,369 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { Buffer } = require('node:buffer');
+const { SILENCE_FRAME } = require('../util/Silence');
+
+let Davey;
+
+try {
+  Davey = require('@snazzah/davey');
+} catch {} // eslint-disable-line no-empty
+
+// How long (in seconds) the frames of other users may stay unencrypted after a transition
+const TRANSITION_EXPIRY = 10;
+// How long (in seconds) the frames of other users may stay unencrypted while waiting for a downgrade
+const TRANSITION_EXPIRY_PENDING_DOWNGRADE = 24;
+// How many frames in a row may fail to decrypt before the group is considered broken
+const DEFAULT_FAILURE_TOLERANCE = 36;
+
+/**
+ * The end-to-end encryption session (DAVE protocol) of a voice connection.
+ * It holds the MLS group of the call, and encrypts and decrypts the media frames with its keys.
+ * The MLS implementation is provided by the optional `@snazzah/davey` package.
+ * The MLS session is only created by {@link DAVESession#reinit}, once the listeners are attached.
+ * @see {@link https://daveprotocol.com}
+ * @extends {EventEmitter}
+ * @private
+ */
+class DAVESession extends EventEmitter {
+  constructor(protocolVersion, userId, channelId, { failureTolerance = DEFAULT_FAILURE_TOLERANCE } = {}) {
+    super();
+
+    /**
+     * The DAVE protocol version of the call, `0` when the media isn't end-to-end encrypted
+     * @type {number}
+     */
+    this.protocolVersion = protocolVersion;
+
+    /**
+     * The id of the user of the session
+     * @type {Snowflake}
+     */
+    this.userId = userId;
+
+    /**
+     * The id of the channel of the call
+     * @type {Snowflake}
+     */
+    this.channelId = channelId;
+
+    /**
+     * The id of the last executed transition
+     * @type {?number}
+     */
+    this.lastTransitionId = null;
+
+    /**
+     * Whether the session is being reinitialized after an invalid transition
+     * @type {boolean}
+     */
+    this.reinitializing = false;
+
+    /**
+     * The transition waiting to be executed
+     * @type {?Object}
+     * @private
+     */
+    this._pendingTransition = null;
+
+    /**
+     * Whether the call was downgraded to a version without end-to-end encryption
+     * @type {boolean}
+     * @private
+     */
+    this._downgraded = false;
+
+    /**
+     * How many frames failed to decrypt in a row
+     * @type {number}
+     * @private
+     */
+    this._consecutiveFailures = 0;
+
+    /**
+     * How many frames may fail to decrypt in a row before recovering the session
+     * @type {number}
+     * @private
+     */
+    this._failureTolerance = failureTolerance;
+
+    /**
+     * The MLS session
+     * @type {?Object}
+     * @private
+     */
+    this.session = null;
+  }
+
+  /**
+   * The highest DAVE protocol version supported, `0` if `@snazzah/davey` isn't installed
+   * @type {number}
+   * @readonly
+   */
+  static get maxProtocolVersion() {
+    return Davey?.DAVE_PROTOCOL_VERSION ?? 0;
+  }
+
+  /**
+   * The code users can compare to check that the call is end-to-end encrypted with the same keys,
+   * `null` when it isn't end-to-end encrypted
+   * @type {?string}
+   * @readonly
+   */
+  get voicePrivacyCode() {
+    if (this.protocolVersion === 0 || !this.session?.voicePrivacyCode) return null;
+    return this.session.voicePrivacyCode;
+  }
+
+  /**
+   * Gets the code to verify the identity of a user of the call with.
+   * @param {Snowflake} userId The id of the user
+   * @returns {Promise<string>}
+   */
+  getVerificationCode(userId) {
+    return this.session.getVerificationCode(userId);
+  }
+
+  _debug(message) {
+    this.emit('debug', `[DAVE] ${message}`);
+  }
+
+  /**
+   * Creates the MLS session, or resets it for the current protocol version.
+   * A new key package is emitted when the version supports end-to-end encryption.
+   */
+  reinit() {
+    if (this.protocolVersion > 0) {
+      if (this.session) {
+        this.session.reinit(this.protocolVersion, this.userId, this.channelId);
+        this._debug(`Session reinitialized for protocol version ${this.protocolVersion}`);
+      } else {
+        this.session = new Davey.DAVESession(this.protocolVersion, this.userId, this.channelId);
+        this._debug(`Session created for protocol version ${this.protocolVersion}`);
+      }
+      /**
+       * Emitted when the key package of the session has to be sent to the voice server.
+       * @event DAVESession#keyPackage
+       * @param {Buffer} keyPackage The serialized key package
+       */
+      this.emit('keyPackage', this.session.getSerializedKeyPackage());
+    } else if (this.session) {
+      this.session.reset();
+      this.session.setPassthroughMode(true, TRANSITION_EXPIRY);
+      this._debug('Session reset, the call is no longer end-to-end encrypted');
+    }
+  }
+
+  /**
+   * Sets the external sender of the MLS group, which is the voice server.
+   * @param {Buffer} externalSender The serialized external sender
+   */
+  setExternalSender(externalSender) {
+    if (!this.session) return;
+    this.session.setExternalSender(externalSender);
+    this._debug('External sender set');
+  }
+
+  /**
+   * Prepares a transition to another protocol version.
+   * @param {Object} data The data of the transition
+   * @param {number} data.transition_id The id of the transition
+   * @param {number} data.protocol_version The protocol version to transition to
+   * @returns {boolean} Whether the voice server is waiting for us to be ready to execute it
+   */
+  prepareTransition(data) {
+    this._debug(`Preparing transition ${data.transition_id} to protocol version ${data.protocol_version}`);
+    this._pendingTransition = data;
+    // The transitions with the id 0 are (re)initializations, which are executed right away
+    if (data.transition_id === 0) {
+      this.executeTransition(data.transition_id);
+      return false;
+    }
+    if (data.protocol_version === 0) this.session?.setPassthroughMode(true, TRANSITION_EXPIRY_PENDING_DOWNGRADE);
+    return true;
+  }
+
+  /**
+   * Executes the pending transition.
+   * @param {number} transitionId The id of the transition
+   * @returns {boolean} Whether the transition was executed
+   */
+  executeTransition(transitionId) {
+    if (!this._pendingTransition) return false;
+    let transitioned = false;
+    if (transitionId === this._pendingTransition.transition_id) {
+      const oldVersion = this.protocolVersion;
+      this.protocolVersion = this._pendingTransition.protocol_version;
+      if (oldVersion !== this.protocolVersion && this.protocolVersion === 0) {
+        this._downgraded = true;
+        this._debug('The call was downgraded, the media is no longer end-to-end encrypted');
+      } else if (transitionId > 0 && this._downgraded) {
+        this._downgraded = false;
+        this.session?.setPassthroughMode(true, TRANSITION_EXPIRY);
+        this._debug('The call was upgraded, the media is end-to-end encrypted');
+      }
+      transitioned = true;
+      this.reinitializing = false;
+      this.lastTransitionId = transitionId;
+      this._debug(`Transition ${transitionId} executed`);
+    } else {
+      this._debug(`Ignoring transition ${transitionId}, the pending one is ${this._pendingTransition.transition_id}`);
+    }
+    this._pendingTransition = null;
+    return transitioned;
+  }
+
+  /**
+   * Prepares the next epoch of the MLS group.
+   * @param {Object} data The data of the epoch
+   * @param {number} data.epoch The epoch
+   * @param {number} data.protocol_version The protocol version of the epoch
+   */
+  prepareEpoch(data) {
+    this._debug(`Preparing epoch ${data.epoch} with protocol version ${data.protocol_version}`);
+    // The first epoch is a new group, so a new key package is needed
+    if (data.epoch === 1) {
+      this.protocolVersion = data.protocol_version;
+      this.reinit();
+    }
+  }
+
+  /**
+   * Asks the voice server for a new commit or welcome after an invalid one, and reinitializes the session.
+   * @param {number} transitionId The id of the invalid transition
+   */
+  recoverFromInvalidTransition(transitionId) {
+    if (this.reinitializing) return;
+    this._debug(`Recovering from invalid transition ${transitionId}`);
+    this.reinitializing = true;
+    this._consecutiveFailures = 0;
+    /**
+     * Emitted when a transition couldn't be processed and must be invalidated.
+     * @event DAVESession#invalidateTransition
+     * @param {number} transitionId The id of the transition
+     */
+    this.emit('invalidateTransition', transitionId);
+    this.reinit();
+  }
+
+  /**
+   * Processes the proposals to add or remove members of the MLS group.
+   * @param {Buffer} payload The payload of the proposals
+   * @param {Set<Snowflake>} connectedClients The ids of the users connected to the call
+   * @returns {?Buffer} The commit, followed by the welcome if there is one, to send to the voice server
+   */
+  processProposals(payload, connectedClients) {
+    if (!this.session) return null;
+    const operationType = payload.readUInt8(0);
+    const { commit, welcome } = this.session.processProposals(
+      operationType,
+      payload.subarray(1),
+      Array.from(connectedClients),
+    );
+    this._debug(`Processed ${operationType === 0 ? 'append' : 'revoke'} proposals`);
+    if (!commit) return null;
+    return welcome ? Buffer.concat([commit, welcome]) : commit;
+  }
+
+  /**
+   * Processes a commit announced by the voice server.
+   * @param {Buffer} payload The payload of the commit
+   * @returns {DAVETransitionResult}
+   */
+  processCommit(payload) {
+    return this._processTransition(payload, 'commit', data => this.session.processCommit(data));
+  }
+
+  /**
+   * Processes a welcome in the MLS group sent by the voice server.
+   * @param {Buffer} payload The payload of the welcome
+   * @returns {DAVETransitionResult}
+   */
+  processWelcome(payload) {
+    return this._processTransition(payload, 'welcome', data => this.session.processWelcome(data));
+  }
+
+  /**
+   * The result of processing a commit or a welcome.
+   * @typedef {Object} DAVETransitionResult
+   * @property {number} transitionId The id of the transition of the commit or welcome
+   * @property {boolean} success Whether it was processed
+   * @private
+   */
+
+  _processTransition(payload, type, process) {
+    const transitionId = payload.readUInt16BE(0);
+    if (!this.session) return { transitionId, success: false };
+    try {
+      process(payload.subarray(2));
+      if (transitionId === 0) {
+        this.reinitializing = false;
+        this.lastTransitionId = transitionId;
+      } else {
+        this._pendingTransition = { transition_id: transitionId, protocol_version: this.protocolVersion };
+      }
+      this._debug(`Processed the ${type} of transition ${transitionId}`);
+      return { transitionId, success: true };
+    } catch (error) {
+      this._debug(`Failed to process the ${type} of transition ${transitionId}: ${error}`);
+      this.recoverFromInvalidTransition(transitionId);
+      return { transitionId, success: false };
+    }
+  }
+
+  /**
+   * Encrypts a media frame, it is returned as is when the call isn't end-to-end encrypted yet.
+   * @param {Buffer} frame The frame
+   * @param {string} [codec='opus'] The codec of the frame
+   * @returns {Buffer}
+   */
+  encrypt(frame, codec = 'opus') {
+    if (this.protocolVersion === 0 || !this.session?.ready) return frame;
+    if (codec === 'opus') return frame.equals(SILENCE_FRAME) ? frame : this.session.encryptOpus(frame);
+    const codecId = Davey.Codec[String(codec).toUpperCase()] ?? Davey.Codec.UNKNOWN;
+    return this.session.encrypt(Davey.MediaType.VIDEO, codecId, frame);
+  }
+
+  /**
+   * Decrypts a media frame of a user. The frames which are allowed to pass through unencrypted while transitioning
+   * are returned as is.
+   * @param {Buffer} frame The frame
+   * @param {Snowflake} userId The id of the user who sent it
+   * @param {boolean} [video=false] Whether it is a video frame
+   * @returns {?Buffer} The decrypted frame, `null` if it couldn't be decrypted
+   */
+  decrypt(frame, userId, video = false) {
+    if ((!video && frame.equals(SILENCE_FRAME)) || !this.session?.ready) return frame;
+    if (this.protocolVersion === 0 && !this.session.canPassthrough(userId)) return frame;
+    try {
+      const decrypted = this.session.decrypt(userId, video ? Davey.MediaType.VIDEO : Davey.MediaType.AUDIO, frame);
+      this._consecutiveFailures = 0;
+      return decrypted;
+    } catch (error) {
+      // Frames are expected to fail while the group is changing
+      if (!this.reinitializing && !this._pendingTransition) {
+        this._consecutiveFailures++;
+        this._debug(`Failed to decrypt a frame of ${userId} (${this._consecutiveFailures} in a row): ${error}`);
+        if (this._consecutiveFailures > this._failureTolerance) {
+          if (this.lastTransitionId === null) throw error;
+          this.recoverFromInvalidTransition(this.lastTransitionId);
+        }
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Destroys the MLS session.
+   */
+  destroy() {
+    try {
+      this.session?.reset();
+    } catch {} // eslint-disable-line no-empty
+    this.session = null;
+    this.removeAllListeners();
+  }
+}
+
+module.exports = DAVESession;
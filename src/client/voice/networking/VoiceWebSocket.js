@@ -1,7 +1,9 @@
 'use strict';
 
 const EventEmitter = require('events');
+const { Buffer } = require('node:buffer');
 const { setTimeout, setInterval } = require('node:timers');
+const DAVESession = require('./DAVESession');
 const WebSocket = require('../../../WebSocket');
 const { Error } = require('../../../errors');
 const { VoiceOpcodes, VoiceStatus } = require('../../../util/Constants');
@@ -29,6 +31,12 @@ class VoiceWebSocket extends EventEmitter {
     this._sequenceNumber = this.connection._voiceSequence ?? -1;
     this._resumeAttempted = false;
 
+    /**
+     * The ids of the users connected to the call
+     * @type {Set<Snowflake>}
+     */
+    this.connectedClients = new Set();
+
     this.dead = false;
     this.connection.on('closing', this.shutdown.bind(this));
   }
@@ -94,6 +102,8 @@ class VoiceWebSocket extends EventEmitter {
      */
     this.ws = WebSocket.create(`wss://${this.connection.authentication.endpoint}/`, { v: 9 });
     this._debug(`[WS] connecting, ${this.attempts} attempts, ${this.ws.url}`);
+    // The DAVE opcodes are sent as binary messages
+    this.ws.binaryType = 'arraybuffer';
     this.ws.onopen = this.onOpen.bind(this);
     this.ws.onmessage = this.onMessage.bind(this);
     this.ws.onclose = this.onClose.bind(this);
@@ -107,6 +117,21 @@ class VoiceWebSocket extends EventEmitter {
    */
   send(data) {
     this._debug(`[WS] >> ${data}`);
+    return this._send(data);
+  }
+
+  /**
+   * Sends a binary packet to the WebSocket Server.
+   * @param {number} op The opcode of the packet
+   * @param {Buffer} payload The payload of the packet
+   * @returns {Promise<Buffer>}
+   */
+  sendBinary(op, payload) {
+    this._debug(`[WS] >> binary opcode ${op} (${payload.length} bytes)`);
+    return this._send(Buffer.concat([Buffer.from([op]), payload]));
+  }
+
+  _send(data) {
     return new Promise((resolve, reject) => {
       if (!this.ws || this.ws.readyState !== WebSocket.OPEN) throw new Error('WS_NOT_OPEN', data);
       this.ws.send(data, null, error => {
@@ -137,6 +162,7 @@ class VoiceWebSocket extends EventEmitter {
         session_id: this.connection.authentication.sessionId,
         streams: [{ type: 'screen', rid: '100', quality: 100 }],
         video: true,
+        max_dave_protocol_version: this.connection.daveEncryption ? DAVESession.maxProtocolVersion : 0,
       },
     });
   }
@@ -186,6 +212,7 @@ class VoiceWebSocket extends EventEmitter {
    */
   onMessage(event) {
     try {
+      if (typeof event.data !== 'string') return this.onBinaryPacket(Buffer.from(event.data));
       return this.onPacket(WebSocket.unpack(event.data, 'json'));
     } catch (error) {
       return this.onError(error);
@@ -256,6 +283,11 @@ class VoiceWebSocket extends EventEmitter {
         this.emit('sessionDescription', packet.d);
         break;
       case VoiceOpcodes.CLIENT_CONNECT:
+        if (packet.d.user_ids) {
+          for (const userId of packet.d.user_ids) this.connectedClients.add(userId);
+          break;
+        }
+        this.connectedClients.add(packet.d.user_id);
         this.connection.ssrcMap.set(+packet.d.audio_ssrc, {
           userId: packet.d.user_id,
           speaking: 0,
@@ -263,6 +295,7 @@ class VoiceWebSocket extends EventEmitter {
         });
         break;
       case VoiceOpcodes.CLIENT_DISCONNECT:
+        this.connectedClients.delete(packet.d.user_id);
         const streamInfo = this.connection.receiver && this.connection.receiver.packets.streams.get(packet.d.user_id);
         if (streamInfo) {
           this.connection.receiver.packets.streams.delete(packet.d.user_id);
@@ -286,6 +319,16 @@ class VoiceWebSocket extends EventEmitter {
          */
         this.emit('startStreaming', packet.d);
         break;
+      case VoiceOpcodes.DAVE_PREPARE_TRANSITION:
+        if (!this.connection.dave) break;
+        if (this.connection.dave.prepareTransition(packet.d)) this.sendTransitionReady(packet.d.transition_id);
+        break;
+      case VoiceOpcodes.DAVE_EXECUTE_TRANSITION:
+        this.connection.dave?.executeTransition(packet.d.transition_id);
+        break;
+      case VoiceOpcodes.DAVE_PREPARE_EPOCH:
+        this.connection.dave?.prepareEpoch(packet.d);
+        break;
       default:
         /**
          * Emitted when an unhandled packet is received.
@@ -297,6 +340,56 @@ class VoiceWebSocket extends EventEmitter {
     }
   }
 
+  /**
+   * Called whenever a binary packet is received from the WebSocket, these are the MLS messages of the DAVE protocol.
+   * @param {Buffer} buffer The received packet
+   */
+  onBinaryPacket(buffer) {
+    const seq = buffer.readUInt16BE(0);
+    const op = buffer.readUInt8(2);
+    const payload = buffer.subarray(3);
+    this._debug(`[WS] << binary opcode ${op} (${payload.length} bytes)`);
+    this._sequenceNumber = seq;
+    this.connection._voiceSequence = seq;
+
+    const dave = this.connection.dave;
+    if (!dave) {
+      this.emit('unknownPacket', { op, seq, d: payload });
+      return;
+    }
+    switch (op) {
+      case VoiceOpcodes.DAVE_MLS_EXTERNAL_SENDER:
+        dave.setExternalSender(payload);
+        break;
+      case VoiceOpcodes.DAVE_MLS_PROPOSALS: {
+        const commitWelcome = dave.processProposals(payload, this.connectedClients);
+        if (commitWelcome) this.sendBinary(VoiceOpcodes.DAVE_MLS_COMMIT_WELCOME, commitWelcome).catch(() => null);
+        break;
+      }
+      case VoiceOpcodes.DAVE_MLS_ANNOUNCE_COMMIT_TRANSITION:
+      case VoiceOpcodes.DAVE_MLS_WELCOME: {
+        const { transitionId, success } =
+          op === VoiceOpcodes.DAVE_MLS_WELCOME ? dave.processWelcome(payload) : dave.processCommit(payload);
+        if (success && transitionId !== 0) this.sendTransitionReady(transitionId);
+        break;
+      }
+      default:
+        this.emit('unknownPacket', { op, seq, d: payload });
+        break;
+    }
+  }
+
+  /**
+   * Tells the voice server that we are ready to execute a DAVE transition.
+   * @param {number} transitionId The id of the transition
+   */
+  sendTransitionReady(transitionId) {
+    this.sendPacket({
+      op: VoiceOpcodes.DAVE_TRANSITION_READY,
+      d: { transition_id: transitionId },
+    }).catch(() => null);
+  }
+
   /**
    * Sets an interval at which to send a heartbeat packet to the WebSocket.
    * @param {number} interval The interval at which to send a heartbeat packet
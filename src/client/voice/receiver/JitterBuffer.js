@@ -0,0 +1,189 @@
+'use strict';
+
+const { setTimeout, clearTimeout } = require('node:timers');
+
+// The duration of the Opus frames sent by Discord, in milliseconds
+const FRAME_DURATION = 20;
+// A larger jump in the sequence numbers, forward or backward, is a new stream of packets rather than lost ones
+const MAX_SEQUENCE_JUMP = 1_000;
+// How many frames are concealed at most for a single gap, the rest of it is skipped
+const MAX_CONCEALED_FRAMES = 50;
+// How many sequence numbers are remembered to tell the duplicate packets from the late ones
+const HISTORY_SIZE = 128;
+
+/**
+ * The statistics of the audio packets received from a user.
+ * @typedef {Object} VoiceReceiverStats
+ * @property {number} received The amount of packets received, without the duplicates
+ * @property {number} reordered The amount of packets received out of order, which were put back in order
+ * @property {number} late The amount of packets received after being considered lost, which were dropped
+ * @property {number} lost The amount of packets never received
+ * @property {number} duplicate The amount of packets received more than once, which were dropped
+ */
+
+/**
+ * Puts the RTP packets of a SSRC back in order, and detects the lost ones.
+ * The packets are released as soon as they are in order, a missing packet is considered lost once
+ * {@link VoiceReceiver#jitterBufferDepth} packets following it are waiting, or after their duration.
+ * @private
+ */
+class JitterBuffer {
+  /**
+   * @param {VoiceReceiver} receiver The receiver of the packets
+   * @param {Function} onPacket Called with the packets, in order
+   * @param {Function} onLost Called with the last released packet for every lost packet to conceal
+   */
+  constructor(receiver, onPacket, onLost) {
+    this.receiver = receiver;
+    this.onPacket = onPacket;
+    this.onLost = onLost;
+
+    /**
+     * The packets waiting for a missing one, mapped by sequence number
+     * @type {Map<number, RtpPacket>}
+     */
+    this.packets = new Map();
+
+    /**
+     * The sequence number of the next packet to release
+     * @type {?number}
+     */
+    this.nextSequence = null;
+
+    /**
+     * The highest sequence number received
+     * @type {?number}
+     */
+    this.highestSequence = null;
+
+    /**
+     * The last released packet
+     * @type {?RtpPacket}
+     */
+    this.lastPacket = null;
+
+    /**
+     * Whether the last released sequence numbers were received, mapped by sequence number
+     * @type {Map<number, boolean>}
+     */
+    this.history = new Map();
+
+    /**
+     * The statistics of the packets
+     * @type {VoiceReceiverStats}
+     */
+    this.stats = { received: 0, reordered: 0, late: 0, lost: 0, duplicate: 0 };
+
+    this._gapLength = 0;
+    this._timeout = null;
+  }
+
+  /**
+   * How many packets may wait for a missing one
+   * @type {number}
+   * @readonly
+   */
+  get depth() {
+    return this.receiver.jitterBufferDepth;
+  }
+
+  /**
+   * Adds a received packet to the buffer.
+   * @param {RtpPacket} packet The packet
+   */
+  push(packet) {
+    const sequence = packet.header.sequenceNumber;
+    if (this.nextSequence === null) this.nextSequence = this.highestSequence = sequence;
+
+    let offset = distance(this.nextSequence, sequence);
+    if (Math.abs(offset) > MAX_SEQUENCE_JUMP) {
+      // The sender restarted its sequence numbers, either ahead of or behind the previous ones
+      this.flush();
+      this.nextSequence = this.highestSequence = sequence;
+      this.history.clear();
+      offset = 0;
+    }
+    if (offset < 0) {
+      if (this.history.get(sequence)) this.stats.duplicate++;
+      else this.stats.late++;
+      return;
+    }
+    if (this.packets.has(sequence)) {
+      this.stats.duplicate++;
+      return;
+    }
+
+    this.stats.received++;
+    if (distance(this.highestSequence, sequence) < 0) this.stats.reordered++;
+    else this.highestSequence = sequence;
+    this.packets.set(sequence, packet);
+    this._drain(this.depth);
+  }
+
+  /**
+   * Releases all the waiting packets, considering the missing ones lost.
+   */
+  flush() {
+    this._drain(0);
+  }
+
+  _drain(depth) {
+    while (this.packets.size) {
+      const sequence = this.nextSequence;
+      const packet = this.packets.get(sequence);
+      if (packet) {
+        this.packets.delete(sequence);
+        this._remember(sequence, true);
+        this._gapLength = 0;
+        this.lastPacket = packet;
+        this.onPacket(packet);
+      } else if (this.packets.size > depth) {
+        this._remember(sequence, false);
+        this.stats.lost++;
+        if (this._gapLength++ < MAX_CONCEALED_FRAMES) this.onLost(this.lastPacket);
+      } else {
+        break;
+      }
+      this.nextSequence = (sequence + 1) & 0xffff;
+    }
+
+    if (!this.packets.size) {
+      clearTimeout(this._timeout);
+      this._timeout = null;
+    } else if (!this._timeout) {
+      // Don't wait for more packets longer than it would take to receive them
+      this._timeout = setTimeout(() => {
+        this._timeout = null;
+        this.flush();
+      }, (this.depth + 1) * FRAME_DURATION).unref();
+    }
+  }
+
+  _remember(sequence, received) {
+    this.history.delete(sequence);
+    this.history.set(sequence, received);
+    if (this.history.size > HISTORY_SIZE) this.history.delete(this.history.keys().next().value);
+  }
+
+  /**
+   * Clears the buffer without releasing the waiting packets.
+   */
+  destroy() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    this.packets.clear();
+  }
+}
+
+/**
+ * Gets the signed distance between two 16-bit sequence numbers, taking the wrap around into account.
+ * @param {number} from The first sequence number
+ * @param {number} to The second sequence number
+ * @returns {number}
+ * @private
+ */
+function distance(from, to) {
+  return ((to - from) << 16) >> 16;
+}
+
+module.exports = JitterBuffer;
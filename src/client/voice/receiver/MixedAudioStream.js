@@ -0,0 +1,251 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { Readable } = require('node:stream');
+const { setInterval, clearInterval } = require('node:timers');
+const prism = require('prism-media');
+const RtpClock = require('./RtpClock');
+const Util = require('../../../util/Util');
+
+const SAMPLE_RATE = 48_000;
+const CHANNELS = 2;
+// The duration of the frames of the stream, in milliseconds
+const FRAME_DURATION = 20;
+const FRAME_SAMPLES = (SAMPLE_RATE * FRAME_DURATION) / 1000;
+// How late the audio is mixed, to let the packets received late take their place
+const MIX_DELAY = SAMPLE_RATE / 5;
+// How much audio waits to be mixed at most
+const BUFFER_SAMPLES = SAMPLE_RATE * 2;
+
+/**
+ * The format of a mixed stream:
+ * * `pcm`: 16-bit little-endian stereo audio at 48kHz
+ * * `wav`: the same audio, after a WAV header. As the length of the stream isn't known, the sizes of the header are
+ * the highest possible ones
+ * @typedef {string} MixedAudioFormat
+ */
+
+/**
+ * A stream of the audio of several users, mixed together.
+ * The audio of every speaker is decoded and placed on a shared clock using the RTP timestamps of its packets.
+ * The stream is continuous, the silences are kept, and the audio is delayed by 200ms to wait for late packets.
+ * The frames are only mixed while the stream is read: when it is read slower than real time, the audio received more
+ * than 2 seconds ahead of the stream is dropped, and the stream catches up with silence once it is read again.
+ * @extends {Readable}
+ */
+class MixedAudioStream extends Readable {
+  /**
+   * @param {VoiceReceiver} receiver The receiver of the audio
+   * @param {Object} [options] The options of the stream
+   * @param {?Set<Snowflake>} [options.users] The ids of the users to mix, all of them if `null`
+   * @param {MixedAudioFormat} [options.format='pcm'] The format of the stream
+   */
+  constructor(receiver, { users = null, format = 'pcm' } = {}) {
+    super();
+
+    Object.defineProperty(this, 'receiver', { value: receiver });
+
+    /**
+     * The ids of the users mixed, all of them if `null`
+     * @type {?Set<Snowflake>}
+     */
+    this.users = users;
+
+    /**
+     * The format of the stream
+     * @type {MixedAudioFormat}
+     */
+    this.format = format;
+
+    /**
+     * When the stream started, from `performance.now()`
+     * @type {number}
+     */
+    this.startedAt = performance.now();
+
+    /**
+     * The position of the end of the audio pushed to the stream, in samples
+     * @type {number}
+     */
+    this.position = 0;
+
+    /**
+     * The sum of the samples of the speakers waiting to be pushed, indexed by position
+     * @type {Int32Array}
+     * @private
+     */
+    this._samples = new Int32Array(BUFFER_SAMPLES * CHANNELS);
+
+    /**
+     * The decoders and the clocks of the speakers, mapped by user id
+     * @type {Map<Snowflake, Object>}
+     * @private
+     */
+    this._speakers = new Map();
+
+    /**
+     * Whether the stream wants more frames, it is paused when the consumer is slower than the audio
+     * @type {boolean}
+     * @private
+     */
+    this._reading = false;
+
+    this._onData = (userStat, packet) => this._mix(userStat.userId, packet);
+    this._onClosing = () => this.stop();
+    this.receiver.on('receiverData', this._onData);
+    this.receiver.connection.once('closing', this._onClosing);
+    this._interval = setInterval(() => this._pushFrames(this._now() - MIX_DELAY), FRAME_DURATION).unref();
+
+    if (format === 'wav') this.push(createWavHeader());
+  }
+
+  _read() {
+    this._reading = true;
+    if (this._interval) this._pushFrames(this._now() - MIX_DELAY);
+  }
+
+  /**
+   * Gets the current position on the shared clock, in samples.
+   * @returns {number}
+   * @private
+   */
+  _now() {
+    return RtpClock.now(this.startedAt);
+  }
+
+  _mix(userId, packet) {
+    if (this.users && !this.users.has(userId)) return;
+    if (packet.header.payloadType !== Util.getPayloadType('opus') || !packet.payload?.length) return;
+
+    let speaker = this._speakers.get(userId);
+    if (!speaker) {
+      speaker = { decoder: null, clock: new RtpClock(), positions: [] };
+      this._speakers.set(userId, speaker);
+    }
+    if (!speaker.decoder) {
+      try {
+        this._createDecoder(userId, speaker);
+      } catch (error) {
+        this.destroy(error);
+        return;
+      }
+    }
+
+    // The decoder outputs the frames in the order of the packets, so their positions are queued
+    speaker.positions.push(speaker.clock.position(packet.header.timestamp, this._now()));
+    speaker.decoder.write(packet.payload);
+  }
+
+  /**
+   * Creates the decoder of a speaker, which adds the decoded frames to the mix.
+   * @param {Snowflake} userId The id of the speaker
+   * @param {Object} speaker The speaker
+   * @private
+   */
+  _createDecoder(userId, speaker) {
+    const decoder = new prism.opus.Decoder({ rate: SAMPLE_RATE, channels: CHANNELS, frameSize: FRAME_SAMPLES });
+    decoder.on('data', pcm => this._add(speaker.positions.shift(), pcm));
+    decoder.on('error', error => {
+      this.emit('debug', `Failed to decode a packet of ${userId} - ${error}`);
+      // The decoder is destroyed by the error, a new one decodes the next packets
+      if (speaker.decoder !== decoder) return;
+      speaker.decoder = null;
+      speaker.positions = [];
+    });
+    speaker.decoder = decoder;
+  }
+
+  /**
+   * Adds a decoded frame to the mix.
+   * @param {number} position The position of the frame
+   * @param {Buffer} pcm The frame
+   * @private
+   */
+  _add(position, pcm) {
+    const samples = pcm.length / (2 * CHANNELS);
+    for (let i = 0; i < samples; i++) {
+      const sample = position + i;
+      if (sample < this.position) continue;
+      if (sample >= this.position + BUFFER_SAMPLES) break;
+      const index = (sample % BUFFER_SAMPLES) * CHANNELS;
+      for (let channel = 0; channel < CHANNELS; channel++) {
+        this._samples[index + channel] += pcm.readInt16LE((i * CHANNELS + channel) * 2);
+      }
+    }
+  }
+
+  /**
+   * Pushes the mixed frames ending before a position, until the stream has enough of them.
+   * @param {number} until The position
+   * @param {boolean} [force=false] Whether to push them even if the stream has enough
+   * @private
+   */
+  _pushFrames(until, force = false) {
+    while (this.position + FRAME_SAMPLES <= until) {
+      if (!this._reading && !force) break;
+      const frame = Buffer.allocUnsafe(FRAME_SAMPLES * CHANNELS * 2);
+      for (let i = 0; i < FRAME_SAMPLES; i++) {
+        const index = ((this.position + i) % BUFFER_SAMPLES) * CHANNELS;
+        for (let channel = 0; channel < CHANNELS; channel++) {
+          // The sum is clamped so that loud speakers at the same time don't overflow into noise
+          const sample = this._samples[index + channel];
+          frame.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), (i * CHANNELS + channel) * 2);
+          this._samples[index + channel] = 0;
+        }
+      }
+      this.position += FRAME_SAMPLES;
+      this._reading = this.push(frame);
+    }
+  }
+
+  /**
+   * Stops mixing, the audio received so far is pushed before the stream ends.
+   */
+  stop() {
+    if (!this._interval) return;
+    // Only the frames which may have been mixed are left, the ones after them would be silent
+    this._pushFrames(Math.min(this._now(), this.position + BUFFER_SAMPLES), true);
+    this._cleanup();
+    this.push(null);
+  }
+
+  _destroy(error, callback) {
+    this._cleanup();
+    callback(error);
+  }
+
+  _cleanup() {
+    if (!this._interval) return;
+    clearInterval(this._interval);
+    this._interval = null;
+    this.receiver.removeListener('receiverData', this._onData);
+    this.receiver.connection.removeListener('closing', this._onClosing);
+    for (const { decoder } of this._speakers.values()) decoder?.destroy();
+    this._speakers.clear();
+  }
+}
+
+/**
+ * Creates the header of a WAV file of 16-bit stereo audio at 48kHz, with an unknown length.
+ * @returns {Buffer}
+ * @private
+ */
+function createWavHeader() {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(0xffffffff, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // Size of the format chunk
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(CHANNELS, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * CHANNELS * 2, 28); // Byte rate
+  header.writeUInt16LE(CHANNELS * 2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(0xffffffff, 40);
+  return header;
+}
+
+module.exports = MixedAudioStream;
@@ -0,0 +1,187 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { randomInt } = require('node:crypto');
+const { Transform } = require('node:stream');
+const { name, version } = require('../../../../package.json');
+
+const SAMPLE_RATE = 48_000;
+const MAX_SEGMENTS = 255;
+
+const HeaderTypes = {
+  BEGINNING: 0x02,
+  END: 0x04,
+};
+
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let r = i << 24;
+  for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+  CRC_TABLE[i] = r >>> 0;
+}
+
+function crc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  return crc;
+}
+
+/**
+ * Gets the number of samples (at 48kHz) of an Opus packet, from its TOC byte.
+ * @see {@link https://www.rfc-editor.org/rfc/rfc6716#section-3.1}
+ * @param {Buffer} packet The Opus packet
+ * @returns {number}
+ * @private
+ */
+function getPacketSamples(packet) {
+  if (!packet.length) return 0;
+  const config = packet[0] >> 3;
+  let frameDuration;
+  if (config < 12) frameDuration = [10, 20, 40, 60][config % 4];
+  else if (config < 16) frameDuration = [10, 20][config % 2];
+  else frameDuration = [2.5, 5, 10, 20][config % 4];
+
+  const code = packet[0] & 0x03;
+  let frames = 1;
+  if (code === 1 || code === 2) frames = 2;
+  else if (code === 3) frames = packet.length > 1 ? packet[1] & 0x3f : 0;
+  return (frameDuration * SAMPLE_RATE * frames) / 1000;
+}
+
+/**
+ * A packet to mux in an Ogg Opus stream.
+ * @typedef {Object} OggOpusPacket
+ * @property {Buffer} payload The Opus packet
+ * @property {number} [timestamp] The position of the packet in the stream, in samples at 48kHz. When it is after the
+ * end of the previous packet, the gap is kept as a jump of the granule position. Packets without it follow the
+ * previous one
+ */
+
+/**
+ * Muxes Opus packets into an Ogg Opus stream.
+ * It is written {@link OggOpusPacket} objects or Opus packets, and outputs the Ogg pages.
+ * @see {@link https://www.rfc-editor.org/rfc/rfc7845}
+ * @extends {Transform}
+ */
+class OggOpusMuxer extends Transform {
+  /**
+   * @param {Object} [options] The options of the stream
+   * @param {number} [options.channels=2] The number of channels of the packets
+   * @param {number} [options.maxPageDuration=48000] The duration of audio after which a page is written, in samples
+   */
+  constructor({ channels = 2, maxPageDuration = SAMPLE_RATE, ...options } = {}) {
+    super({ ...options, writableObjectMode: true });
+
+    /**
+     * The number of channels of the packets
+     * @type {number}
+     */
+    this.channels = channels;
+
+    /**
+     * The duration of audio after which a page is written, in samples
+     * @type {number}
+     */
+    this.maxPageDuration = maxPageDuration;
+
+    /**
+     * The serial number of the logical stream
+     * @type {number}
+     */
+    this.serial = randomInt(0x100000000);
+
+    /**
+     * The granule position of the end of the last packet, which is the amount of samples written
+     * @type {number}
+     */
+    this.granulePosition = 0;
+
+    this._pageSequence = 0;
+    this._packets = [];
+    this._segments = 0;
+    this._pageDuration = 0;
+    this._headersWritten = false;
+  }
+
+  _transform(chunk, encoding, done) {
+    const { payload, timestamp } = Buffer.isBuffer(chunk) ? { payload: chunk } : chunk;
+    this._writeHeaders();
+
+    if (timestamp > this.granulePosition) {
+      // A page has a single granule position, so the packets after a gap start a new one
+      this._writePage();
+      this.granulePosition = Math.round(timestamp);
+    }
+
+    const segments = Math.floor(payload.length / 255) + 1;
+    if (this._segments + segments > MAX_SEGMENTS || this._pageDuration >= this.maxPageDuration) this._writePage();
+
+    const samples = getPacketSamples(payload);
+    this._packets.push(payload);
+    this._segments += segments;
+    this._pageDuration += samples;
+    this.granulePosition += samples;
+    done();
+  }
+
+  _flush(done) {
+    this._writeHeaders();
+    this._writePage(true);
+    done();
+  }
+
+  _writeHeaders() {
+    if (this._headersWritten) return;
+    this._headersWritten = true;
+
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0);
+    head.writeUInt8(1, 8); // Version
+    head.writeUInt8(this.channels, 9);
+    head.writeUInt16LE(0, 10); // Pre-skip, the encoder of the packets isn't known
+    head.writeUInt32LE(SAMPLE_RATE, 12);
+    head.writeInt16LE(0, 16); // Output gain
+    head.writeUInt8(0, 18); // Channel mapping family
+    this._pushPage([head], 0, HeaderTypes.BEGINNING);
+
+    const vendor = Buffer.from(`${name} ${version}`);
+    const tags = Buffer.alloc(16 + vendor.length);
+    tags.write('OpusTags', 0);
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendor.length); // Number of comments
+    this._pushPage([tags], 0, 0);
+  }
+
+  _writePage(end = false) {
+    if (!this._packets.length && !end) return;
+    this._pushPage(this._packets, this.granulePosition, end ? HeaderTypes.END : 0);
+    this._packets = [];
+    this._segments = 0;
+    this._pageDuration = 0;
+  }
+
+  _pushPage(packets, granulePosition, headerType) {
+    const lacing = [];
+    for (const packet of packets) {
+      for (let i = 0; i < Math.floor(packet.length / 255); i++) lacing.push(255);
+      lacing.push(packet.length % 255);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0);
+    header.writeUInt8(0, 4); // Version
+    header.writeUInt8(headerType, 5);
+    header.writeBigInt64LE(BigInt(granulePosition), 6);
+    header.writeUInt32LE(this.serial, 14);
+    header.writeUInt32LE(this._pageSequence++, 18);
+    header.writeUInt8(lacing.length, 26);
+    Buffer.from(lacing).copy(header, 27);
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(crc32(page), 22);
+    this.push(page);
+  }
+}
+
+module.exports = OggOpusMuxer;
@@ -5,7 +5,9 @@ const { Buffer } = require('node:buffer');
 const crypto = require('node:crypto');
 const { setTimeout } = require('node:timers');
 const { RtpPacket } = require('werift-rtp');
+const JitterBuffer = require('./JitterBuffer');
 const Recorder = require('./Recorder');
+const VideoFrameDecryptor = require('./VideoFrameDecryptor');
 const Speaking = require('../../../util/Speaking');
 const Util = require('../../../util/Util');
 const secretbox = require('../util/Secretbox');
@@ -30,6 +32,18 @@ class PacketHandler extends EventEmitter {
     this.streams = new Map();
     this.videoStreams = new Map();
     this.speakingTimeouts = new Map();
+
+    /**
+     * The jitter buffers of the audio packets, mapped by SSRC
+     * @type {Map<number, JitterBuffer>}
+     */
+    this.jitterBuffers = new Map();
+
+    /**
+     * The decryptors of the end-to-end encrypted video frames, mapped by SSRC
+     * @type {Map<number, VideoFrameDecryptor>}
+     */
+    this.videoDecryptors = new Map();
   }
 
   getNonceBuffer() {
@@ -50,14 +64,67 @@ class PacketHandler extends EventEmitter {
     }
   }
 
-  makeStream(user, end) {
+  makeStream(user, end, concealment = 'plc') {
     if (this.streams.has(user)) return this.streams.get(user).stream;
     const stream = new Readable();
     stream.on('end', () => this.streams.delete(user));
-    this.streams.set(user, { stream, end });
+    this.streams.set(user, { stream, end, concealment });
     return stream;
   }
 
+  getJitterBuffer(ssrc) {
+    let jitterBuffer = this.jitterBuffers.get(ssrc);
+    if (!jitterBuffer) {
+      jitterBuffer = new JitterBuffer(
+        this.receiver,
+        packet => this.onAudioPacket(ssrc, packet),
+        lastPacket => this.onAudioLost(ssrc, lastPacket),
+      );
+      this.jitterBuffers.set(ssrc, jitterBuffer);
+    }
+    return jitterBuffer;
+  }
+
+  /**
+   * Gets the statistics of the audio packets received from a user.
+   * @param {Snowflake} userId The id of the user
+   * @returns {?VoiceReceiverStats}
+   */
+  getStats(userId) {
+    for (const [ssrc, jitterBuffer] of this.jitterBuffers) {
+      if (this.connection.ssrcMap.get(ssrc)?.userId === userId) return { ...jitterBuffer.stats };
+    }
+    return null;
+  }
+
+  onAudioPacket(ssrc, packet) {
+    const userStat = this.connection.ssrcMap.get(ssrc);
+    if (!userStat) return;
+    this.audioReceiver(ssrc, userStat, packet);
+    this.audioReceiverForStream(ssrc, userStat, packet);
+    if (!(packet instanceof Error)) this.receiver.emit('receiverData', userStat, packet);
+  }
+
+  /**
+   * Conceals a lost audio packet in the stream of its user.
+   * With the `plc` concealment, an empty Opus frame is pushed so that the decoder conceals it,
+   * with the `silence` one, a silence frame is pushed instead.
+   * @param {number} ssrc The SSRC of the packet
+   * @param {?RtpPacket} lastPacket The packet received before the lost one
+   */
+  onAudioLost(ssrc, lastPacket) {
+    const userStat = this.connection.ssrcMap.get(ssrc);
+    const streamInfo = userStat && this.streams.get(userStat.userId);
+    if (!streamInfo || streamInfo.concealment === 'none') return;
+    const toc = lastPacket?.payload?.[0];
+    if (streamInfo.concealment === 'silence' || toc === undefined) {
+      streamInfo.stream.push(SILENCE_FRAME);
+    } else {
+      // A frame without data, using the configuration of the previous frame, is decoded as a lost frame
+      streamInfo.stream.push(Buffer.from([toc & 0xfc]));
+    }
+  }
+
   makeVideoStream(user, output) {
     if (this.videoStreams.has(user)) return this.videoStreams.get(user);
     const stream = new Recorder(this, {
@@ -132,6 +199,50 @@ class PacketHandler extends EventEmitter {
     return RtpPacket.deSerialize(Buffer.concat([header, packet]));
   }
 
+  /**
+   * Decrypts the end-to-end encrypted opus frame of a packet, if the call supports it (DAVE protocol).
+   * The video frames are split across packets, so they are decrypted by {@link PacketHandler#decryptVideoFrame}.
+   * @param {RtpPacket|Error} packet The packet
+   * @param {Snowflake} userId The id of the user who sent it
+   * @returns {?(RtpPacket|Error)} The packet, `null` if its frame couldn't be decrypted
+   */
+  decryptFrame(packet, userId) {
+    const dave = this.connection.dave;
+    if (!dave || packet instanceof Error || !packet.payload?.length) return packet;
+    if (packet.header.payloadType !== Util.getPayloadType('opus')) return packet;
+    try {
+      const frame = dave.decrypt(packet.payload, userId);
+      if (!frame) return null;
+      packet.payload = frame;
+      return packet;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  /**
+   * Decrypts the end-to-end encrypted video frames, if the call supports it (DAVE protocol).
+   * The packets are held until the last packet of their frame is received.
+   * @param {number} ssrc The SSRC of the packet
+   * @param {RtpPacket|Error} packet The packet
+   * @param {Snowflake} userId The id of the user who sent it
+   * @returns {Array<RtpPacket|Error>} The packets of the decrypted frame
+   */
+  decryptVideoFrame(ssrc, packet, userId) {
+    const dave = this.connection.dave;
+    if (!dave?.session || packet instanceof Error || !packet.payload?.length) return [packet];
+    let decryptor = this.videoDecryptors.get(ssrc);
+    if (!decryptor) {
+      decryptor = new VideoFrameDecryptor(this.connection);
+      this.videoDecryptors.set(ssrc, decryptor);
+    }
+    try {
+      return decryptor.push(packet, userId);
+    } catch (error) {
+      return [error];
+    }
+  }
+
   audioReceiver(ssrc, userStat, opusPacket) {
     const streamInfo = this.streams.get(userStat.userId);
     // If the user is in video, we need to check if the packet is just silence
@@ -230,18 +341,19 @@ class PacketHandler extends EventEmitter {
 
   push(buffer) {
     const ssrc = buffer.readUInt32BE(8);
-    let userStat, packet;
     if (this.connection.ssrcMap.has(ssrc)) {
-      userStat = this.connection.ssrcMap.get(ssrc); // Audio_ssrc
-      packet = this.parseBuffer(buffer);
-      this.audioReceiver(ssrc, userStat, packet);
-      this.audioReceiverForStream(ssrc, userStat, packet);
+      const userStat = this.connection.ssrcMap.get(ssrc); // Audio_ssrc
+      const packet = this.decryptFrame(this.parseBuffer(buffer), userStat.userId);
+      // The packets are put back in order before being used
+      if (packet instanceof Error) this.onAudioPacket(ssrc, packet);
+      else if (packet) this.getJitterBuffer(ssrc).push(packet);
     } else if (this.connection.ssrcMap.has(ssrc - 1)) {
-      userStat = this.connection.ssrcMap.get(ssrc - 1); // Video_ssrc
-      packet = this.parseBuffer(buffer);
-      this.videoReceiver(ssrc, userStat, packet);
+      const userStat = this.connection.ssrcMap.get(ssrc - 1); // Video_ssrc
+      for (const packet of this.decryptVideoFrame(ssrc, this.parseBuffer(buffer), userStat.userId)) {
+        this.videoReceiver(ssrc, userStat, packet);
+        if (!(packet instanceof Error)) this.receiver.emit('receiverData', userStat, packet);
+      }
     }
-    if (userStat && !(packet instanceof Error)) this.receiver.emit('receiverData', userStat, packet);
   }
 
   // When udp connection is closed (STREAM_DELETE), destroy all streams (Memory leak)
@@ -254,6 +366,11 @@ class PacketHandler extends EventEmitter {
       stream.destroy();
     }
     this.videoStreams.clear();
+    for (const jitterBuffer of this.jitterBuffers.values()) {
+      jitterBuffer.destroy();
+    }
+    this.jitterBuffers.clear();
+    this.videoDecryptors.clear();
   }
 }
 
@@ -1,9 +1,16 @@
 'use strict';
 
 const EventEmitter = require('events');
+const { createWriteStream } = require('node:fs');
+const { pipeline, Writable } = require('node:stream');
 const prism = require('prism-media');
+const MixedAudioStream = require('./MixedAudioStream');
+const OggOpusMuxer = require('./OggOpusMuxer');
 const PacketHandler = require('./PacketHandler');
-const { Error } = require('../../../errors');
+const RtpClock = require('./RtpClock');
+const SpeakingTimeline = require('./SpeakingTimeline');
+const { Error, TypeError } = require('../../../errors');
+const Util = require('../../../util/Util');
 const { PCMInsertSilence } = require('../player/processing/PCMInsertSilence');
 
 /**
@@ -17,6 +24,14 @@ class VoiceReceiver extends EventEmitter {
   constructor(connection) {
     super();
     this.connection = connection;
+
+    /**
+     * How many audio packets may wait for a missing one before it is considered lost.
+     * The audio is delayed by 20ms for every packet while one is missing, `0` disables the reordering of the packets.
+     * @type {number}
+     */
+    this.jitterBufferDepth = 3;
+
     this.packets = new PacketHandler(this);
     /**
      * Emitted whenever there is a warning
@@ -36,6 +51,9 @@ class VoiceReceiver extends EventEmitter {
    * stops talking. Otherwise, if `manual`, this should be handled by you.
    * @property {boolean} [paddingSilence=false] Whether to add silence padding
    * If 'end' is set to 'silence', this property automatically defaults to `false`
+   * @property {string} [concealment='plc'] How the lost packets are replaced in the stream. If `plc`, empty frames
+   * are added so that the Opus decoder conceals them. If `silence`, silence frames are added. If `none`, they are
+   * skipped
    */
 
   /**
@@ -45,11 +63,11 @@ class VoiceReceiver extends EventEmitter {
    * @param {ReceiveStreamOptions} options Options.
    * @returns {ReadableStream}
    */
-  createStream(user, { mode = 'opus', end = 'silence', paddingSilence = false } = {}) {
+  createStream(user, { mode = 'opus', end = 'silence', paddingSilence = false, concealment = 'plc' } = {}) {
     user = this.connection.client.users.resolve(user);
     if (end === 'silence') paddingSilence = false;
     if (!user) throw new Error('VOICE_USER_MISSING');
-    const stream = this.packets.makeStream(user.id, end); // Opus stream
+    const stream = this.packets.makeStream(user.id, end, concealment); // Opus stream
     if (paddingSilence) {
       const decoder = new prism.opus.Decoder({ channels: 2, rate: 48000, frameSize: 960 });
       const pcmTransformer = new PCMInsertSilence();
@@ -70,6 +88,125 @@ class VoiceReceiver extends EventEmitter {
     }
   }
 
+  /**
+   * Options passed to `VoiceReceiver#record`.
+   * @typedef {Object} RecordOptions
+   * @property {string} [format='ogg'] The format of the recording, only `ogg` (Ogg Opus) is supported
+   * @property {Writable|string} [output] The stream or the path of the file to write the recording to,
+   * the errors of the file are emitted by the recording
+   */
+
+  /**
+   * Records the audio of a user, without decoding it. The silences are kept as jumps of the timestamps,
+   * starting from when the recording started. The recording ends when it is ended, or when the connection is closed.
+   * @param {UserResolvable} user The user to record
+   * @param {RecordOptions} [options] Options for the recording
+   * @returns {OggOpusMuxer} The recording, which can be ended with `end()`
+   * @example
+   * // Record a user to a file until they leave
+   * const recording = receiver.record(user, { output: './recording.ogg' });
+   * client.on('voiceStateUpdate', (oldState, newState) => {
+   *   if (newState.id === user.id && !newState.channelId) recording.end();
+   * });
+   */
+  record(user, { format = 'ogg', output } = {}) {
+    const userId = this.connection.client.users.resolveId(user);
+    if (!userId) throw new Error('VOICE_USER_MISSING');
+    if (format !== 'ogg') throw new TypeError('VOICE_RECORD_FORMAT', format);
+
+    const recording = new OggOpusMuxer();
+    const startedAt = performance.now();
+    const clock = new RtpClock();
+
+    const onData = (userStat, packet) => {
+      if (userStat.userId !== userId || packet.header.payloadType !== Util.getPayloadType('opus')) return;
+      // The recording may have been ended by the user, and not be finished yet if its output is slow
+      if (recording.writableEnded) {
+        detach();
+        return;
+      }
+      recording.write({
+        payload: packet.payload,
+        timestamp: clock.position(packet.header.timestamp, RtpClock.now(startedAt)),
+      });
+    };
+    const detach = () => {
+      this.removeListener('receiverData', onData);
+      this.connection.removeListener('closing', end);
+    };
+    const end = () => {
+      detach();
+      if (!recording.writableEnded) recording.end();
+    };
+
+    this.on('receiverData', onData);
+    this.connection.once('closing', end);
+    for (const event of ['finish', 'close', 'error']) recording.once(event, detach);
+
+    if (typeof output === 'string') {
+      pipeline(recording, createWriteStream(output), error => error && recording.destroy(error));
+    } else if (output instanceof Writable) {
+      recording.pipe(output);
+    }
+    return recording;
+  }
+
+  /**
+   * Options passed to `VoiceReceiver#createMixedStream`.
+   * @typedef {Object} MixedStreamOptions
+   * @property {UserResolvable[]} [users] The users to mix, all of them by default
+   * @property {MixedAudioFormat} [format='pcm'] The format of the stream
+   */
+
+  /**
+   * Creates a stream of the audio of all the speakers mixed together, which goes on until it is stopped or the
+   * connection is closed.
+   * @param {MixedStreamOptions} [options] Options for the stream
+   * @returns {MixedAudioStream}
+   * @example
+   * // Archive the call in a file
+   * const stream = receiver.createMixedStream({ format: 'wav' });
+   * stream.pipe(fs.createWriteStream('./call.wav'));
+   */
+  createMixedStream({ users, format = 'pcm' } = {}) {
+    if (!['pcm', 'wav'].includes(format)) throw new TypeError('VOICE_RECORD_FORMAT', format);
+    let userIds = null;
+    if (users) {
+      userIds = new Set();
+      for (const user of users) {
+        const userId = this.connection.client.users.resolveId(user);
+        if (!userId) throw new Error('VOICE_USER_MISSING');
+        userIds.add(userId);
+      }
+    }
+    return new MixedAudioStream(this, { users: userIds, format });
+  }
+
+  /**
+   * Creates a timeline recording who speaks when, until it is stopped or the connection is closed.
+   * @returns {SpeakingTimeline}
+   * @example
+   * // Write the talk time of every user once the call is over
+   * const timeline = receiver.createSpeakingTimeline();
+   * connection.once('disconnect', () => {
+   *   for (const [userId, talkTime] of timeline.talkTime) console.log(`${userId} spoke for ${talkTime}ms`);
+   * });
+   */
+  createSpeakingTimeline() {
+    return new SpeakingTimeline(this);
+  }
+
+  /**
+   * Gets the statistics of the audio packets received from a user.
+   * @param {UserResolvable} user The user
+   * @returns {?VoiceReceiverStats} `null` if no packets were received from the user
+   */
+  getStats(user) {
+    const userId = this.connection.client.users.resolveId(user);
+    if (!userId) throw new Error('VOICE_USER_MISSING');
+    return this.packets.getStats(userId);
+  }
+
   /**
    * Creates a new video receiving stream. If a stream already exists for a user, then that stream will be returned
    * rather than generating a new one.
@@ -0,0 +1,58 @@
+'use strict';
+
+const SAMPLE_RATE = 48_000;
+
+/**
+ * Places the RTP timestamps of a user on a clock shared by several users, in samples at 48kHz.
+ * The RTP timestamps of the audio keep increasing while the user is silent, so the silences are kept. The first
+ * timestamp is placed at the current position of the shared clock, and the timestamps are aligned on it again when
+ * they drift further than the resync threshold, e.g. after the sender restarted.
+ * @private
+ */
+class RtpClock {
+  /**
+   * @param {number} [resyncThreshold=48000] How far the timestamps may drift from the shared clock, in samples
+   */
+  constructor(resyncThreshold = SAMPLE_RATE) {
+    this.resyncThreshold = resyncThreshold;
+
+    /**
+     * The timestamp placed at `start`
+     * @type {?number}
+     */
+    this.firstTimestamp = null;
+
+    /**
+     * The position of `firstTimestamp` on the shared clock
+     * @type {number}
+     */
+    this.start = 0;
+  }
+
+  /**
+   * Gets the position of a timestamp on the shared clock.
+   * @param {number} timestamp The RTP timestamp
+   * @param {number} now The current position of the shared clock
+   * @returns {number}
+   */
+  position(timestamp, now) {
+    if (this.firstTimestamp !== null) {
+      const position = this.start + ((timestamp - this.firstTimestamp) >>> 0);
+      if (Math.abs(position - now) <= this.resyncThreshold) return position;
+    }
+    this.firstTimestamp = timestamp;
+    this.start = now;
+    return now;
+  }
+
+  /**
+   * Gets the current position of a shared clock.
+   * @param {number} startedAt When the shared clock started, from `performance.now()`
+   * @returns {number}
+   */
+  static now(startedAt) {
+    return Math.round(((performance.now() - startedAt) * SAMPLE_RATE) / 1000);
+  }
+}
+
+module.exports = RtpClock;
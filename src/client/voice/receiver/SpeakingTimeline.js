@@ -0,0 +1,235 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const RtpClock = require('./RtpClock');
+const Speaking = require('../../../util/Speaking');
+const Util = require('../../../util/Util');
+const { SILENCE_FRAME } = require('../util/Silence');
+
+const SAMPLE_RATE = 48_000;
+// The duration of the Opus frames sent by Discord, in samples
+const FRAME_SAMPLES = 960;
+// A longer pause between the packets of a user ends their segment, like the speaking timeouts of the packet handler
+const SPEAKING_DELAY = SAMPLE_RATE / 4;
+
+/**
+ * An interval during which a user was speaking.
+ * @typedef {Object} SpeakingSegment
+ * @property {Snowflake} userId The id of the user
+ * @property {number} start When the user started speaking, in milliseconds since the start of the timeline
+ * @property {number} end When the user stopped speaking, in milliseconds since the start of the timeline
+ */
+
+/**
+ * Records who spoke when in a call, without keeping the audio.
+ * The segments are placed on a shared clock using the RTP timestamps of the packets, so they aren't affected by the
+ * delays of the network.
+ * @example
+ * const timeline = receiver.createSpeakingTimeline();
+ * connection.once('disconnect', () => fs.writeFileSync('./call.srt', timeline.toSRT()));
+ */
+class SpeakingTimeline {
+  /**
+   * @param {VoiceReceiver} receiver The receiver of the audio
+   */
+  constructor(receiver) {
+    Object.defineProperty(this, 'receiver', { value: receiver });
+
+    /**
+     * When the timeline started
+     * @type {Date}
+     */
+    this.startedAt = new Date();
+
+    /**
+     * The segments recorded, in the order they started in
+     * @type {SpeakingSegment[]}
+     */
+    this.segments = [];
+
+    /**
+     * Whether the timeline is still recording
+     * @type {boolean}
+     */
+    this.recording = true;
+
+    /**
+     * The clocks and the current segments of the users, mapped by user id
+     * @type {Map<Snowflake, Object>}
+     * @private
+     */
+    this._speakers = new Map();
+
+    this._start = performance.now();
+    this._stoppedAt = null;
+    this._onData = (userStat, packet) => this._onPacket(userStat.userId, packet);
+    this._onSpeaking = (user, speaking) => {
+      // The segment of a user ends when the speaking timeout of the packet handler expires
+      const speaker = user && this._speakers.get(user.id);
+      if (speaker && !speaking.has(Speaking.FLAGS.SPEAKING)) speaker.segment = null;
+    };
+    this._onClosing = () => this.stop();
+    this.receiver.on('receiverData', this._onData);
+    this.receiver.connection.on('speaking', this._onSpeaking);
+    this.receiver.connection.once('closing', this._onClosing);
+  }
+
+  /**
+   * The duration of the timeline, in milliseconds
+   * @type {number}
+   * @readonly
+   */
+  get duration() {
+    return (this._stoppedAt ?? performance.now()) - this._start;
+  }
+
+  /**
+   * The ids of the users speaking right now
+   * @type {Snowflake[]}
+   * @readonly
+   */
+  get speaking() {
+    return [...this._speakers].filter(([, speaker]) => speaker.segment).map(([userId]) => userId);
+  }
+
+  /**
+   * How long the users spoke, in milliseconds, mapped by user id
+   * @type {Collection<Snowflake, number>}
+   * @readonly
+   */
+  get talkTime() {
+    const talkTime = new Collection();
+    for (const { userId, start, end } of this.segments) talkTime.set(userId, (talkTime.get(userId) ?? 0) + end - start);
+    return talkTime;
+  }
+
+  /**
+   * Gets how long a user spoke, in milliseconds.
+   * @param {UserResolvable} user The user
+   * @returns {number}
+   */
+  getTalkTime(user) {
+    const userId = this.receiver.connection.client.users.resolveId(user);
+    return this.talkTime.get(userId) ?? 0;
+  }
+
+  _onPacket(userId, packet) {
+    if (!this.recording || packet.header.payloadType !== Util.getPayloadType('opus')) return;
+    // Discord sends a few silence frames after the user stopped speaking
+    if (!packet.payload?.length || SILENCE_FRAME.equals(packet.payload)) return;
+
+    let speaker = this._speakers.get(userId);
+    if (!speaker) {
+      speaker = { clock: new RtpClock(), segment: null };
+      this._speakers.set(userId, speaker);
+    }
+
+    const position = speaker.clock.position(packet.header.timestamp, RtpClock.now(this._start));
+
+    const start = toMilliseconds(position);
+    const end = toMilliseconds(position + FRAME_SAMPLES);
+    if (speaker.segment && start <= speaker.segment.end + toMilliseconds(SPEAKING_DELAY)) {
+      if (end > speaker.segment.end) speaker.segment.end = end;
+      return;
+    }
+    speaker.segment = { userId, start, end };
+    this.segments.push(speaker.segment);
+  }
+
+  /**
+   * Stops recording, the segments are kept.
+   */
+  stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    this._stoppedAt = performance.now();
+    this._speakers.clear();
+    this.receiver.removeListener('receiverData', this._onData);
+    this.receiver.connection.removeListener('speaking', this._onSpeaking);
+    this.receiver.connection.removeListener('closing', this._onClosing);
+  }
+
+  /**
+   * Gets the segments sorted by the time they started at.
+   * @returns {SpeakingSegment[]}
+   * @private
+   */
+  _sortedSegments() {
+    return this.segments.map(segment => ({ ...segment })).sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  /**
+   * Gets the name to show for a user in the exports, their username if they are cached.
+   * @param {Snowflake} userId The id of the user
+   * @returns {string}
+   * @private
+   */
+  _getName(userId) {
+    return this.receiver.connection.client.users.cache.get(userId)?.username ?? userId;
+  }
+
+  toJSON() {
+    return {
+      startedAt: this.startedAt.getTime(),
+      duration: this.duration,
+      segments: this._sortedSegments(),
+      talkTime: Object.fromEntries(this.talkTime),
+    };
+  }
+
+  /**
+   * Exports the timeline as SubRip subtitles, with the name of the speaker as the text of every segment.
+   * @returns {string}
+   */
+  toSRT() {
+    return this._sortedSegments()
+      .map(
+        ({ userId, start, end }, i) =>
+          `${i + 1}\n${formatSRTTime(start)} --> ${formatSRTTime(end)}\n${this._getName(userId)}\n`,
+      )
+      .join('\n');
+  }
+
+  /**
+   * Exports the timeline in the Rich Transcription Time Marked format used by the diarization tools,
+   * with the id of the user as the name of the speaker.
+   * @param {string} [file='call'] The name of the recording to reference
+   * @returns {string}
+   */
+  toRTTM(file = 'call') {
+    return this._sortedSegments()
+      .map(({ userId, start, end }) => {
+        const onset = (start / 1000).toFixed(3);
+        const duration = ((end - start) / 1000).toFixed(3);
+        return `SPEAKER ${file} 1 ${onset} ${duration} <NA> <NA> ${userId} <NA> <NA>\n`;
+      })
+      .join('');
+  }
+}
+
+/**
+ * Converts a number of samples at 48kHz to milliseconds.
+ * @param {number} samples The number of samples
+ * @returns {number}
+ * @private
+ */
+function toMilliseconds(samples) {
+  return samples / (SAMPLE_RATE / 1000);
+}
+
+/**
+ * Formats a time as a SubRip timestamp (`HH:MM:SS,mmm`).
+ * @param {number} milliseconds The time, in milliseconds
+ * @returns {string}
+ * @private
+ */
+function formatSRTTime(milliseconds) {
+  milliseconds = Math.round(milliseconds);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(milliseconds / 3_600_000);
+  const minutes = Math.floor(milliseconds / 60_000) % 60;
+  const seconds = Math.floor(milliseconds / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(milliseconds % 1000, 3)}`;
+}
+
+module.exports = SpeakingTimeline;
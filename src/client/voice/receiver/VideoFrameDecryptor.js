@@ -0,0 +1,233 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { RtpHeader, RtpPacket } = require('werift-rtp');
+const Util = require('../../../util/Util');
+
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+// The largest payload of the packets made from a decrypted frame, like the dispatchers
+const MTU = 1200;
+
+/**
+ * Puts the video frames of a SSRC back together from their packets to decrypt them (DAVE protocol), and splits
+ * the decrypted frames into packets again.
+ * The frames are end-to-end encrypted before being split into packets, so they can only be decrypted once all their
+ * packets are received. The H264 and H265 frames are decrypted in the Annex B format, like they are encrypted by the
+ * dispatchers. The packets of the other codecs than H264, H265 and VP8 are left as is.
+ * @private
+ */
+class VideoFrameDecryptor {
+  /**
+   * @param {VoiceConnection} connection The connection of the frames
+   */
+  constructor(connection) {
+    this.connection = connection;
+
+    /**
+     * The packets of the frame being received
+     * @type {RtpPacket[]}
+     */
+    this.packets = [];
+
+    /**
+     * The sequence number of the next packet made from a decrypted frame
+     * @type {?number}
+     */
+    this.sequence = null;
+  }
+
+  /**
+   * Adds a received packet.
+   * @param {RtpPacket} packet The packet
+   * @param {Snowflake} userId The id of the user who sent it
+   * @returns {RtpPacket[]} The packets of the decrypted frame, once its last packet is received
+   */
+  push(packet, userId) {
+    const codec = Util.getAllPayloadType().find(type => type.payload_type === packet.header.payloadType)?.name;
+    if (!Codecs[codec]) return [packet];
+
+    // A frame whose last packet was lost can't be decrypted
+    if (this.packets.length && this.packets[0].header.timestamp !== packet.header.timestamp) this.packets = [];
+    this.packets.push(packet);
+    if (!packet.header.marker) return [];
+
+    const packets = this.packets;
+    this.packets = [];
+    const first = packets[0].header.sequenceNumber;
+    packets.sort((a, b) => distance(first, a.header.sequenceNumber) - distance(first, b.header.sequenceNumber));
+    for (let i = 1; i < packets.length; i++) {
+      if (distance(packets[i - 1].header.sequenceNumber, packets[i].header.sequenceNumber) !== 1) return [];
+    }
+
+    const frame = Codecs[codec].depacketize(packets.map(({ payload }) => payload));
+    if (!frame?.length) return [];
+    const decrypted = this.connection.dave.decrypt(frame, userId, true);
+    if (!decrypted) return [];
+
+    this.sequence ??= first;
+    const payloads = Codecs[codec].packetize(decrypted);
+    return payloads.map((payload, i) => {
+      const header = new RtpHeader({
+        payloadType: packet.header.payloadType,
+        sequenceNumber: this.sequence,
+        timestamp: packet.header.timestamp,
+        ssrc: packet.header.ssrc,
+        marker: i === payloads.length - 1,
+      });
+      this.sequence = (this.sequence + 1) & 0xffff;
+      return new RtpPacket(header, payload);
+    });
+  }
+}
+
+/**
+ * Gets the signed distance between two 16-bit sequence numbers, taking the wrap around into account.
+ * @param {number} from The first sequence number
+ * @param {number} to The second sequence number
+ * @returns {number}
+ * @private
+ */
+function distance(from, to) {
+  return ((to - from) << 16) >> 16;
+}
+
+/**
+ * Splits a frame in the Annex B format into its NAL units.
+ * @param {Buffer} frame The frame
+ * @returns {Buffer[]}
+ * @private
+ */
+function splitAnnexB(frame) {
+  const units = [];
+  let start = frame.indexOf(START_CODE);
+  if (start === -1) return [frame];
+  start += START_CODE.length;
+  for (let index = frame.indexOf(START_CODE, start); index !== -1; index = frame.indexOf(START_CODE, start)) {
+    units.push(frame.subarray(start, index));
+    start = index + START_CODE.length;
+  }
+  units.push(frame.subarray(start));
+  return units.filter(unit => unit.length);
+}
+
+/**
+ * Splits a buffer into parts of the size of the MTU at most.
+ * @param {Buffer} data The buffer
+ * @returns {Buffer[]}
+ * @private
+ */
+function partitionMtu(data) {
+  const parts = [];
+  for (let i = 0; i < data.length; i += MTU) parts.push(data.subarray(i, i + MTU));
+  return parts;
+}
+
+/**
+ * Makes the packets of the NAL units of a H264 or H265 frame, as single NAL unit packets or fragmentation units.
+ * @param {Buffer} frame The frame, in the Annex B format
+ * @param {number} headerLength The length of the header of the NAL units
+ * @param {Function} makeFragmentHeader Makes the header of a fragmentation unit
+ * @returns {Buffer[]}
+ * @private
+ */
+function packetizeAnnexB(frame, headerLength, makeFragmentHeader) {
+  return splitAnnexB(frame).flatMap(unit => {
+    if (unit.length <= MTU) return [unit];
+    const header = unit.subarray(0, headerLength);
+    const fragments = partitionMtu(unit.subarray(headerLength));
+    return fragments.map((fragment, i) =>
+      Buffer.concat([makeFragmentHeader(header, i === 0, i === fragments.length - 1), fragment]),
+    );
+  });
+}
+
+/**
+ * How the frames of the codecs are put back together from the payloads of their packets, and split again.
+ * @see {@link https://www.rfc-editor.org/rfc/rfc6184} for H264
+ * @see {@link https://www.rfc-editor.org/rfc/rfc7798} for H265
+ * @see {@link https://www.rfc-editor.org/rfc/rfc7741} for VP8
+ * @private
+ */
+const Codecs = {
+  H264: {
+    depacketize(payloads) {
+      const units = [];
+      for (const payload of payloads) {
+        const type = payload[0] & 0x1f;
+        if (type === 24) {
+          // STAP-A, several NAL units prefixed by their size
+          for (let offset = 1; offset + 2 <= payload.length; offset += 2 + payload.readUInt16BE(offset)) {
+            units.push(START_CODE, payload.subarray(offset + 2, offset + 2 + payload.readUInt16BE(offset)));
+          }
+        } else if (type === 28) {
+          // FU-A, the fragments of a NAL unit
+          if (payload[1] & 0x80) units.push(START_CODE, Buffer.from([(payload[0] & 0xe0) | (payload[1] & 0x1f)]));
+          units.push(payload.subarray(2));
+        } else {
+          units.push(START_CODE, payload);
+        }
+      }
+      return Buffer.concat(units);
+    },
+    packetize(frame) {
+      return packetizeAnnexB(frame, 1, (header, first, last) =>
+        Buffer.from([0x1c | (header[0] & 0xe0), (first ? 0x80 : last ? 0x40 : 0) | (header[0] & 0x1f)]),
+      );
+    },
+  },
+  H265: {
+    depacketize(payloads) {
+      const units = [];
+      for (const payload of payloads) {
+        const type = (payload[0] >> 1) & 0x3f;
+        if (type === 48) {
+          // Aggregation packet, several NAL units prefixed by their size
+          for (let offset = 2; offset + 2 <= payload.length; offset += 2 + payload.readUInt16BE(offset)) {
+            units.push(START_CODE, payload.subarray(offset + 2, offset + 2 + payload.readUInt16BE(offset)));
+          }
+        } else if (type === 49) {
+          // Fragmentation unit, the fragments of a NAL unit
+          if (payload[2] & 0x80) {
+            units.push(START_CODE, Buffer.from([(payload[0] & 0x81) | ((payload[2] & 0x3f) << 1), payload[1]]));
+          }
+          units.push(payload.subarray(3));
+        } else {
+          units.push(START_CODE, payload);
+        }
+      }
+      return Buffer.concat(units);
+    },
+    packetize(frame) {
+      return packetizeAnnexB(frame, 2, (header, first, last) =>
+        Buffer.from([
+          (header[0] & 0x81) | (49 << 1),
+          header[1],
+          (first ? 0x80 : last ? 0x40 : 0) | ((header[0] >> 1) & 0x3f),
+        ]),
+      );
+    },
+  },
+  VP8: {
+    depacketize(payloads) {
+      return Buffer.concat(
+        payloads.map(payload => {
+          let offset = 1;
+          if (payload[0] & 0x80) {
+            const extension = payload[1];
+            offset++;
+            if (extension & 0x80) offset += payload[offset] & 0x80 ? 2 : 1; // Picture id
+            if (extension & 0x40) offset++; // TL0PICIDX
+            if (extension & 0x30) offset++; // TID and KEYIDX
+          }
+          return payload.subarray(offset);
+        }),
+      );
+    },
+    packetize(frame) {
+      // The first packet of the frame has the start bit in its payload descriptor
+      return partitionMtu(frame).map((part, i) => Buffer.concat([Buffer.from([i === 0 ? 0x10 : 0x00]), part]));
+    },
+  },
+};
+
+module.exports = VideoFrameDecryptor;
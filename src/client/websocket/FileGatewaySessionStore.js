@@ -0,0 +1,57 @@
+'use strict';
+
+const fs = require('node:fs');
+const GatewaySessionStore = require('./GatewaySessionStore');
+
+/**
+ * A gateway session store saving the sessions of every shard in a JSON file.
+ * The file is written synchronously, so the sessions saved by {@link Client#destroy} are kept on exit.
+ * @extends {GatewaySessionStore}
+ */
+class FileGatewaySessionStore extends GatewaySessionStore {
+  /**
+   * @param {string} [path='sessions.json'] The path of the JSON file
+   */
+  constructor(path = 'sessions.json') {
+    super();
+
+    /**
+     * The path of the JSON file
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * The saved sessions, mapped by shard id
+     * @type {Object<number, GatewaySessionState>}
+     * @private
+     */
+    this.sessions = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : {};
+  }
+
+  get(shardId) {
+    return this.sessions[shardId] ?? null;
+  }
+
+  set(shardId, state) {
+    this.sessions[shardId] = { sessionId: state.sessionId, sequence: state.sequence, resumeURL: state.resumeURL };
+    this.save();
+  }
+
+  delete(shardId) {
+    if (!(shardId in this.sessions)) return;
+    delete this.sessions[shardId];
+    this.save();
+  }
+
+  /**
+   * Writes the saved sessions to the file.
+   */
+  save() {
+    // Write to a temporary file first so a crash can't leave a truncated file behind
+    fs.writeFileSync(`${this.path}.tmp`, JSON.stringify(this.sessions), 'utf8');
+    fs.renameSync(`${this.path}.tmp`, this.path);
+  }
+}
+
+module.exports = FileGatewaySessionStore;
@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('node:fs');
+const { TypeError } = require('../../errors');
+const { Events } = require('../../util/Constants');
+
+const REDACTED = '[REDACTED]';
+const TOKEN_REGEX = /(?:mfa\.[\w-]{20,}|[\w-]{23,28}\.[\w-]{6}\.[\w-]{27,})/g;
+
+/**
+ * Options for a {@link GatewayRecorder}.
+ * @typedef {Object} GatewayRecorderOptions
+ * @property {string} path The path of the JSONL file, appended to if it already exists
+ * @property {string[]} [redactKeys] The keys whose values are replaced by `[REDACTED]`, anywhere in a packet.
+ * Defaults to {@link GatewayRecorder.DEFAULT_REDACTED_KEYS}
+ * @property {boolean} [redactTokens=true] Whether strings that look like tokens are replaced by `[REDACTED]`
+ * @property {Function} [redact] A function receiving each packet and the shard id, returning the packet to record
+ * or `null` to skip it. It runs before the other redactions
+ */
+
+/**
+ * A packet saved by a {@link GatewayRecorder}, one per line of the file.
+ * @typedef {Object} RecordedGatewayPacket
+ * @property {number} time The timestamp at which the packet was received
+ * @property {number} shard The id of the shard that received the packet
+ * @property {Object} packet The packet
+ */
+
+/**
+ * Records the packets received by the shards of a client to a JSONL file,
+ * which can be fed to another client with {@link WebSocketManager#replay}.
+ */
+class GatewayRecorder {
+  constructor(client, { path, redactKeys = GatewayRecorder.DEFAULT_REDACTED_KEYS, redactTokens = true, redact } = {}) {
+    if (typeof path !== 'string') throw new TypeError('INVALID_TYPE', 'path', 'string');
+
+    /**
+     * The client whose packets are recorded
+     * @type {Client}
+     * @readonly
+     * @name GatewayRecorder#client
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The path of the JSONL file
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * The keys whose values are redacted
+     * @type {Set<string>}
+     */
+    this.redactKeys = new Set(redactKeys);
+
+    /**
+     * Whether strings that look like tokens are redacted
+     * @type {boolean}
+     */
+    this.redactTokens = redactTokens;
+
+    /**
+     * The custom redaction function, if any
+     * @type {?Function}
+     * @private
+     */
+    this.redact = redact ?? null;
+
+    /**
+     * The stream of the JSONL file, if recording
+     * @type {?WriteStream}
+     * @private
+     */
+    this.stream = null;
+
+    /**
+     * The amount of packets recorded
+     * @type {number}
+     */
+    this.count = 0;
+
+    this._onRaw = this.record.bind(this);
+  }
+
+  /**
+   * Whether this recorder is recording
+   * @type {boolean}
+   * @readonly
+   */
+  get recording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Starts recording.
+   * @returns {GatewayRecorder}
+   */
+  start() {
+    if (this.stream) return this;
+    this.stream = fs.createWriteStream(this.path, { flags: 'a' });
+    this.client.on(Events.RAW, this._onRaw);
+    return this;
+  }
+
+  /**
+   * Stops recording and flushes the file.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.stream) return Promise.resolve();
+    this.client.off(Events.RAW, this._onRaw);
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  /**
+   * Records a packet.
+   * @param {Object} packet The received packet
+   * @param {number} shardId The id of the shard that received the packet
+   * @private
+   */
+  record(packet, shardId) {
+    if (!this.stream) return;
+    if (this.redact) packet = this.redact(packet, shardId);
+    if (!packet) return;
+    const line = JSON.stringify({ time: Date.now(), shard: shardId, packet }, (key, value) => {
+      if (value === null || value === undefined) return value;
+      if (this.redactKeys.has(key)) return REDACTED;
+      if (this.redactTokens && typeof value === 'string') return value.replace(TOKEN_REGEX, REDACTED);
+      return value;
+    });
+    this.stream.write(`${line}\n`);
+    this.count++;
+  }
+}
+
+/**
+ * The keys redacted by default: tokens, contact details and IP addresses.
+ * @type {string[]}
+ */
+GatewayRecorder.DEFAULT_REDACTED_KEYS = [
+  'token',
+  'analytics_token',
+  'auth_token',
+  'email',
+  'phone',
+  'ip',
+  'ip_address',
+  'billing_address',
+];
+
+module.exports = GatewayRecorder;
+
+/**
+ * @external WriteStream
+ * @see {@link https://nodejs.org/api/fs.html#class-fswritestream}
+ */
@@ -14,6 +14,8 @@ class GatewaySendScheduler {
     this._timer = null;
     this._importantStreak = 0;
     this._processing = false;
+    // Incremented by clear(), so a packet dequeued before the queue was cleared is dropped
+    this._generation = 0;
 
     this.importantQueue = new FastQueue();
     this.normalQueue = new FastQueue();
@@ -51,11 +53,13 @@ class GatewaySendScheduler {
     this._lastRefill = Date.now();
     this._importantStreak = 0;
     this._processing = false;
+    this._generation++;
   }
 
   async process() {
     if (this._processing) return;
     this._processing = true;
+    const generation = this._generation;
 
     try {
       while (true) {
@@ -68,6 +72,7 @@ class GatewaySendScheduler {
 
         const jitterDelay = Math.floor(Math.random() * 101) + 50;
         await new Promise(resolve => setTimeout(resolve, jitterDelay));
+        if (generation !== this._generation) return;
 
         this.shard._send(next);
         this._tokens -= 1;
@@ -80,7 +85,7 @@ class GatewaySendScheduler {
         this._timer = null;
       }
     } finally {
-      this._processing = false;
+      if (generation === this._generation) this._processing = false;
     }
   }
 
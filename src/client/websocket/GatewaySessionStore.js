@@ -0,0 +1,52 @@
+'use strict';
+
+const { Error } = require('../../errors');
+
+/**
+ * The state of a gateway session, as saved in a {@link GatewaySessionStore}.
+ * @typedef {Object} GatewaySessionState
+ * @property {string} sessionId The id of the session
+ * @property {number} sequence The sequence of the last dispatch received
+ * @property {?string} resumeURL The URL to resume the session on
+ */
+
+/**
+ * The interface used by the shards to save their gateway session, so it can be resumed after a restart.
+ * Every method may return a promise.
+ * <info>Extend this class to save sessions somewhere else than a file.</info>
+ * @abstract
+ */
+class GatewaySessionStore {
+  /**
+   * Gets the saved session of a shard.
+   * @param {number} shardId The id of the shard
+   * @returns {?GatewaySessionState|Promise<?GatewaySessionState>}
+   * @abstract
+   */
+  get() {
+    throw new Error('NOT_IMPLEMENTED', 'get', this.constructor.name);
+  }
+
+  /**
+   * Saves the session of a shard.
+   * @param {number} shardId The id of the shard
+   * @param {GatewaySessionState} state The session to save
+   * @returns {void|Promise<void>}
+   * @abstract
+   */
+  set() {
+    throw new Error('NOT_IMPLEMENTED', 'set', this.constructor.name);
+  }
+
+  /**
+   * Removes the saved session of a shard.
+   * @param {number} shardId The id of the shard
+   * @returns {void|Promise<void>}
+   * @abstract
+   */
+  delete() {
+    throw new Error('NOT_IMPLEMENTED', 'delete', this.constructor.name);
+  }
+}
+
+module.exports = GatewaySessionStore;
@@ -0,0 +1,144 @@
+'use strict';
+
+// Runs the WebSocket connection of a shard in a worker thread, see GatewayWorkerConnection
+const { setTimeout, setInterval, clearTimeout, clearInterval } = require('node:timers');
+const { parentPort, workerData } = require('node:worker_threads');
+const TransportDecompressor = require('./TransportDecompressor');
+const WebSocket = require('../../WebSocket');
+const { Opcodes } = require('../../util/Constants');
+
+let zlib;
+
+try {
+  zlib = require('zlib-sync');
+} catch {} // eslint-disable-line no-empty
+
+const { url, query, options, compression, useQosHeartbeat } = workerData;
+
+let sequence = workerData.sequence;
+let lastHeartbeatAcked = true;
+let lastPingTimestamp = -1;
+let heartbeatTimeout = null;
+let heartbeatInterval = null;
+let inflate = null;
+let decompressor = null;
+
+const post = message => parentPort.postMessage(message);
+
+const stopHeartbeats = () => {
+  clearTimeout(heartbeatTimeout);
+  clearInterval(heartbeatInterval);
+  heartbeatTimeout = heartbeatInterval = null;
+};
+
+const sendHeartbeat = tag => {
+  post({ type: 'heartbeat', tag, acked: lastHeartbeatAcked });
+  if (ws.readyState !== WebSocket.OPEN) return;
+  lastHeartbeatAcked = false;
+  lastPingTimestamp = Date.now();
+  const packet = useQosHeartbeat
+    ? {
+        op: Opcodes.QOS_HEARTBEAT,
+        d: { seq: sequence, qos: { ver: 27, active: true, reasons: ['foregrounded'] } },
+      }
+    : { op: Opcodes.HEARTBEAT, d: sequence };
+  ws.send(WebSocket.pack(packet));
+};
+
+const startHeartbeats = interval => {
+  stopHeartbeats();
+  heartbeatTimeout = setTimeout(() => {
+    heartbeatTimeout = null;
+    sendHeartbeat('HeartbeatJitter');
+    heartbeatInterval = setInterval(() => sendHeartbeat('HeartbeatTimer'), interval);
+  }, Math.floor(Math.random() * interval));
+};
+
+const onPayload = raw => {
+  let packet;
+  try {
+    packet = WebSocket.unpack(raw);
+  } catch (error) {
+    post({ type: 'error', message: error.message });
+    return;
+  }
+  if (packet.s > sequence) sequence = packet.s;
+
+  switch (packet.op) {
+    case Opcodes.HELLO:
+      startHeartbeats(packet.d.heartbeat_interval);
+      break;
+    case Opcodes.HEARTBEAT:
+      sendHeartbeat('HeartbeatRequest');
+      return;
+    case Opcodes.HEARTBEAT_ACK:
+      lastHeartbeatAcked = true;
+      post({ type: 'heartbeatAck', latency: Date.now() - lastPingTimestamp });
+      return;
+    case Opcodes.INVALID_SESSION:
+      if (!packet.d) sequence = -1;
+      break;
+  }
+  post({ type: 'packet', packet });
+};
+
+if (compression === 'zlib-stream' && zlib) {
+  inflate = new zlib.Inflate({
+    chunkSize: 65535,
+    flush: zlib.Z_SYNC_FLUSH,
+    to: WebSocket.encoding === 'json' ? 'string' : '',
+  });
+} else if (compression) {
+  decompressor = new TransportDecompressor(compression, onPayload, error => {
+    post({ type: 'decompressionError', message: error.message });
+  });
+}
+
+const ws = WebSocket.create(url, query, options);
+
+ws.onopen = () => post({ type: 'open' });
+
+ws.onmessage = ({ data }) => {
+  if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+  if (decompressor) {
+    decompressor.push(data);
+    return;
+  }
+  if (inflate) {
+    const l = data.length;
+    const flush =
+      l >= 4 && data[l - 4] === 0x00 && data[l - 3] === 0x00 && data[l - 2] === 0xff && data[l - 1] === 0xff;
+    inflate.push(data, flush && zlib.Z_SYNC_FLUSH);
+    if (flush) onPayload(inflate.result);
+    return;
+  }
+  onPayload(data);
+};
+
+ws.onerror = event => {
+  const error = event?.error ?? event;
+  if (error) post({ type: 'error', message: error.message ?? String(error) });
+};
+
+ws.onclose = ({ code, reason, wasClean }) => {
+  stopHeartbeats();
+  decompressor?.close();
+  post({ type: 'close', code, reason, wasClean });
+  parentPort.close();
+};
+
+parentPort.on('message', message => {
+  switch (message.type) {
+    case 'send':
+      if (ws.readyState === WebSocket.OPEN) ws.send(message.data);
+      break;
+    case 'heartbeat':
+      if (message.resetAck) lastHeartbeatAcked = true;
+      sendHeartbeat(message.tag);
+      break;
+    case 'close':
+      stopHeartbeats();
+      ws.close(message.code);
+      break;
+  }
+});
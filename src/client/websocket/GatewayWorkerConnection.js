@@ -0,0 +1,159 @@
+'use strict';
+
+const path = require('node:path');
+const { setTimeout, clearTimeout } = require('node:timers');
+const { Worker } = require('node:worker_threads');
+const WebSocket = require('../../WebSocket');
+
+/**
+ * A gateway connection running in a worker thread, used by shards when {@link WebsocketOptions#worker} is enabled.
+ * The worker owns the WebSocket, decompresses and unpacks the payloads and sends the heartbeats, so a busy main
+ * thread can't make them late. It exposes the part of the WebSocket interface used by {@link WebSocketShard}.
+ * @private
+ */
+class GatewayWorkerConnection {
+  /**
+   * @param {string} gateway The URL of the gateway
+   * @param {Object} query The query of the URL
+   * @param {Object} options Options for the connection
+   * @param {number} options.sequence The sequence number to send in the heartbeats until a dispatch is received
+   * @param {?string} options.compression The transport compression
+   * @param {boolean} options.useQosHeartbeat Whether to send QoS heartbeats
+   */
+  constructor(gateway, query, { sequence, compression, useQosHeartbeat }) {
+    /**
+     * The state of the connection, one of the WebSocket ready states
+     * @type {number}
+     */
+    this.readyState = WebSocket.CONNECTING;
+
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    /**
+     * Called with every packet received on the connection, apart from the heartbeat ones
+     * @type {?Function}
+     */
+    this.onpacket = null;
+
+    /**
+     * Called whenever the worker sent a heartbeat, with what caused it and whether the previous one was acknowledged
+     * @type {?Function}
+     */
+    this.onheartbeat = null;
+
+    /**
+     * Called whenever a heartbeat is acknowledged, with its latency
+     * @type {?Function}
+     */
+    this.onheartbeatack = null;
+
+    /**
+     * Called when the transport compression stream is corrupted
+     * @type {?Function}
+     */
+    this.ondecompressionerror = null;
+
+    /**
+     * Terminates the worker if it doesn't close the connection in time
+     * @type {?NodeJS.Timeout}
+     * @private
+     */
+    this._terminateTimeout = null;
+
+    this.worker = new Worker(path.join(__dirname, 'GatewayWorker.js'), {
+      workerData: {
+        url: gateway,
+        query,
+        options: { handshakeTimeout: 30_000 },
+        sequence,
+        compression,
+        useQosHeartbeat,
+      },
+    });
+    this.worker.on('message', message => this._onMessage(message));
+    this.worker.on('error', error => this.onerror?.({ error }));
+    this.worker.on('exit', () => {
+      clearTimeout(this._terminateTimeout);
+      if (this.readyState === WebSocket.CLOSED) return;
+      this.readyState = WebSocket.CLOSED;
+      this.onclose?.({ code: 1006, reason: 'The gateway worker exited.', wasClean: false });
+    });
+  }
+
+  /**
+   * Handles a message of the worker.
+   * @param {Object} message The message
+   * @private
+   */
+  _onMessage(message) {
+    // The messages the worker posted before being asked to close are dropped, like the shard drops the connection
+    if (this.readyState === WebSocket.CLOSING && message.type !== 'close') return;
+    switch (message.type) {
+      case 'open':
+        this.readyState = WebSocket.OPEN;
+        this.onopen?.();
+        break;
+      case 'packet':
+        this.onpacket?.(message.packet);
+        break;
+      case 'heartbeat':
+        this.onheartbeat?.(message.tag, message.acked);
+        break;
+      case 'heartbeatAck':
+        this.onheartbeatack?.(message.latency);
+        break;
+      case 'error':
+        this.onerror?.({ error: new Error(message.message) }); // eslint-disable-line no-restricted-syntax
+        break;
+      case 'decompressionError':
+        this.ondecompressionerror?.(new Error(message.message)); // eslint-disable-line no-restricted-syntax
+        break;
+      case 'close':
+        this.readyState = WebSocket.CLOSED;
+        this.terminate();
+        this.onclose?.({ code: message.code, reason: message.reason, wasClean: message.wasClean });
+        break;
+    }
+  }
+
+  /**
+   * Sends a packed payload on the connection.
+   * @param {string|Buffer} data The payload
+   */
+  send(data) {
+    this.worker.postMessage({ type: 'send', data });
+  }
+
+  /**
+   * Makes the worker send a heartbeat now.
+   * @param {string} tag What caused the heartbeat
+   * @param {boolean} [resetAck=false] Whether the previous heartbeat is considered acknowledged
+   */
+  heartbeat(tag, resetAck = false) {
+    this.worker.postMessage({ type: 'heartbeat', tag, resetAck });
+  }
+
+  /**
+   * Closes the connection. The worker is terminated if it doesn't close it within 5 seconds.
+   * @param {number} [code] The close code
+   */
+  close(code) {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSING;
+    this.worker.postMessage({ type: 'close', code });
+    this._terminateTimeout ??= setTimeout(() => this.terminate(), 5_000).unref();
+  }
+
+  /**
+   * Terminates the worker, and the connection with it.
+   */
+  terminate() {
+    clearTimeout(this._terminateTimeout);
+    this._terminateTimeout = null;
+    this.worker.terminate();
+  }
+}
+
+module.exports = GatewayWorkerConnection;
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * The health of the connection of a shard.
+ * @typedef {Object} ShardHealthStats
+ * @property {number} shardId The id of the shard
+ * @property {Status} status The status of the shard
+ * @property {number} ping The latency of the last acknowledged heartbeat, `-1` if there is none
+ * @property {number[]} latencies The latencies of the last heartbeats, from the oldest to the newest
+ * @property {number} averageLatency The average of the latencies, `-1` if there are none
+ * @property {number} jitter The average difference between two consecutive latencies
+ * @property {number} missedAcks The amount of heartbeats in a row that weren't acknowledged
+ * @property {number} reconnects The amount of times the shard reconnected
+ * @property {number} resumes The amount of sessions resumed
+ * @property {number} invalidSessions The amount of invalidated sessions
+ * @property {Object<number, number>} closeCodes The amount of closed connections, mapped by close code
+ * @property {number} sendQueue The amount of packets waiting to be sent by the shard
+ */
+
+/**
+ * Keeps the health metrics of a shard, see {@link WebSocketManager#stats}.
+ * @private
+ */
+class ShardHealth {
+  constructor(shard, { historySize = 50 } = {}) {
+    this.shard = shard;
+    this.latencies = new Float64Array(Math.max(historySize, 1));
+    this._latencyIndex = 0;
+    this._latencyCount = 0;
+    this.missedAcks = 0;
+    this.reconnects = 0;
+    this.resumes = 0;
+    this.invalidSessions = 0;
+    this.closeCodes = {};
+  }
+
+  recordLatency(latency) {
+    this.latencies[this._latencyIndex] = latency;
+    this._latencyIndex = (this._latencyIndex + 1) % this.latencies.length;
+    if (this._latencyCount < this.latencies.length) this._latencyCount++;
+    this.missedAcks = 0;
+  }
+
+  recordClose(code) {
+    this.closeCodes[code] = (this.closeCodes[code] ?? 0) + 1;
+  }
+
+  history() {
+    const start = this._latencyCount < this.latencies.length ? 0 : this._latencyIndex;
+    return Array.from({ length: this._latencyCount }, (_, i) => this.latencies[(start + i) % this.latencies.length]);
+  }
+
+  toJSON() {
+    const latencies = this.history();
+    let total = 0;
+    let deviation = 0;
+    for (let i = 0; i < latencies.length; i++) {
+      total += latencies[i];
+      if (i > 0) deviation += Math.abs(latencies[i] - latencies[i - 1]);
+    }
+    return {
+      shardId: this.shard.id,
+      status: this.shard.status,
+      ping: this.shard.ping,
+      latencies,
+      averageLatency: latencies.length ? total / latencies.length : -1,
+      jitter: latencies.length > 1 ? deviation / (latencies.length - 1) : 0,
+      missedAcks: this.missedAcks,
+      reconnects: this.reconnects,
+      resumes: this.resumes,
+      invalidSessions: this.invalidSessions,
+      closeCodes: { ...this.closeCodes },
+      sendQueue: this.shard._sendScheduler.length,
+    };
+  }
+}
+
+module.exports = ShardHealth;
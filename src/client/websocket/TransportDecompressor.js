@@ -0,0 +1,78 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const zlib = require('node:zlib');
+
+const isZlibFlush = data => {
+  const l = data.length;
+  return l >= 4 && data[l - 4] === 0x00 && data[l - 3] === 0x00 && data[l - 2] === 0xff && data[l - 1] === 0xff;
+};
+
+/**
+ * Decompresses the messages of a gateway connection using `zlib-stream` or `zstd-stream` transport compression.
+ * A single decompression context is shared by every message of a connection, so a new decompressor has to be
+ * created for every connection.
+ * @private
+ */
+class TransportDecompressor {
+  /**
+   * @param {string} type The transport compression, either `zlib-stream` or `zstd-stream`
+   * @param {Function} onPayload Called with every decompressed payload, in order
+   * @param {Function} onError Called when the stream can't be decompressed anymore
+   */
+  constructor(type, onPayload, onError) {
+    this.type = type;
+    this.onPayload = onPayload;
+    this.onError = onError;
+    this.chunks = [];
+    this.closed = false;
+
+    this.stream = type === 'zstd-stream' ? zlib.createZstdDecompress() : zlib.createInflate();
+    this.stream.on('data', chunk => this.chunks.push(chunk));
+    this.stream.on('error', error => {
+      if (this.closed) return;
+      this.close();
+      this.onError(error);
+    });
+  }
+
+  /**
+   * Whether a transport compression can be decompressed by this runtime.
+   * @param {string} type The transport compression
+   * @returns {boolean}
+   */
+  static isSupported(type) {
+    if (type === 'zstd-stream') return typeof zlib.createZstdDecompress === 'function';
+    return type === 'zlib-stream';
+  }
+
+  /**
+   * Adds a message received on the connection.
+   * @param {Uint8Array} data The compressed message
+   */
+  push(data) {
+    if (this.closed) return;
+    this.stream.write(data);
+    // A zlib-stream payload may be split across several messages, and ends with a sync flush marker.
+    // Every zstd-stream message is flushed by Discord, so it always ends a payload.
+    if (this.type === 'zlib-stream' && !isZlibFlush(data)) return;
+    this.stream.flush(() => {
+      if (this.closed || !this.chunks.length) return;
+      const payload = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks);
+      this.chunks = [];
+      this.onPayload(payload);
+    });
+  }
+
+  /**
+   * Releases the decompression context. Pending payloads are dropped.
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.chunks = [];
+    this.stream.destroy();
+  }
+}
+
+module.exports = TransportDecompressor;
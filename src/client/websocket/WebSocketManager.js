@@ -1,18 +1,22 @@
 'use strict';
 
 const EventEmitter = require('node:events');
+const fs = require('node:fs');
+const readline = require('node:readline');
 const { setImmediate } = require('node:timers');
 const { setTimeout: sleep } = require('node:timers/promises');
 const { Collection } = require('@discordjs/collection');
 const DispatchTable = require('./DispatchTable');
+const GatewayRecorder = require('./GatewayRecorder');
 const WebSocketShard = require('./WebSocketShard');
-const { Error } = require('../../errors');
-const { Events, ShardEvents, Status, WSCodes, WSEvents } = require('../../util/Constants');
+const { Error, TypeError } = require('../../errors');
+const { Events, Opcodes, ShardEvents, Status, WSCodes, WSEvents } = require('../../util/Constants');
 const FastQueue = require('../../util/FastQueue');
 const { hasListener } = require('../../util/ListenerUtil');
 
 const BeforeReadyWhitelist = new Set([
   WSEvents.READY,
+  WSEvents.READY_SUPPLEMENTAL,
   WSEvents.RESUMED,
   WSEvents.GUILD_CREATE,
   WSEvents.GUILD_DELETE,
@@ -83,6 +87,22 @@ class WebSocketManager extends EventEmitter {
     Object.defineProperty(this, 'packetQueue', { value: new FastQueue() });
     this._processingQueue = false;
 
+    /**
+     * The handlers of the dispatches, the built-in ones wrapped by those added with {@link WebSocketManager#registerHandler}
+     * @type {Object<string, Function>}
+     * @private
+     * @name WebSocketManager#handlers
+     */
+    Object.defineProperty(this, 'handlers', { value: Object.assign(Object.create(null), DispatchTable) });
+
+    /**
+     * The handlers added with {@link WebSocketManager#registerHandler}, in registration order
+     * @type {Map<string, DispatchHandler[]>}
+     * @private
+     * @name WebSocketManager#registeredHandlers
+     */
+    Object.defineProperty(this, 'registeredHandlers', { value: new Map() });
+
     /**
      * The current status of this WebSocketManager
      * @type {Status}
@@ -117,6 +137,31 @@ class WebSocketManager extends EventEmitter {
     return this.shards.size ? total / this.shards.size : 0;
   }
 
+  /**
+   * The health of the gateway connections.
+   * @typedef {Object} WebSocketManagerStats
+   * @property {Status} status The status of the manager
+   * @property {number} ping The average ping of all shards
+   * @property {number} packetQueue The amount of packets received before the client was ready, waiting to be handled
+   * @property {Collection<number, ShardHealthStats>} shards The health of every shard, mapped by id
+   */
+
+  /**
+   * Gets the health of the gateway connections: latencies, jitter, reconnections and queues.
+   * @returns {WebSocketManagerStats}
+   * @example
+   * const { shards } = client.ws.stats();
+   * for (const shard of shards.values()) console.log(`Shard ${shard.shardId}: ${shard.jitter.toFixed(1)}ms of jitter`);
+   */
+  stats() {
+    return {
+      status: this.status,
+      ping: this.ping,
+      packetQueue: this.packetQueue.length,
+      shards: this.shards.mapValues(shard => shard.health.toJSON()),
+    };
+  }
+
   _onNewListener(event) {
     if (event === 'newListener' || event === 'removeListener') return;
     this._listenerCountsFast[event] = (this._listenerCountsFast[event] ?? 0) + 1;
@@ -215,7 +260,7 @@ class WebSocketManager extends EventEmitter {
       });
 
       shard.on(ShardEvents.CLOSE, event => {
-        if (event.code === 1_000 ? this.destroyed : UNRECOVERABLE_CLOSE_CODES.has(event.code)) {
+        if (this.destroyed || UNRECOVERABLE_CLOSE_CODES.has(event.code)) {
           /**
            * Emitted when a shard's WebSocket disconnects and will no longer reconnect.
            * @event Client#shardDisconnect
@@ -263,6 +308,8 @@ class WebSocketManager extends EventEmitter {
 
     this.shards.set(shard.id, shard);
 
+    await shard.restoreSession();
+
     try {
       await shard.connect();
     } catch (error) {
@@ -333,6 +380,130 @@ class WebSocketManager extends EventEmitter {
     for (const shard of this.shards.values()) shard.send(packet);
   }
 
+  /**
+   * A function handling a gateway dispatch.
+   * @callback DispatchHandler
+   * @param {Client} client The client that received the dispatch
+   * @param {Object} packet The dispatch (t: EVENT_NAME, d: any)
+   * @param {WebSocketShard} shard The shard that received the dispatch
+   * @param {Function} next Runs the handler registered before this one, the built-in handler,
+   * or emits {@link Client#unhandledPacket} when there is none
+   */
+
+  /**
+   * Registers a handler for a gateway dispatch. If the dispatch already has a handler, the new one wraps it
+   * and decides whether to run it by calling `next`.
+   * @param {string} eventName The name of the dispatch, e.g. `MESSAGE_CREATE`
+   * @param {DispatchHandler} handler The handler of the dispatch
+   * @returns {Function} A function removing the handler
+   * @example
+   * // Handle a dispatch the library does not know about
+   * client.ws.registerHandler('BURST_CREDIT_BALANCE_UPDATE', (client, { d: data }) => {
+   *   client.emit('burstCreditBalanceUpdate', data);
+   * });
+   * @example
+   * // Ignore the messages of blocked users
+   * const unregister = client.ws.registerHandler('MESSAGE_CREATE', (client, packet, shard, next) => {
+   *   if (!client.relationships.blockedCache.has(packet.d.author.id)) next();
+   * });
+   */
+  registerHandler(eventName, handler) {
+    if (typeof eventName !== 'string') throw new TypeError('INVALID_TYPE', 'eventName', 'string');
+    if (typeof handler !== 'function') throw new TypeError('INVALID_TYPE', 'handler', 'function');
+
+    const registered = this.registeredHandlers.get(eventName) ?? [];
+    registered.push(handler);
+    this.registeredHandlers.set(eventName, registered);
+    this._composeHandler(eventName);
+
+    return () => {
+      const index = registered.indexOf(handler);
+      if (index === -1) return;
+      registered.splice(index, 1);
+      if (!registered.length) this.registeredHandlers.delete(eventName);
+      this._composeHandler(eventName);
+    };
+  }
+
+  /**
+   * Rebuilds the handler of a dispatch from the built-in one and the registered ones.
+   * @param {string} eventName The name of the dispatch
+   * @private
+   */
+  _composeHandler(eventName) {
+    let composed = DispatchTable[eventName] ?? null;
+    for (const handler of this.registeredHandlers.get(eventName) ?? []) {
+      const previous = composed;
+      composed = (client, packet, shard) =>
+        handler(client, packet, shard, () =>
+          previous ? previous(client, packet, shard) : this._emitUnhandledPacket(packet, shard),
+        );
+    }
+    if (composed) {
+      this.handlers[eventName] = composed;
+    } else {
+      delete this.handlers[eventName];
+    }
+  }
+
+  /**
+   * Starts recording the packets received by the shards of this manager to a JSONL file.
+   * @param {GatewayRecorderOptions} options Options for the recorder
+   * @returns {GatewayRecorder}
+   * @example
+   * const recorder = client.ws.record({ path: 'gateway.jsonl' });
+   * // Later
+   * await recorder.stop();
+   */
+  record(options) {
+    return new GatewayRecorder(this.client, options).start();
+  }
+
+  /**
+   * Feeds the dispatches recorded by a {@link GatewayRecorder} to this manager, without any network.
+   * Every handler runs and every event fires as if the packets were received by the shards.
+   * <warn>This is meant for a client that never logged in.</warn>
+   * @param {string} path The path of the JSONL file
+   * @param {Object} [options] Options for the replay
+   * @param {number} [options.speed=0] How fast the recording is replayed, `1` keeps the original pace and `0`
+   * replays every packet without waiting
+   * @returns {Promise<number>} The amount of replayed packets
+   * @example
+   * const client = new Client();
+   * client.on('messageCreate', message => console.log(message.content));
+   * await client.ws.replay('gateway.jsonl');
+   */
+  async replay(path, { speed = 0 } = {}) {
+    const lines = readline.createInterface({ input: fs.createReadStream(path), crlfDelay: Infinity });
+    let count = 0;
+    let previousTime = null;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const { time, shard: shardId, packet } = JSON.parse(line);
+      if (packet?.op !== Opcodes.DISPATCH) continue;
+
+      if (speed > 0 && previousTime !== null && time > previousTime) await sleep((time - previousTime) / speed);
+      previousTime = time;
+
+      let shard = this.shards.get(shardId);
+      if (!shard) {
+        shard = new WebSocketShard(this, shardId);
+        shard.replaying = true;
+        shard.on(ShardEvents.ALL_READY, unavailableGuilds => {
+          this.client.emit(Events.SHARD_READY, shard.id, unavailableGuilds);
+          this.checkShardsReady();
+        });
+        this.shards.set(shardId, shard);
+      }
+
+      this.client.emit(Events.RAW, packet, shard.id);
+      if (hasListener(this, packet.t)) this.emit(packet.t, packet.d, shard.id);
+      shard.onPacket(packet);
+      count++;
+    }
+    return count;
+  }
+
   /**
    * Destroys this manager and all its shards.
    * @private
@@ -342,26 +513,36 @@ class WebSocketManager extends EventEmitter {
     this.debug(`Manager was destroyed. Called by:\n${new Error('MANAGER_DESTROYED').stack}`);
     this.destroyed = true;
     this.shardQueue.clear();
-    for (const shard of this.shards.values()) shard.destroy({ closeCode: 1_000, reset: true, emit: false, log: false });
+    const { sessionStore } = this.client.options.ws;
+    for (const shard of this.shards.values()) {
+      // Closing with 1000 would invalidate the session, so saved sessions are closed with a resumable code
+      const keepSession = Boolean(sessionStore && shard.sessionId);
+      if (keepSession) shard.saveSession();
+      shard.destroy({ closeCode: keepSession ? 4_000 : 1_000, reset: true, emit: false, log: false });
+    }
   }
 
   _dispatchPacket(packet, shard) {
     if (!packet) return;
 
-    const handler = DispatchTable[packet.t];
+    const handler = this.handlers[packet.t];
     if (handler) {
       handler(this.client, packet, shard);
     } else {
-      /**
-       * Emitted whenever a packet isn't handled.
-       * @event Client#unhandledPacket
-       * @param {Object} packet The packet (t: EVENT_NAME, d: any)
-       * @param {Number} shard The shard that received the packet (Shard 0)
-       */
-      this.client.emit(Events.UNHANDLED_PACKET, packet, shard);
+      this._emitUnhandledPacket(packet, shard);
     }
   }
 
+  _emitUnhandledPacket(packet, shard) {
+    /**
+     * Emitted whenever a packet isn't handled.
+     * @event Client#unhandledPacket
+     * @param {Object} packet The packet (t: EVENT_NAME, d: any)
+     * @param {Number} shard The shard that received the packet (Shard 0)
+     */
+    this.client.emit(Events.UNHANDLED_PACKET, packet, shard);
+  }
+
   _schedulePacketQueue() {
     if (this._processingQueue || this.status !== Status.READY || !this.packetQueue.length) return;
     this._processingQueue = true;
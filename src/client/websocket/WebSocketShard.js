@@ -2,8 +2,11 @@
 
 const { Buffer } = require('node:buffer');
 const EventEmitter = require('node:events');
-const { setTimeout, setInterval, clearTimeout } = require('node:timers');
+const { setTimeout, setInterval, setImmediate, clearTimeout, clearImmediate } = require('node:timers');
 const GatewaySendScheduler = require('./GatewaySendScheduler');
+const GatewayWorkerConnection = require('./GatewayWorkerConnection');
+const ShardHealth = require('./ShardHealth');
+const TransportDecompressor = require('./TransportDecompressor');
 const WebSocket = require('../../WebSocket');
 const { Status, Events, ShardEvents, Opcodes, WSEvents, WSCodes } = require('../../util/Constants');
 const Intents = require('../../util/Intents');
@@ -13,6 +16,7 @@ const Util = require('../../util/Util');
 const STATUS_KEYS = Object.keys(Status);
 const CONNECTION_STATE = Object.keys(WebSocket.WebSocket);
 
+let ClientUser;
 let zlib;
 
 try {
@@ -104,6 +108,34 @@ class WebSocketShard extends EventEmitter {
      */
     this.closeEmitted = false;
 
+    /**
+     * Whether this shard only replays recorded packets
+     * @type {boolean}
+     * @private
+     */
+    this.replaying = false;
+
+    /**
+     * Whether the session store was already read for this shard
+     * @type {boolean}
+     * @private
+     */
+    this.sessionRestored = false;
+
+    /**
+     * Whether {@link Client#event:shardSessionRestore} still has to be emitted
+     * @type {boolean}
+     * @private
+     */
+    this._pendingSessionRestore = false;
+
+    /**
+     * The scheduled save of the session, if any
+     * @type {?Immediate}
+     * @private
+     */
+    this._sessionSaveImmediate = null;
+
     /**
      * Contains the rate limit queue and metadata
      * @name WebSocketShard#ratelimit
@@ -174,6 +206,14 @@ class WebSocketShard extends EventEmitter {
      */
     Object.defineProperty(this, 'inflate', { value: null, writable: true });
 
+    /**
+     * The streaming decompressor of the connection, used when zlib-sync can't be
+     * @name WebSocketShard#_decompressor
+     * @type {?TransportDecompressor}
+     * @private
+     */
+    Object.defineProperty(this, '_decompressor', { value: null, writable: true });
+
     /**
      * The HELLO timeout
      * @name WebSocketShard#helloTimeout
@@ -222,6 +262,14 @@ class WebSocketShard extends EventEmitter {
      */
     Object.defineProperty(this, 'expectedGuilds', { value: null, writable: true });
 
+    /**
+     * Whether this shard waits for the READY_SUPPLEMENTAL packet of a user account before being ready
+     * @name WebSocketShard#expectingSupplemental
+     * @type {boolean}
+     * @private
+     */
+    Object.defineProperty(this, 'expectingSupplemental', { value: false, writable: true });
+
     /**
      * The ready timeout
      * @name WebSocketShard#readyTimeout
@@ -238,6 +286,33 @@ class WebSocketShard extends EventEmitter {
      */
     Object.defineProperty(this, 'connectedAt', { value: 0, writable: true });
 
+    /**
+     * Time when the WebSocket connection of the session was lost, `null` while connected
+     * @name WebSocketShard#disconnectedAt
+     * @type {?number}
+     * @private
+     */
+    Object.defineProperty(this, 'disconnectedAt', { value: null, writable: true });
+
+    /**
+     * How long the session was disconnected for before it was last resumed, in milliseconds,
+     * `null` if it isn't known
+     * @name WebSocketShard#resumedAfter
+     * @type {?number}
+     * @private
+     */
+    Object.defineProperty(this, 'resumedAfter', { value: null, writable: true });
+
+    /**
+     * The health metrics of the shard
+     * @name WebSocketShard#health
+     * @type {ShardHealth}
+     * @private
+     */
+    Object.defineProperty(this, 'health', {
+      value: new ShardHealth(this, this.manager.client.options.ws.health ?? {}),
+    });
+
     this._timeSpentSessionInterval = null;
     this._timeSpentSessionInitTimestamp = null;
   }
@@ -317,36 +392,64 @@ class WebSocketShard extends EventEmitter {
       const wsQuery = { v: client.options.ws.version };
       const hasProxyAgent = Util.verifyProxyAgent(client.options.ws.agent);
 
-      if (zlib) {
+      // Every connection starts a new compression context, a gateway worker creates its own
+      const { worker } = client.options.ws;
+      const compression = this.getTransportCompression();
+      this._closeDecompressor();
+      this.inflate = null;
+      if (!worker && compression === 'zlib-stream' && zlib) {
         this.inflate = new zlib.Inflate({
           chunkSize: 65535,
           flush: zlib.Z_SYNC_FLUSH,
           to: WebSocket.encoding === 'json' ? 'string' : '',
         });
-        wsQuery.compress = 'zlib-stream';
+      } else if (!worker && compression) {
+        this._decompressor = new TransportDecompressor(
+          compression,
+          raw => this.onPayload(raw),
+          error => this.onDecompressionError(error),
+        );
       }
+      if (compression) wsQuery.compress = compression;
 
       this.debug(
         `[CONNECT]
     Gateway    : ${gateway}
     Version    : ${client.options.ws.version}
     Encoding   : ${WebSocket.encoding}
-    Compression: ${zlib ? 'zlib-stream' : 'none'}
-    Agent      : ${hasProxyAgent}`,
+    Compression: ${compression ?? 'none'}
+    Agent      : ${hasProxyAgent}
+    Worker     : ${Boolean(worker)}`,
       );
 
+      if (this.status === Status.DISCONNECTED) this.health.reconnects++;
+      this.health.missedAcks = 0;
       this.status = this.status === Status.DISCONNECTED ? Status.RECONNECTING : Status.CONNECTING;
       this.setHelloTimeout();
       this.setWsCloseTimeout(-1);
       this.connectedAt = Date.now();
 
-      // Adding a handshake timeout to just make sure no zombie connection appears.
-      const ws = (this.connection = WebSocket.create(gateway, wsQuery, {
-        handshakeTimeout: 30_000,
-        agent: hasProxyAgent ? client.options.ws.agent : undefined,
-      }));
+      let ws;
+      if (worker) {
+        ws = this.connection = new GatewayWorkerConnection(gateway, wsQuery, {
+          // The heartbeats of a resumed session go on from the last sequence received
+          sequence: this.sessionId && this.sequence === -1 ? this.closeSequence : this.sequence,
+          compression,
+          useQosHeartbeat: Boolean(client.options.ws.useQosHeartbeat),
+        });
+        ws.onpacket = this.onUnpacked.bind(this);
+        ws.onheartbeat = this.onWorkerHeartbeat.bind(this);
+        ws.onheartbeatack = this.ackHeartbeat.bind(this);
+        ws.ondecompressionerror = this.onDecompressionError.bind(this);
+      } else {
+        // Adding a handshake timeout to just make sure no zombie connection appears.
+        ws = this.connection = WebSocket.create(gateway, wsQuery, {
+          handshakeTimeout: 30_000,
+          agent: hasProxyAgent ? client.options.ws.agent : undefined,
+        });
+        ws.onmessage = this.onMessage.bind(this);
+      }
       ws.onopen = this.onOpen.bind(this);
-      ws.onmessage = this.onMessage.bind(this);
       ws.onerror = this.onError.bind(this);
       ws.onclose = this.onClose.bind(this);
     });
@@ -369,7 +472,11 @@ class WebSocketShard extends EventEmitter {
   onMessage({ data }) {
     let raw;
     if (data instanceof ArrayBuffer) data = new Uint8Array(data);
-    if (zlib) {
+    if (this._decompressor) {
+      this._decompressor.push(data);
+      return;
+    }
+    if (this.inflate) {
       const l = data.length;
       const flush =
         l >= 4 && data[l - 4] === 0x00 && data[l - 3] === 0x00 && data[l - 2] === 0xff && data[l - 1] === 0xff;
@@ -380,6 +487,15 @@ class WebSocketShard extends EventEmitter {
     } else {
       raw = data;
     }
+    this.onPayload(raw);
+  }
+
+  /**
+   * Called whenever a whole payload is received and decompressed.
+   * @param {string|Buffer|Uint8Array} raw The payload
+   * @private
+   */
+  onPayload(raw) {
     let packet;
     try {
       packet = WebSocket.unpack(raw);
@@ -387,6 +503,15 @@ class WebSocketShard extends EventEmitter {
       this.manager.client.emit(Events.SHARD_ERROR, err, this.id);
       return;
     }
+    this.onUnpacked(packet);
+  }
+
+  /**
+   * Called whenever a payload is unpacked, by this shard or by its gateway worker.
+   * @param {Object} packet The packet
+   * @private
+   */
+  onUnpacked(packet) {
     const client = this.manager.client;
     const hasRawListener = hasListener(client, Events.RAW);
     if (hasRawListener) {
@@ -398,6 +523,39 @@ class WebSocketShard extends EventEmitter {
     this.onPacket(packet);
   }
 
+  /**
+   * Called when the transport compression stream is corrupted. The connection is closed to resume on a new one.
+   * @param {Error} error The decompression error
+   * @private
+   */
+  onDecompressionError(error) {
+    this.manager.client.emit(Events.SHARD_ERROR, error, this.id);
+    this.debug(`[DECOMPRESSION] ${error.message}. Reconnecting.`);
+    this.destroy({ closeCode: 4_000 });
+  }
+
+  /**
+   * The transport compression to request when connecting.
+   * @returns {?string}
+   * @private
+   */
+  getTransportCompression() {
+    const { transportCompression } = this.manager.client.options.ws;
+    // Without the option, zlib-stream is only used if zlib-sync is installed
+    if (transportCompression === undefined) return zlib ? 'zlib-stream' : null;
+    return transportCompression;
+  }
+
+  /**
+   * Releases the streaming decompressor of the connection, if any.
+   * @private
+   */
+  _closeDecompressor() {
+    if (!this._decompressor) return;
+    this._decompressor.close();
+    this._decompressor = null;
+  }
+
   /**
    * Called whenever an error occurs with the WebSocket.
    * @param {ErrorEvent} event The error that occurred
@@ -470,6 +628,7 @@ class WebSocketShard extends EventEmitter {
     Event Code: ${event.code}
     Clean     : ${event.wasClean}
     Reason    : ${event.reason ?? 'No reason received'}`);
+    this.health.recordClose(event.code);
     /**
      * Emitted when a shard's WebSocket closes.
      * @private
@@ -504,8 +663,11 @@ class WebSocketShard extends EventEmitter {
         for (const guildData of packet.d.guilds) {
           if (guildData?.unavailable == true) this.expectedGuilds.add(guildData.id);
         }
+        this.expectingSupplemental = !packet.d.user?.bot;
+        this.disconnectedAt = null;
         this.status = Status.WAITING_FOR_GUILDS;
         this.debug(`[READY] Session ${this.sessionId} | Resume url ${this.resumeURL}.`);
+        this._emitSessionRestore(false);
         this.lastHeartbeatAcked = true;
         this.sendUpdateTimeSpentSessionId();
         this.sendHeartbeat('ReadyHeartbeat');
@@ -526,21 +688,28 @@ class WebSocketShard extends EventEmitter {
         this.emit(ShardEvents.RESUMED);
 
         this.status = Status.READY;
+        this.health.resumes++;
         const replayed = packet.s - this.closeSequence;
+        this.resumedAfter = this.disconnectedAt === null ? null : Date.now() - this.disconnectedAt;
+        this.disconnectedAt = null;
         this.debug(`[RESUMED] Session ${this.sessionId} | Replayed ${replayed} events.`);
         this.lastHeartbeatAcked = true;
         this.sendUpdateTimeSpentSessionId();
         this.sendHeartbeat('ResumeHeartbeat');
+        // A session resumed after a restart never received READY, so the client still has to be marked as ready
+        if (this._emitSessionRestore(true) && !this.manager.client.user) this._readyFromRestoredSession();
         break;
       }
     }
 
     if (packet.s > this.sequence) this.sequence = packet.s;
+    if (packet.op === Opcodes.DISPATCH) this._scheduleSessionSave();
 
     switch (packet.op) {
       case Opcodes.HELLO:
         this.setHelloTimeout(-1);
-        this.setHeartbeatTimer(packet.d.heartbeat_interval);
+        // A gateway worker sends the heartbeats on its own
+        if (!(this.connection instanceof GatewayWorkerConnection)) this.setHeartbeatTimer(packet.d.heartbeat_interval);
         this.identify();
         break;
       case Opcodes.RECONNECT:
@@ -549,6 +718,7 @@ class WebSocketShard extends EventEmitter {
         break;
       case Opcodes.INVALID_SESSION: {
         this.debug(`[INVALID SESSION] Resumable: ${packet.d}.`);
+        this.health.invalidSessions++;
         // If we can resume the session, do so immediately
         if (packet.d) {
           this.identifyResume();
@@ -558,6 +728,7 @@ class WebSocketShard extends EventEmitter {
         this.sequence = -1;
         // Reset the session id as it's invalid
         this.sessionId = null;
+        this._scheduleSessionSave();
         // Set the status to reconnecting
         this.status = Status.RECONNECTING;
         const retryDelay = Math.floor(Math.random() * 4_000) + 1_000;
@@ -606,8 +777,8 @@ class WebSocketShard extends EventEmitter {
       clearTimeout(this.readyTimeout);
       this.readyTimeout = null;
     }
-    // Step 1. If we don't have any other guilds pending, we are ready
-    if (!this.expectedGuilds.size) {
+    // Step 1. If we don't have any other guilds pending, nor the supplemental data of a user account, we are ready
+    if (!this.expectedGuilds.size && !this.expectingSupplemental) {
       this.debug('Shard received all its guilds. Marking as fully ready.');
       this.status = Status.READY;
 
@@ -759,18 +930,12 @@ class WebSocketShard extends EventEmitter {
       this.status === Status.IDENTIFYING ||
       this.status === Status.RESUMING,
   ) {
-    if (ignoreHeartbeatAck && !this.lastHeartbeatAcked) {
-      this.debug(`[${tag}] Didn't process heartbeat ack yet but we are still connected. Sending one now.`);
-    } else if (!this.lastHeartbeatAcked) {
-      this.debug(
-        `[${tag}] Didn't receive a heartbeat ack last time, assuming zombie connection. Destroying and reconnecting.
-    Status          : ${STATUS_KEYS[this.status]}
-    Sequence        : ${this.sequence}
-    Connection State: ${this.connection ? CONNECTION_STATE[this.connection.readyState] : 'No Connection??'}`,
-      );
-      this.destroy({ reset: true, closeCode: 4009 });
+    if (this.connection instanceof GatewayWorkerConnection) {
+      // The worker resets its ack state along with this shard, e.g. after READY or RESUMED
+      this.connection.heartbeat(tag, this.lastHeartbeatAcked);
       return;
     }
+    if (!this.lastHeartbeatAcked && this.onMissedHeartbeatAck(tag, ignoreHeartbeatAck)) return;
 
     this.debug(`[${tag}] Sending a heartbeat.`);
     this.lastHeartbeatAcked = false;
@@ -793,6 +958,79 @@ class WebSocketShard extends EventEmitter {
     }
   }
 
+  /**
+   * Called whenever the gateway worker of this shard sent a heartbeat.
+   * If the previous heartbeat wasn't acknowledged, the shard is destroyed and reconnects.
+   * @param {string} tag What caused the heartbeat to be sent
+   * @param {boolean} acked Whether the previous heartbeat was acknowledged
+   * @private
+   */
+  onWorkerHeartbeat(tag, acked) {
+    const ignoreHeartbeatAck =
+      tag === 'HeartbeatJitter' ||
+      tag === 'HeartbeatRequest' ||
+      this.status === Status.WAITING_FOR_GUILDS ||
+      this.status === Status.IDENTIFYING ||
+      this.status === Status.RESUMING;
+    if (!acked && this.onMissedHeartbeatAck(tag, ignoreHeartbeatAck)) return;
+    this.debug(`[${tag}] The gateway worker sent a heartbeat.`);
+    this.lastHeartbeatAcked = false;
+    this.lastPingTimestamp = Date.now();
+  }
+
+  /**
+   * Called when a heartbeat is sent before the previous one was acknowledged. After
+   * {@link ShardHealthPolicy#maxMissedAcks} heartbeats in a row, the connection is assumed to be a zombie and the shard
+   * is destroyed to reconnect.
+   * @param {string} tag What caused the heartbeat to be sent
+   * @param {boolean} ignoreHeartbeatAck Whether the heartbeat is sent anyway
+   * @returns {boolean} Whether the shard was destroyed
+   * @private
+   */
+  onMissedHeartbeatAck(tag, ignoreHeartbeatAck) {
+    this.health.missedAcks++;
+    const { maxMissedAcks = 1 } = this.manager.client.options.ws.health ?? {};
+    if (ignoreHeartbeatAck || this.health.missedAcks < maxMissedAcks) {
+      this.debug(`[${tag}] Didn't process heartbeat ack yet but we are still connected. Sending one now.`);
+      return false;
+    }
+    this.debug(
+      `[${tag}] Didn't receive a heartbeat ack last time, assuming zombie connection. Destroying and reconnecting.
+    Status          : ${STATUS_KEYS[this.status]}
+    Sequence        : ${this.sequence}
+    Missed Acks     : ${this.health.missedAcks}
+    Connection State: ${this.connection ? CONNECTION_STATE[this.connection.readyState] : 'No Connection??'}`,
+    );
+    this.emitHealth('MISSED_ACKS');
+    this.destroy({ reset: true, closeCode: 4009 });
+    return true;
+  }
+
+  /**
+   * Emits the health of this shard, if anyone listens to it.
+   * @param {?ShardHealthReason} [reason=null] Why the shard reconnects
+   * @private
+   */
+  emitHealth(reason = null) {
+    const { client } = this.manager;
+    if (!hasListener(client, Events.SHARD_HEALTH)) return;
+    /**
+     * Why a shard reconnects because of its health:
+     * * `MISSED_ACKS`: too many heartbeats in a row weren't acknowledged
+     * * `HIGH_LATENCY`: a heartbeat took longer than {@link ShardHealthPolicy#maxLatency} to be acknowledged
+     * @typedef {string} ShardHealthReason
+     */
+
+    /**
+     * Emitted whenever a heartbeat of a shard is acknowledged, and when a shard reconnects because of its health.
+     * @event Client#shardHealth
+     * @param {number} shardId The id of the shard
+     * @param {ShardHealthStats} stats The health of the shard
+     * @param {?ShardHealthReason} reason Why the shard reconnects, `null` if it doesn't
+     */
+    client.emit(Events.SHARD_HEALTH, this.id, this.health.toJSON(), reason);
+  }
+
   sendUpdateTimeSpentSessionId() {
     const props = this.manager.client.options.ws?.properties;
     if (!props?.client_heartbeat_session_id || !props?.client_launch_id) return;
@@ -814,13 +1052,23 @@ class WebSocketShard extends EventEmitter {
 
   /**
    * Acknowledges a heartbeat.
+   * @param {number} [latency] The latency of the heartbeat, measured by the gateway worker if there is one
    * @private
    */
-  ackHeartbeat() {
+  ackHeartbeat(latency = Date.now() - this.lastPingTimestamp) {
     this.lastHeartbeatAcked = true;
-    const latency = Date.now() - this.lastPingTimestamp;
     this.debug(`Heartbeat acknowledged, latency of ${latency}ms.`);
     this.ping = latency;
+    this.health.recordLatency(latency);
+
+    const { maxLatency } = this.manager.client.options.ws.health ?? {};
+    if (maxLatency > 0 && latency > maxLatency) {
+      this.debug(`[HEALTH] The latency is above ${maxLatency}ms. Reconnecting.`);
+      this.emitHealth('HIGH_LATENCY');
+      this.destroy({ closeCode: 4_000 });
+      return;
+    }
+    this.emitHealth();
   }
 
   /**
@@ -879,6 +1127,11 @@ class WebSocketShard extends EventEmitter {
 
     delete d.version;
     delete d.agent;
+    delete d.sessionStore;
+    delete d.transportCompression;
+    delete d.guildSubscriptions;
+    delete d.worker;
+    delete d.health;
 
     const installationId = client.rest.getInstallationId?.();
     if (installationId) d.installation_id = installationId;
@@ -911,6 +1164,111 @@ class WebSocketShard extends EventEmitter {
     this.send({ op: Opcodes.RESUME, d }, true);
   }
 
+  /**
+   * Loads the session saved in the session store, so the next connection resumes it instead of identifying.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async restoreSession() {
+    const { sessionStore } = this.manager.client.options.ws;
+    if (this.sessionRestored || !sessionStore) return;
+    this.sessionRestored = true;
+    this._pendingSessionRestore = true;
+
+    let state;
+    try {
+      state = await sessionStore.get(this.id);
+    } catch (error) {
+      this.manager.client.emit(Events.SHARD_ERROR, error, this.id);
+      return;
+    }
+    if (!state?.sessionId || this.sessionId) return;
+
+    this.sessionId = state.sessionId;
+    this.closeSequence = state.sequence;
+    this.resumeURL = state.resumeURL ?? null;
+    this.debug(`[SESSION STORE] Restored session ${this.sessionId}, sequence ${this.closeSequence}.`);
+  }
+
+  /**
+   * Saves the current session in the session store, or removes it if there is none.
+   * @private
+   */
+  saveSession() {
+    if (this._sessionSaveImmediate) {
+      clearImmediate(this._sessionSaveImmediate);
+      this._sessionSaveImmediate = null;
+    }
+    const { sessionStore } = this.manager.client.options.ws;
+    if (!sessionStore) return;
+
+    const onError = error => this.manager.client.emit(Events.SHARD_ERROR, error, this.id);
+    try {
+      const result = this.sessionId
+        ? sessionStore.set(this.id, {
+            sessionId: this.sessionId,
+            sequence: this.sequence === -1 ? this.closeSequence : this.sequence,
+            resumeURL: this.resumeURL,
+          })
+        : sessionStore.delete(this.id);
+      if (typeof result?.catch === 'function') result.catch(onError);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  /**
+   * Saves the session once the current batch of packets is processed.
+   * @private
+   */
+  _scheduleSessionSave() {
+    if (this._sessionSaveImmediate || !this.manager.client.options.ws.sessionStore) return;
+    this._sessionSaveImmediate = setImmediate(() => {
+      this._sessionSaveImmediate = null;
+      this.saveSession();
+    }).unref();
+  }
+
+  /**
+   * Emits {@link Client#event:shardSessionRestore} after the first READY or RESUMED of a shard using a session store.
+   * @param {boolean} resumed Whether the saved session was resumed
+   * @returns {boolean} Whether the event was emitted
+   * @private
+   */
+  _emitSessionRestore(resumed) {
+    if (!this._pendingSessionRestore) return false;
+    this._pendingSessionRestore = false;
+    /**
+     * Emitted when a shard using a session store connected for the first time since the client was created.
+     * @event Client#shardSessionRestore
+     * @param {number} id The shard id
+     * @param {boolean} resumed Whether the saved session was resumed, or a new session was identified
+     */
+    this.manager.client.emit(Events.SHARD_SESSION_RESTORE, this.id, resumed);
+    return true;
+  }
+
+  /**
+   * Fetches the client user and marks this shard as ready after resuming a session saved before a restart.
+   * <warn>Guilds and channels aren't cached as no READY was received.</warn>
+   * @private
+   */
+  async _readyFromRestoredSession() {
+    const { client } = this.manager;
+    try {
+      const data = await client.api.users('@me').get();
+      ClientUser ??= require('../../structures/ClientUser');
+      client.presence.userId = data.id;
+      client.user = new ClientUser(client, data);
+      client.users.cache.set(client.user.id, client.user);
+    } catch (error) {
+      client.emit(Events.SHARD_ERROR, error, this.id);
+    }
+    this.expectedGuilds = new Set();
+    this.expectingSupplemental = false;
+    this.checkReady();
+  }
+
   /**
    * Adds a packet to the queue to be sent to the gateway.
    * <warn>If you use this method, make sure you understand that you need to provide
@@ -920,6 +1278,8 @@ class WebSocketShard extends EventEmitter {
    * @param {boolean} [important=false] If this packet should be added first in queue
    */
   send(data, important = false) {
+    // Replayed shards have no connection, so nothing is sent
+    if (this.replaying) return;
     this._sendScheduler.enqueue(data, important);
   }
 
@@ -1007,6 +1367,7 @@ class WebSocketShard extends EventEmitter {
     );
     // Step 1: Close the WebSocket connection, if any, otherwise, emit DESTROYED
     if (this.connection) {
+      this.disconnectedAt ??= Date.now();
       // If the connection is currently opened, we will (hopefully) receive close
       if (this.connection?.readyState === WebSocket.OPEN) {
         this.connection.close(closeCode);
@@ -1039,8 +1400,9 @@ class WebSocketShard extends EventEmitter {
     );
     this.setWsCloseTimeout(this.manager.client.options.closeTimeout);
 
-    // Step 2: Null the connection object
+    // Step 2: Null the connection object and drop its compression context
     this.connection = null;
+    this._closeDecompressor();
 
     // Step 3: Set the shard status to DISCONNECTED
     this.status = Status.DISCONNECTED;
@@ -1066,6 +1428,10 @@ class WebSocketShard extends EventEmitter {
   _cleanupConnection() {
     this.connection.onopen = this.connection.onclose = this.connection.onmessage = null;
     this.connection.onerror = () => null;
+    if (this.connection instanceof GatewayWorkerConnection) {
+      this.connection.onpacket = this.connection.onheartbeat = this.connection.onheartbeatack = null;
+      this.connection.ondecompressionerror = null;
+    }
   }
 
   /**
@@ -0,0 +1,18 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  /**
+   * Emitted whenever an application answers an autocomplete interaction sent by the client user.
+   * @event Client#applicationCommandAutocompleteResponse
+   * @param {ApplicationCommandOptionChoiceData[]} choices The suggested choices
+   * @param {string} nonce The nonce the autocomplete interaction was sent with
+   */
+  const choices = (data.choices ?? []).map(choice => ({
+    name: choice.name,
+    nameLocalizations: choice.name_localizations,
+    value: choice.value,
+  }));
+  client.emit(Events.APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE, choices, data.nonce);
+};
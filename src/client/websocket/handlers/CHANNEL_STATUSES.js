@@ -0,0 +1,29 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  const statuses = new Collection(
+    data.channels.filter(channel => channel.status).map(channel => [channel.id, channel.status]),
+  );
+  // The statuses of every voice channel are sent, channels that are left out have none
+  for (const channel of guild.channels.cache.values()) {
+    if (!channel.isVoice()) continue;
+    const status = statuses.get(channel.id) ?? null;
+    if (channel.status === status) continue;
+    const old = channel._clone();
+    channel.status = status;
+    client.emit(Events.CHANNEL_UPDATE, old, channel);
+  }
+  /**
+   * Emitted whenever the statuses of the voice channels of a guild are received, after requesting them with
+   * {@link GuildChannelManager#fetchVoiceStatuses}.
+   * @event Client#channelStatuses
+   * @param {Guild} guild The guild of the channels
+   * @param {Collection<Snowflake, string>} statuses The statuses that are set, mapped by channel id
+   */
+  client.emit(Events.CHANNEL_STATUSES, guild, statuses);
+};
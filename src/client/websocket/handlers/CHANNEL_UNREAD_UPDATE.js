@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  for (const update of data.channel_unread_updates ?? []) {
+    const channel = client.channels.cache.get(update.id);
+    if (!channel?.isText()) continue;
+    channel.lastMessageId = update.last_message_id ?? channel.lastMessageId;
+    if (update.last_pin_timestamp) channel.lastPinTimestamp = Date.parse(update.last_pin_timestamp);
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  const removed = {
+    channels: new Collection(),
+    roles: new Collection(),
+    emojis: new Collection(),
+    stickers: new Collection(),
+  };
+
+  for (const id of data.channel_ids ?? []) {
+    if (!guild.channels.cache.has(id)) continue;
+    const { channel } = client.actions.ChannelDelete.handle({ id });
+    if (channel) removed.channels.set(id, channel);
+  }
+  for (const id of data.role_ids ?? []) {
+    const { role } = client.actions.GuildRoleDelete.handle({ guild_id: guild.id, role_id: id });
+    if (role) removed.roles.set(id, role);
+  }
+  for (const id of data.emoji_ids ?? []) {
+    const emoji = guild.emojis.cache.get(id);
+    if (emoji) removed.emojis.set(id, client.actions.GuildEmojiDelete.handle(emoji).emoji);
+  }
+  for (const id of data.sticker_ids ?? []) {
+    const sticker = guild.stickers.cache.get(id);
+    if (sticker) removed.stickers.set(id, client.actions.GuildStickerDelete.handle(sticker).sticker);
+  }
+
+  /**
+   * Emitted whenever Discord reports which cached entities of a guild were deleted, after a session was resumed or
+   * {@link Guild#reconcileCache} was called. The delete events of the entities are emitted before this one.
+   * @event Client#guildCacheReconcile
+   * @param {Guild} guild The guild
+   * @param {GuildReconciledEntities} removed The entities that were removed from the caches
+   */
+  client.emit(Events.GUILD_CACHE_RECONCILE, guild, removed);
+};
@@ -1,29 +1,9 @@
 'use strict';
 
-const { Events, Opcodes, Status } = require('../../../util/Constants');
-
-const sendSubscriptions = (shard, guildId) => {
-  const subs = {};
-  subs[guildId] = {
-    typing: true,
-    threads: true,
-    activities: true,
-    member_updates: true,
-    thread_member_lists: [],
-    members: [],
-    channels: {},
-  };
-  shard.send({
-    op: Opcodes.GUILD_SUBSCRIPTIONS_BULK,
-    d: {
-      subscriptions: subs,
-    },
-  });
-};
+const { Events, Status } = require('../../../util/Constants');
 
 module.exports = (client, { d: data }, shard) => {
   let guild = client.guilds.cache.get(data.id);
-  sendSubscriptions(shard, data.id);
   if (guild) {
     if (!guild.available && !data.unavailable) {
       // A newly available guild
@@ -48,4 +28,7 @@ module.exports = (client, { d: data }, shard) => {
       client.emit(Events.GUILD_CREATE, guild);
     }
   }
+
+  const subscriptions = guild._resolveSubscriptions();
+  if (subscriptions) guild._sendSubscriptions(subscriptions);
 };
@@ -0,0 +1,16 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  const { list, operations } = guild.memberList._handleUpdate(data);
+  /**
+   * Emitted whenever Discord updates a subscribed member list.
+   * @event Client#memberListUpdate
+   * @param {GuildMemberList} memberList The updated member list
+   * @param {GuildMemberListOperation[]} operations The operations that were applied
+   */
+  client.emit(Events.GUILD_MEMBER_LIST_UPDATE, list, operations);
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  // Unlike SOUNDBOARD_SOUNDS, this only contains the sounds that changed
+  for (const sound of data.soundboard_sounds) {
+    const cachedSound = guild.soundboardSounds.cache.get(sound.sound_id);
+    if (cachedSound) client.actions.GuildSoundboardSoundUpdate.handle(cachedSound, sound);
+    else guild.soundboardSounds._add(sound);
+  }
+};
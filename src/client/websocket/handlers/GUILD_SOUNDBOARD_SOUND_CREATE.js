@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  client.actions.GuildSoundboardSoundCreate.handle(guild, data);
+};
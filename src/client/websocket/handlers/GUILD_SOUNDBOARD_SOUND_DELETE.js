@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  const sound = client.guilds.cache.get(data.guild_id)?.soundboardSounds.cache.get(data.sound_id);
+  if (sound) client.actions.GuildSoundboardSoundDelete.handle(sound);
+};
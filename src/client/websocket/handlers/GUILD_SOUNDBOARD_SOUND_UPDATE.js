@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  const sound = guild.soundboardSounds.cache.get(data.sound_id);
+  if (sound) client.actions.GuildSoundboardSoundUpdate.handle(sound, data);
+  else guild.soundboardSounds._add(data);
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  /**
+   * Emitted whenever an interaction sent by the client user fails, e.g. when the application did not respond in time.
+   * @event Client#interactionFailure
+   * @param {InteractionResponse} response The failed interaction
+   */
+  client.emit(Events.INTERACTION_FAILURE, {
+    id: data.id,
+    nonce: data.nonce ?? null,
+    reasonCode: data.reason_code ?? null,
+  });
+};
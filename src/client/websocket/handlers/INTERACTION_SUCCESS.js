@@ -0,0 +1,21 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  /**
+   * The acknowledgement of an interaction sent by the client user.
+   * @typedef {Object} InteractionResponse
+   * @property {Snowflake} id The id of the interaction
+   * @property {?string} nonce The nonce the interaction was sent with
+   * @property {?number} reasonCode Why the interaction failed, only for failures
+   */
+
+  /**
+   * Emitted whenever an interaction sent by the client user (a slash command, a button click...) is acknowledged
+   * by the application.
+   * @event Client#interactionSuccess
+   * @param {InteractionResponse} response The acknowledged interaction
+   */
+  client.emit(Events.INTERACTION_SUCCESS, { id: data.id, nonce: data.nonce ?? null, reasonCode: null });
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  const messages = new Collection();
+  for (const raw of data.messages) {
+    const channel = guild.channels.cache.get(raw.channel_id);
+    if (!channel?.messages) continue;
+    const message = channel.messages._add(raw);
+    if (!channel.lastMessageId || BigInt(raw.id) > BigInt(channel.lastMessageId)) channel.lastMessageId = raw.id;
+    messages.set(channel.id, message);
+  }
+  /**
+   * Emitted whenever the last messages of channels are received, after requesting them with
+   * {@link Guild#fetchLastMessages}.
+   * @event Client#lastMessages
+   * @param {Guild} guild The guild of the channels
+   * @param {Collection<Snowflake, Message>} messages The last messages, mapped by channel id
+   */
+  client.emit(Events.LAST_MESSAGES, guild, messages);
+};
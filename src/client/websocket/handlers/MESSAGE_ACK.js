@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  // Acks of other read state types, e.g. guild events, carry an ack_type
+  if ((data.ack_type ?? 0) !== 0) return;
+  client.readStates._ack(data.channel_id, data.message_id, data.mention_count ?? 0);
+};
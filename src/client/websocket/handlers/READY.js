@@ -11,21 +11,11 @@ const SUBSCRIPTION_PAYLOAD_SUFFIX = '}}}';
 const SUBSCRIPTION_PAYLOAD_BASE_SIZE =
   Buffer.byteLength(SUBSCRIPTION_PAYLOAD_PREFIX) + Buffer.byteLength(SUBSCRIPTION_PAYLOAD_SUFFIX);
 
-const createSubscription = () => ({
-  typing: true,
-  threads: true,
-  activities: true,
-  member_updates: true,
-  thread_member_lists: [],
-  members: [],
-  channels: {},
-});
-const SERIALIZED_SUBSCRIPTION = JSON.stringify(createSubscription());
-const SERIALIZED_SUBSCRIPTION_SIZE = Buffer.byteLength(SERIALIZED_SUBSCRIPTION);
-const getSubscriptionEntrySize = guildId =>
-  Buffer.byteLength(JSON.stringify(guildId)) + 1 + SERIALIZED_SUBSCRIPTION_SIZE;
+const getSubscriptionEntrySize = (guildId, serializedSubscription) =>
+  Buffer.byteLength(JSON.stringify(guildId)) + 1 + Buffer.byteLength(serializedSubscription);
 
 module.exports = (client, { d: data }, shard) => {
+  // Guilds resolving to no subscriptions are skipped, the others may each have a payload of a different size
   const buildSubscriptionChunks = guilds => {
     const chunks = [];
     let subscriptions = {};
@@ -33,7 +23,10 @@ module.exports = (client, { d: data }, shard) => {
     let payloadSize = SUBSCRIPTION_PAYLOAD_BASE_SIZE;
 
     for (const guild of guilds) {
-      const entrySize = getSubscriptionEntrySize(guild.id);
+      const options = guild._resolveSubscriptions();
+      if (!options) continue;
+      const subscription = guild._subscriptionPayload(options);
+      const entrySize = getSubscriptionEntrySize(guild.id, JSON.stringify(subscription));
       const separatorSize = subscriptionCount > 0 ? 1 : 0;
 
       if (subscriptionCount > 0 && payloadSize + separatorSize + entrySize > MAX_SUBSCRIPTION_PACKET_BYTES) {
@@ -44,7 +37,7 @@ module.exports = (client, { d: data }, shard) => {
         payloadSize = SUBSCRIPTION_PAYLOAD_BASE_SIZE;
       }
 
-      subscriptions[guild.id] = createSubscription();
+      subscriptions[guild.id] = subscription;
       payloadSize += (subscriptionCount > 0 ? 1 : 0) + entrySize;
       subscriptionCount++;
 
@@ -81,14 +74,18 @@ module.exports = (client, { d: data }, shard) => {
     if (private_channel?.id) client.channels._add(private_channel);
   }
 
+  const guilds = [];
   for (const guild of data.guilds) {
     guild.shardId = shard.id;
-    client.guilds._add(guild);
+    guilds.push(client.guilds._add(guild));
   }
 
   // User Notes
   client.notes._reload(data.notes);
 
+  // Read States
+  client.readStates._setup(data.read_state);
+
   // Relationship
   client.relationships._setup(data.relationships);
 
@@ -119,14 +116,15 @@ module.exports = (client, { d: data }, shard) => {
   }
   // Todo: data.auth_session_id_hash
   client.sessions.currentSessionIdHash = data.auth_session_id_hash;
+  if (Array.isArray(data.sessions)) client.sessions._replaceGatewaySessions(data.sessions);
 
   const installationId = data.apex_experiments?.installation ?? data.installation;
   if (installationId && typeof client.rest.setInstallationId === 'function') {
     client.rest.setInstallationId(installationId);
   }
 
-  if (data.guilds.length) {
-    for (const subscriptions of buildSubscriptionChunks(data.guilds)) {
+  if (guilds.length) {
+    for (const subscriptions of buildSubscriptionChunks(guilds)) {
       shard.send({
         op: Opcodes.GUILD_SUBSCRIPTIONS_BULK,
         d: {
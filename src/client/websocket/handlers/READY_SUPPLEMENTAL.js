@@ -0,0 +1,40 @@
+'use strict';
+
+const { Events, Status } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }, shard) => {
+  for (const channel of data.lazy_private_channels ?? []) client.channels._add(channel);
+
+  for (const presence of data.merged_presences?.friends ?? []) {
+    client.presences._add({ ...presence, user: { id: presence.user_id } });
+  }
+
+  // The merged members and presences are ordered like the guilds of this packet
+  for (const [index, guildData] of (data.guilds ?? []).entries()) {
+    const guild = client.guilds.cache.get(guildData.id);
+    if (!guild) continue;
+    for (const member of data.merged_members?.[index] ?? []) {
+      guild.members._add({ ...member, user: { id: member.user_id } });
+    }
+    for (const presence of data.merged_presences?.guilds?.[index] ?? []) {
+      guild.presences._add({ ...presence, user: { id: presence.user_id }, guild });
+    }
+    for (const voiceState of guildData.voice_states ?? []) {
+      guild.voiceStates._add({ ...voiceState, guild_id: guild.id });
+    }
+  }
+
+  shard.expectingSupplemental = false;
+
+  /**
+   * Emitted when the READY_SUPPLEMENTAL packet of a shard was applied, once the members and presences
+   * of the friends and guilds of the client user were cached.
+   * <info>The client waits for this packet before emitting {@link Client#ready}.</info>
+   * @event Client#supplementalReady
+   * @param {number} shardId The id of the shard
+   */
+  client.emit(Events.SUPPLEMENTAL_READY, shard.id);
+
+  // The shard already received READY and is only waiting for this packet
+  if (shard.status === Status.WAITING_FOR_GUILDS && shard.readyTimeout) shard.checkReady();
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  /**
+   * Emitted whenever a message is removed from the recent mentions of the client user.
+   * @event Client#recentMentionDelete
+   * @param {Snowflake} messageId The id of the removed message
+   */
+  client.emit(Events.RECENT_MENTION_DELETE, data.message_id);
+};
@@ -0,0 +1,5 @@
+'use strict';
+
+module.exports = (client, { d: data }) => {
+  client.sessions._handleRemoteCommand(data);
+};
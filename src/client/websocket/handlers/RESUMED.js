@@ -2,6 +2,9 @@
 
 const { Events } = require('../../../util/Constants');
 
+// How long a session has to be disconnected for before the guild caches are reconciled after it is resumed
+const RECONCILE_AFTER = 60_000;
+
 module.exports = (client, packet, shard) => {
   const replayed = shard.sequence - shard.closeSequence;
   /**
@@ -11,4 +14,11 @@ module.exports = (client, packet, shard) => {
    * @param {number} replayedEvents The amount of replayed events
    */
   client.emit(Events.SHARD_RESUME, shard.id, replayed);
+
+  // Deletions that happened while disconnected are not replayed, ask Discord for them. A request is queued for every
+  // guild, so short drops are skipped rather than holding the other packets back, see Guild#reconcileCache
+  if (client.user?.bot || (shard.resumedAfter !== null && shard.resumedAfter < RECONCILE_AFTER)) return;
+  for (const guild of client.guilds.cache.values()) {
+    if (guild.shardId === shard.id && guild.available) guild._requestDeletedEntityIds();
+  }
 };
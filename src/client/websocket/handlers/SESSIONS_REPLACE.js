@@ -0,0 +1,14 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  const { added, removed } = client.sessions._replaceGatewaySessions(data);
+  /**
+   * Emitted whenever the gateway sessions of the client user change, including their status and activities.
+   * @event Client#sessionsUpdate
+   * @param {Collection<string, GatewaySession>} added The sessions that were created
+   * @param {Collection<string, GatewaySession>} removed The sessions that were closed
+   */
+  client.emit(Events.SESSIONS_UPDATE, added, removed);
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+  client.actions.GuildSoundboardSoundsUpdate.handle(data);
+  /**
+   * Emitted whenever the soundboard sounds of a guild are received, after requesting them with
+   * {@link GuildManager#fetchSoundboardSounds}.
+   * @event Client#soundboardSounds
+   * @param {Guild} guild The guild of the sounds
+   * @param {Collection<Snowflake, SoundboardSound>} sounds The sounds of the guild
+   */
+  client.emit(Events.SOUNDBOARD_SOUNDS, guild, guild.soundboardSounds.cache.clone());
+};
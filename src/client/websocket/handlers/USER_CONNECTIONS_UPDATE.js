@@ -0,0 +1,12 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = client => {
+  /**
+   * Emitted whenever a connected account of the client user is added, edited or removed.
+   * <info>The gateway does not say which connection changed, fetch them again to get the new data.</info>
+   * @event Client#userConnectionsUpdate
+   */
+  client.emit(Events.USER_CONNECTIONS_UPDATE);
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+const { Events } = require('../../../util/Constants');
+
+module.exports = (client, { d: data }) => {
+  /**
+   * Emitted whenever the protobuf settings of the client user change.
+   * @event Client#userSettingsProtoUpdate
+   * @param {number} type The type of the settings, `1` for the preloaded settings and `2` for the frecency ones
+   * @param {string} proto The base64 encoded settings
+   * @param {boolean} partial Whether only the changed settings were sent
+   */
+  client.emit(Events.USER_SETTINGS_PROTO_UPDATE, data.settings?.type, data.settings?.proto, Boolean(data.partial));
+};
@@ -6,7 +6,7 @@ module.exports = (client, { d: data }) => {
   const channel = client.channels.cache.get(data.id);
   if (channel) {
     const old = channel._clone();
-    channel.status = data.status;
+    channel.status = data.status || null;
     client.emit(Events.CHANNEL_UPDATE, old, channel);
   }
 };
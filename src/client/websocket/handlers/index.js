@@ -2,6 +2,7 @@
 
 const handlers = Object.fromEntries([
   ['READY', require('./READY')],
+  ['READY_SUPPLEMENTAL', require('./READY_SUPPLEMENTAL')],
   ['RESUMED', require('./RESUMED')],
   ['APPLICATION_COMMAND_CREATE', require('./APPLICATION_COMMAND_CREATE')],
   ['APPLICATION_COMMAND_DELETE', require('./APPLICATION_COMMAND_DELETE')],
@@ -56,6 +57,11 @@ const handlers = Object.fromEntries([
   ['STAGE_INSTANCE_UPDATE', require('./STAGE_INSTANCE_UPDATE')],
   ['STAGE_INSTANCE_DELETE', require('./STAGE_INSTANCE_DELETE')],
   ['GUILD_STICKERS_UPDATE', require('./GUILD_STICKERS_UPDATE')],
+  ['GUILD_SOUNDBOARD_SOUND_CREATE', require('./GUILD_SOUNDBOARD_SOUND_CREATE')],
+  ['GUILD_SOUNDBOARD_SOUND_UPDATE', require('./GUILD_SOUNDBOARD_SOUND_UPDATE')],
+  ['GUILD_SOUNDBOARD_SOUND_DELETE', require('./GUILD_SOUNDBOARD_SOUND_DELETE')],
+  ['GUILD_SOUNDBOARD_SOUNDS_UPDATE', require('./GUILD_SOUNDBOARD_SOUNDS_UPDATE')],
+  ['SOUNDBOARD_SOUNDS', require('./SOUNDBOARD_SOUNDS')],
   ['GUILD_SCHEDULED_EVENT_CREATE', require('./GUILD_SCHEDULED_EVENT_CREATE')],
   ['GUILD_SCHEDULED_EVENT_UPDATE', require('./GUILD_SCHEDULED_EVENT_UPDATE')],
   ['GUILD_SCHEDULED_EVENT_DELETE', require('./GUILD_SCHEDULED_EVENT_DELETE')],
@@ -79,6 +85,20 @@ const handlers = Object.fromEntries([
   ['VOICE_CHANNEL_STATUS_UPDATE', require('./VOICE_CHANNEL_STATUS_UPDATE')],
   ['MESSAGE_POLL_VOTE_ADD', require('./MESSAGE_POLL_VOTE_ADD')],
   ['MESSAGE_POLL_VOTE_REMOVE', require('./MESSAGE_POLL_VOTE_REMOVE')],
+  ['GUILD_MEMBER_LIST_UPDATE', require('./GUILD_MEMBER_LIST_UPDATE')],
+  ['MESSAGE_ACK', require('./MESSAGE_ACK')],
+  ['CHANNEL_UNREAD_UPDATE', require('./CHANNEL_UNREAD_UPDATE')],
+  ['SESSIONS_REPLACE', require('./SESSIONS_REPLACE')],
+  ['LAST_MESSAGES', require('./LAST_MESSAGES')],
+  ['CHANNEL_STATUSES', require('./CHANNEL_STATUSES')],
+  ['REMOTE_COMMAND', require('./REMOTE_COMMAND')],
+  ['DELETED_ENTITY_IDS', require('./DELETED_ENTITY_IDS')],
+  ['INTERACTION_SUCCESS', require('./INTERACTION_SUCCESS')],
+  ['INTERACTION_FAILURE', require('./INTERACTION_FAILURE')],
+  ['APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE', require('./APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE')],
+  ['RECENT_MENTION_DELETE', require('./RECENT_MENTION_DELETE')],
+  ['USER_CONNECTIONS_UPDATE', require('./USER_CONNECTIONS_UPDATE')],
+  ['USER_SETTINGS_PROTO_UPDATE', require('./USER_SETTINGS_PROTO_UPDATE')],
 ]);
 
 module.exports = handlers;
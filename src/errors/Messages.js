@@ -17,6 +17,10 @@ const Messages = {
   WS_NOT_OPEN: (data = 'data') => `WebSocket not open to send ${data}`,
   MANAGER_DESTROYED: 'Manager was destroyed.',
 
+  MOCK_SERVER_BUN_REQUIRED: 'MockDiscordServer requires the Bun runtime.',
+  MOCK_SERVER_TIMEOUT: what => `Timed out waiting for a ${what}.`,
+  REST_CASSETTE_NO_MATCH: (method, route) => `No recorded response matches the request ${method} ${route}.`,
+
   BITFIELD_INVALID: bit => `Invalid bitfield flag or number: ${bit}.`,
 
   SHARDING_INVALID: '[Bot Token] Invalid shard settings were provided.',
@@ -75,6 +79,7 @@ const Messages = {
   USER_NO_DM_CHANNEL: 'No DM Channel exists!',
 
   VOICE_NOT_STAGE_CHANNEL: 'You are only allowed to do this in stage channels.',
+  VOICE_SOUNDBOARD_NOT_CONNECTED: 'You must be connected to the voice channel to send soundboard sounds.',
 
   VOICE_STATE_NOT_OWN:
     'You cannot self-deafen/mute/request to speak on VoiceStates that do not belong to the ClientUser.',
@@ -103,6 +108,10 @@ const Messages = {
   GUILD_CHANNEL_UNOWNED: "The fetched channel does not belong to this manager's guild.",
   GUILD_OWNED: 'Guild is owned by the client.',
   GUILD_MEMBERS_TIMEOUT: "Members didn't arrive in time.",
+  GUILD_MEMBER_LIST_TIMEOUT: "The member list didn't arrive in time.",
+  LAST_MESSAGES_TIMEOUT: "The last messages of the channels didn't arrive in time.",
+  CHANNEL_STATUSES_TIMEOUT: "The statuses of the voice channels didn't arrive in time.",
+  GUILD_RECONCILE_TIMEOUT: "The deleted entities of the guild didn't arrive in time.",
   GUILD_UNCACHED_ME: 'The client user as a member of this guild is uncached.',
   CHANNEL_NOT_CACHED: 'Could not find the channel where this message came from in the cache!',
   STAGE_CHANNEL_RESOLVE: 'Could not resolve channel to a stage channel.',
@@ -126,6 +135,8 @@ const Messages = {
   MISSING_MANAGE_EMOJIS_AND_STICKERS_PERMISSION: guild =>
     `Client must have Manage Emojis and Stickers permission in guild ${guild} to see emoji authors.`,
   NOT_GUILD_STICKER: 'Sticker is a standard (non-guild) sticker and has no author.',
+  NOT_GUILD_SOUNDBOARD_SOUND: 'Soundboard sound is a default (non-guild) sound and cannot be edited or deleted.',
+  SOUNDBOARD_SOUNDS_TIMEOUT: "Didn't receive the soundboard sounds of every guild in time.",
 
   REACTION_RESOLVE_USER: "Couldn't resolve the user id to remove from the reaction.",
 
@@ -196,6 +207,7 @@ const Messages = {
   VOICE_JOIN_SOCKET_CLOSED: 'Tried to send join packet, but the WebSocket is not open.',
   VOICE_PLAY_INTERFACE_NO_BROADCAST: 'A broadcast cannot be played in this context.',
   VOICE_PLAY_INTERFACE_BAD_TYPE: 'Unknown stream type',
+  VOICE_RECORD_FORMAT: format => `Cannot record in the ${format} format.`,
   VOICE_PRISM_DEMUXERS_NEED_STREAM: 'To play a webm/ogg stream, you need to pass a ReadableStream.',
 
   VOICE_STATE_UNCACHED_MEMBER: 'The member of this voice state is uncached.',
@@ -26,12 +26,15 @@ exports.GuildMemberFlags = require('./util/GuildMemberFlags');
 exports.HTTPError = require('./rest/HTTPError');
 exports.Intents = require('./util/Intents');
 exports.LimitedCollection = require('./util/LimitedCollection');
+exports.MemoryRateLimitStore = require('./rest/MemoryRateLimitStore');
 exports.MessageFlags = require('./util/MessageFlags');
 exports.Options = require('./util/Options');
 exports.Permissions = require('./util/Permissions');
 exports.RateLimitError = require('./rest/RateLimitError');
+exports.RateLimitStore = require('./rest/RateLimitStore');
 exports.RoleFlags = require('./util/RoleFlags');
 exports.SnowflakeUtil = require('./util/SnowflakeUtil');
+exports.SQLiteRateLimitStore = require('./rest/SQLiteRateLimitStore');
 exports.Sweepers = require('./util/Sweepers');
 exports.SystemChannelFlags = require('./util/SystemChannelFlags');
 exports.ThreadMemberFlags = require('./util/ThreadMemberFlags');
@@ -54,15 +57,18 @@ exports.GuildEmojiManager = require('./managers/GuildEmojiManager');
 exports.GuildEmojiRoleManager = require('./managers/GuildEmojiRoleManager');
 exports.GuildInviteManager = require('./managers/GuildInviteManager');
 exports.GuildManager = require('./managers/GuildManager');
+exports.GuildMemberListManager = require('./managers/GuildMemberListManager');
 exports.GuildMemberManager = require('./managers/GuildMemberManager');
 exports.GuildMemberRoleManager = require('./managers/GuildMemberRoleManager');
 exports.GuildScheduledEventManager = require('./managers/GuildScheduledEventManager');
+exports.GuildSoundboardSoundManager = require('./managers/GuildSoundboardSoundManager');
 exports.GuildStickerManager = require('./managers/GuildStickerManager');
 exports.MessageManager = require('./managers/MessageManager');
 exports.PermissionOverwriteManager = require('./managers/PermissionOverwriteManager');
 exports.PresenceManager = require('./managers/PresenceManager');
 exports.ReactionManager = require('./managers/ReactionManager');
 exports.ReactionUserManager = require('./managers/ReactionUserManager');
+exports.ReadStateManager = require('./managers/ReadStateManager');
 exports.RoleManager = require('./managers/RoleManager');
 exports.SessionManager = require('./managers/SessionManager');
 exports.StageInstanceManager = require('./managers/StageInstanceManager');
@@ -70,6 +76,9 @@ exports.ThreadManager = require('./managers/ThreadManager');
 exports.ThreadMemberManager = require('./managers/ThreadMemberManager');
 exports.UserManager = require('./managers/UserManager');
 exports.VoiceStateManager = require('./managers/VoiceStateManager');
+exports.FileGatewaySessionStore = require('./client/websocket/FileGatewaySessionStore');
+exports.GatewayRecorder = require('./client/websocket/GatewayRecorder');
+exports.GatewaySessionStore = require('./client/websocket/GatewaySessionStore');
 exports.WebSocketManager = require('./client/websocket/WebSocketManager');
 exports.WebSocketShard = require('./client/websocket/WebSocketShard');
 exports.RelationshipManager = require('./managers/RelationshipManager');
@@ -98,6 +107,7 @@ exports.DirectoryChannel = require('./structures/DirectoryChannel');
 exports.DMChannel = require('./structures/DMChannel');
 exports.Emoji = require('./structures/Emoji').Emoji;
 exports.ForumChannel = require('./structures/ForumChannel');
+exports.GatewaySession = require('./structures/GatewaySession');
 exports.Guild = require('./structures/Guild').Guild;
 exports.GuildAuditLogs = require('./structures/GuildAuditLogs');
 exports.GuildAuditLogsEntry = require('./structures/GuildAuditLogs').Entry;
@@ -105,6 +115,7 @@ exports.GuildBan = require('./structures/GuildBan');
 exports.GuildChannel = require('./structures/GuildChannel');
 exports.GuildEmoji = require('./structures/GuildEmoji');
 exports.GuildMember = require('./structures/GuildMember').GuildMember;
+exports.GuildMemberList = require('./structures/GuildMemberList');
 exports.GuildPreview = require('./structures/GuildPreview');
 exports.GuildPreviewEmoji = require('./structures/GuildPreviewEmoji');
 exports.GuildScheduledEvent = require('./structures/GuildScheduledEvent').GuildScheduledEvent;
@@ -132,9 +143,11 @@ exports.PermissionOverwrites = require('./structures/PermissionOverwrites');
 exports.Presence = require('./structures/Presence').Presence;
 exports.ReactionCollector = require('./structures/ReactionCollector');
 exports.ReactionEmoji = require('./structures/ReactionEmoji');
+exports.ReadState = require('./structures/ReadState');
 exports.RichPresenceAssets = require('./structures/Presence').RichPresenceAssets;
 exports.Role = require('./structures/Role').Role;
 exports.Session = require('./structures/Session');
+exports.SoundboardSound = require('./structures/SoundboardSound');
 exports.StageChannel = require('./structures/StageChannel');
 exports.StageInstance = require('./structures/StageInstance').StageInstance;
 exports.Sticker = require('./structures/Sticker').Sticker;
@@ -170,3 +183,6 @@ exports.PurchasedFlags = require('./util/PurchasedFlags');
 exports.Poll = require('./structures/Poll').Poll;
 exports.PollAnswer = require('./structures/PollAnswer').PollAnswer;
 exports.Recorder = require('./client/voice/receiver/Recorder');
+exports.MixedAudioStream = require('./client/voice/receiver/MixedAudioStream');
+exports.OggOpusMuxer = require('./client/voice/receiver/OggOpusMuxer');
+exports.SpeakingTimeline = require('./client/voice/receiver/SpeakingTimeline');
@@ -1,6 +1,7 @@
 'use strict';
 
 const process = require('node:process');
+const { setTimeout, clearTimeout } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
 const { Error, TypeError } = require('../errors');
@@ -12,6 +13,8 @@ const ChannelFlags = require('../util/ChannelFlags');
 const {
   ThreadChannelTypes,
   ChannelTypes,
+  Events,
+  Opcodes,
   VideoQualityModes,
   SortOrderTypes,
   ForumLayoutTypes,
@@ -409,6 +412,37 @@ class GuildChannelManager extends CachedManager {
     return channels;
   }
 
+  /**
+   * Fetches the statuses of the voice channels of the guild through the gateway, updating their
+   * {@link BaseGuildVoiceChannel#status}.
+   * @param {number} [timeout=15_000] How long to wait for Discord to answer, in milliseconds
+   * @returns {Promise<Collection<Snowflake, string>>} The statuses that are set, mapped by channel id
+   * @example
+   * guild.channels.fetchVoiceStatuses()
+   *   .then(statuses => statuses.each((status, id) => console.log(`${guild.channels.cache.get(id).name}: ${status}`)))
+   *   .catch(console.error);
+   */
+  fetchVoiceStatuses(timeout = 15_000) {
+    const promise = new Promise((resolve, reject) => {
+      const handler = (guild, statuses) => {
+        if (guild.id !== this.guild.id) return;
+        clearTimeout(timer);
+        this.client.removeListener(Events.CHANNEL_STATUSES, handler);
+        this.client.decrementMaxListeners();
+        resolve(statuses);
+      };
+      const timer = setTimeout(() => {
+        this.client.removeListener(Events.CHANNEL_STATUSES, handler);
+        this.client.decrementMaxListeners();
+        reject(new Error('CHANNEL_STATUSES_TIMEOUT'));
+      }, timeout).unref();
+      this.client.incrementMaxListeners();
+      this.client.on(Events.CHANNEL_STATUSES, handler);
+    });
+    this.guild.shard.send({ op: Opcodes.REQUEST_CHANNEL_STATUSES, d: { guild_id: this.guild.id } });
+    return promise;
+  }
+
   /**
    * Fetches all webhooks for the channel.
    * @param {GuildChannelResolvable} channel The channel to fetch webhooks for
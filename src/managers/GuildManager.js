@@ -1,9 +1,10 @@
 'use strict';
 
 const process = require('node:process');
-const { setTimeout } = require('node:timers');
+const { setTimeout, clearTimeout } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
+const { Error, TypeError } = require('../errors');
 const { Guild } = require('../structures/Guild');
 const GuildChannel = require('../structures/GuildChannel');
 const GuildEmoji = require('../structures/GuildEmoji');
@@ -18,6 +19,7 @@ const {
   VerificationLevels,
   DefaultMessageNotificationLevels,
   ExplicitContentFilterLevels,
+  Opcodes,
   VideoQualityModes,
 } = require('../util/Constants');
 const DataResolver = require('../util/DataResolver');
@@ -308,6 +310,52 @@ class GuildManager extends CachedManager {
     return data.reduce((coll, guild) => coll.set(guild.id, new OAuth2Guild(this.client, guild)), new Collection());
   }
 
+  /**
+   * Requests the soundboard sounds of guilds through the gateway, updating their caches.
+   * @param {GuildResolvable[]} guilds The guilds to request the sounds of
+   * @param {number} [timeout=15_000] How long to wait for the sounds of every guild, in milliseconds
+   * @returns {Promise<Collection<Snowflake, Collection<Snowflake, SoundboardSound>>>} The sounds, mapped by guild id
+   * @example
+   * client.guilds.fetchSoundboardSounds([guild])
+   *   .then(sounds => console.log(`${sounds.get(guild.id).size} sounds`))
+   *   .catch(console.error);
+   */
+  fetchSoundboardSounds(guilds, timeout = 15_000) {
+    const guildIds = [...new Set(guilds.map(guild => this.resolveId(guild)))];
+    if (!guildIds.length || guildIds.some(id => !this.cache.has(id))) {
+      throw new TypeError('INVALID_TYPE', 'guilds', 'Array of cached GuildResolvable', true);
+    }
+
+    const shards = new Collection();
+    for (const id of guildIds) {
+      const shard = this.cache.get(id).shard;
+      shards.ensure(shard.id, () => ({ shard, guildIds: [] })).guildIds.push(id);
+    }
+    for (const { shard, guildIds: ids } of shards.values()) {
+      shard.send({ op: Opcodes.REQUEST_SOUNDBOARD_SOUNDS, d: { guild_ids: ids } });
+    }
+
+    const sounds = new Collection();
+    return new Promise((resolve, reject) => {
+      const handler = (guild, guildSounds) => {
+        if (!guildIds.includes(guild.id)) return;
+        sounds.set(guild.id, guildSounds);
+        if (sounds.size < guildIds.length) return;
+        clearTimeout(timer);
+        this.client.removeListener(Events.SOUNDBOARD_SOUNDS, handler);
+        this.client.decrementMaxListeners();
+        resolve(sounds);
+      };
+      const timer = setTimeout(() => {
+        this.client.removeListener(Events.SOUNDBOARD_SOUNDS, handler);
+        this.client.decrementMaxListeners();
+        reject(new Error('SOUNDBOARD_SOUNDS_TIMEOUT'));
+      }, timeout).unref();
+      this.client.incrementMaxListeners();
+      this.client.on(Events.SOUNDBOARD_SOUNDS, handler);
+    });
+  }
+
   /**
    * Options used to set incident actions. Supplying `null` to any option will disable the action.
    * @typedef {Object} IncidentActionsEditOptions
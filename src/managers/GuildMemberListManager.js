@@ -0,0 +1,187 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { setTimeout, clearTimeout } = require('node:timers');
+const { Collection } = require('@discordjs/collection');
+const BaseManager = require('./BaseManager');
+const { Error, TypeError } = require('../errors');
+const GuildMemberList = require('../structures/GuildMemberList');
+const { Events } = require('../util/Constants');
+const Permissions = require('../util/Permissions');
+
+/**
+ * A range of a member list, as `[start, end]` with both ends included. Discord expects ranges of 100 entries,
+ * e.g. `[0, 99]` or `[100, 199]`.
+ * @typedef {number[]} GuildMemberListRange
+ */
+
+/**
+ * Manages the member lists of a guild, as shown in the member sidebar of its channels.
+ * @extends {BaseManager}
+ */
+class GuildMemberListManager extends BaseManager {
+  constructor(guild) {
+    super(guild.client);
+
+    /**
+     * The guild this manager belongs to
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The member lists received, mapped by their id
+     * @type {Collection<string, GuildMemberList>}
+     */
+    this.cache = new Collection();
+
+    /**
+     * The subscribed ranges, mapped by channel id
+     * @type {Collection<Snowflake, GuildMemberListRange[]>}
+     */
+    this.subscriptions = new Collection();
+  }
+
+  /**
+   * Computes the id of the member list of a channel. Channels that share the same view permissions share a list.
+   * @param {GuildChannelResolvable} channel The channel
+   * @returns {string}
+   */
+  resolveListId(channel) {
+    channel = this.guild.channels.resolve(channel);
+    if (!channel) throw new TypeError('INVALID_TYPE', 'channel', 'GuildChannelResolvable');
+    if (channel.isThread()) channel = channel.parent;
+    if (channel.permissionsFor(this.guild.roles.everyone).has(Permissions.FLAGS.VIEW_CHANNEL)) return 'everyone';
+    const overwrites = [];
+    for (const overwrite of channel.permissionOverwrites.cache.values()) {
+      if (overwrite.allow.has(Permissions.FLAGS.VIEW_CHANNEL)) overwrites.push(`allow:${overwrite.id}`);
+      else if (overwrite.deny.has(Permissions.FLAGS.VIEW_CHANNEL)) overwrites.push(`deny:${overwrite.id}`);
+    }
+    return String(murmurhash3(overwrites.sort().join(',')));
+  }
+
+  /**
+   * Gets the cached member list of a channel.
+   * @param {GuildChannelResolvable} channel The channel
+   * @returns {?GuildMemberList}
+   */
+  forChannel(channel) {
+    return this.cache.get(this.resolveListId(channel)) ?? null;
+  }
+
+  /**
+   * Subscribes to ranges of the member list of a channel. Discord then sends the entries of these ranges and keeps
+   * them up to date, emitting {@link Client#memberListUpdate}. The ranges replace the previous ones of the channel.
+   * @param {GuildChannelResolvable} channel The channel
+   * @param {GuildMemberListRange[]} [ranges=[[0, 99]]] The ranges to subscribe to
+   * @returns {Promise<GuildMemberList>} The member list, once the ranges were synced
+   * @example
+   * // Get the first 200 entries of the member list of a channel
+   * guild.memberList.subscribe(channel, [[0, 99], [100, 199]])
+   *   .then(list => console.log(`${list.onlineCount} members online`))
+   *   .catch(console.error);
+   */
+  subscribe(channel, ranges = [[0, 99]]) {
+    const listId = this.resolveListId(channel);
+    const channelId = this.guild.channels.resolveId(channel);
+    if (!Array.isArray(ranges) || !ranges.every(isRange)) {
+      throw new TypeError('INVALID_TYPE', 'ranges', 'array of [start, end] ranges', true);
+    }
+    this.subscriptions.set(channelId, ranges);
+    this.guild._sendSubscriptions();
+
+    return new Promise((resolve, reject) => {
+      const handler = (list, operations) => {
+        if (list.guild.id !== this.guild.id || list.id !== listId) return;
+        if (!operations.some(operation => operation.type === 'SYNC')) return;
+        clearTimeout(timeout);
+        this.client.removeListener(Events.GUILD_MEMBER_LIST_UPDATE, handler);
+        this.client.decrementMaxListeners();
+        resolve(list);
+      };
+      const timeout = setTimeout(() => {
+        this.client.removeListener(Events.GUILD_MEMBER_LIST_UPDATE, handler);
+        this.client.decrementMaxListeners();
+        reject(new Error('GUILD_MEMBER_LIST_TIMEOUT'));
+      }, 15_000).unref();
+      this.client.incrementMaxListeners();
+      this.client.on(Events.GUILD_MEMBER_LIST_UPDATE, handler);
+    });
+  }
+
+  /**
+   * Unsubscribes from the member list of a channel.
+   * @param {GuildChannelResolvable} channel The channel
+   * @returns {boolean} Whether the channel was subscribed to
+   */
+  unsubscribe(channel) {
+    const channelId = this.guild.channels.resolveId(channel);
+    if (!this.subscriptions.delete(channelId)) return false;
+    this.guild._sendSubscriptions();
+    return true;
+  }
+
+  /**
+   * Applies a `GUILD_MEMBER_LIST_UPDATE` packet.
+   * @param {Object} data The packet data
+   * @returns {{ list: GuildMemberList, operations: GuildMemberListOperation[] }}
+   * @private
+   */
+  _handleUpdate(data) {
+    let list = this.cache.get(data.id);
+    if (!list) {
+      list = new GuildMemberList(this.guild, data.id);
+      this.cache.set(data.id, list);
+    }
+    list._patch(data);
+    const operations = list._applyOps(data.ops ?? []);
+    return { list, operations };
+  }
+}
+
+const isRange = range =>
+  Array.isArray(range) && range.length === 2 && range.every(Number.isInteger) && range[0] <= range[1];
+
+/**
+ * Hashes a string with the 32 bits x86 MurmurHash3 algorithm.
+ * @param {string} key The string to hash
+ * @param {number} [seed=0] The seed
+ * @returns {number}
+ * @private
+ */
+function murmurhash3(key, seed = 0) {
+  const data = Buffer.from(key, 'utf8');
+  const tail = data.length & ~3;
+  let h = seed >>> 0;
+  const mix = value => {
+    value = Math.imul(value, 0xcc9e2d51);
+    value = (value << 15) | (value >>> 17);
+    return Math.imul(value, 0x1b873593);
+  };
+  for (let i = 0; i < tail; i += 4) {
+    h ^= mix(data.readUInt32LE(i));
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+  let k = 0;
+  switch (data.length & 3) {
+    case 3:
+      k ^= data[tail + 2] << 16;
+    // Falls through
+    case 2:
+      k ^= data[tail + 1] << 8;
+    // Falls through
+    case 1:
+      k ^= data[tail];
+      h ^= mix(k);
+  }
+  h ^= data.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+module.exports = GuildMemberListManager;
@@ -0,0 +1,179 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const CachedManager = require('./CachedManager');
+const { TypeError } = require('../errors');
+const SoundboardSound = require('../structures/SoundboardSound');
+const DataResolver = require('../util/DataResolver');
+
+/**
+ * Manages API methods for the soundboard sounds of a guild and stores their cache.
+ * @extends {CachedManager}
+ */
+class GuildSoundboardSoundManager extends CachedManager {
+  constructor(guild, iterable) {
+    super(guild.client, SoundboardSound, iterable);
+
+    /**
+     * The guild this manager belongs to
+     * @type {Guild}
+     */
+    this.guild = guild;
+  }
+
+  /**
+   * The cache of the soundboard sounds of the guild
+   * @type {Collection<Snowflake, SoundboardSound>}
+   * @name GuildSoundboardSoundManager#cache
+   */
+
+  _add(data, cache) {
+    return super._add({ ...data, guild_id: this.guild.id }, cache, { id: data.sound_id });
+  }
+
+  /**
+   * Data that resolves to give a SoundboardSound object. This can be:
+   * * A SoundboardSound object
+   * * A Snowflake
+   * @typedef {SoundboardSound|Snowflake} SoundboardSoundResolvable
+   */
+
+  /**
+   * Resolves a SoundboardSoundResolvable to a SoundboardSound object.
+   * @method resolve
+   * @memberof GuildSoundboardSoundManager
+   * @instance
+   * @param {SoundboardSoundResolvable} sound The soundboard sound resolvable to identify
+   * @returns {?SoundboardSound}
+   */
+
+  /**
+   * Resolves a SoundboardSoundResolvable to a SoundboardSound id string.
+   * @method resolveId
+   * @memberof GuildSoundboardSoundManager
+   * @instance
+   * @param {SoundboardSoundResolvable} sound The soundboard sound resolvable to identify
+   * @returns {?Snowflake}
+   */
+
+  /**
+   * Options for creating a soundboard sound.
+   * @typedef {Object} GuildSoundboardSoundCreateOptions
+   * @property {BufferResolvable} file The mp3 or ogg file of the sound, at most 5.2 seconds long and 512 KiB
+   * @property {string} name The name of the sound
+   * @property {number} [volume=1] The volume of the sound, from 0 to 1
+   * @property {?Snowflake} [emojiId] The id of the custom emoji of the sound
+   * @property {?string} [emojiName] The unicode emoji of the sound
+   * @property {string} [reason] Reason for creating the sound
+   */
+
+  /**
+   * Creates a new soundboard sound in the guild.
+   * @param {GuildSoundboardSoundCreateOptions} options Options for creating the sound
+   * @returns {Promise<SoundboardSound>} The created sound
+   * @example
+   * // Create a new soundboard sound from a file on your computer
+   * guild.soundboardSounds.create({ file: './sounds/airhorn.mp3', name: 'airhorn', emojiName: '📯' })
+   *   .then(sound => console.log(`Created new soundboard sound with name ${sound.name}!`))
+   *   .catch(console.error);
+   */
+  async create({ file, name, volume, emojiId, emojiName, reason } = {}) {
+    const buffer = await DataResolver.resolveFileAsBuffer(file);
+    if (!buffer) throw new TypeError('REQ_RESOURCE_TYPE');
+    const contentType = buffer.subarray(0, 4).toString() === 'OggS' ? 'audio/ogg' : 'audio/mpeg';
+
+    const data = await this.client.api.guilds(this.guild.id)['soundboard-sounds'].post({
+      data: {
+        name,
+        sound: `data:${contentType};base64,${buffer.toString('base64')}`,
+        volume,
+        emoji_id: emojiId,
+        emoji_name: emojiName,
+      },
+      reason,
+    });
+    return this.client.actions.GuildSoundboardSoundCreate.handle(this.guild, data).sound;
+  }
+
+  /**
+   * Data for editing a soundboard sound.
+   * @typedef {Object} GuildSoundboardSoundEditData
+   * @property {string} [name] The name of the sound
+   * @property {number} [volume] The volume of the sound, from 0 to 1
+   * @property {?Snowflake} [emojiId] The id of the custom emoji of the sound
+   * @property {?string} [emojiName] The unicode emoji of the sound
+   */
+
+  /**
+   * Edits a soundboard sound.
+   * @param {SoundboardSoundResolvable} sound The sound to edit
+   * @param {GuildSoundboardSoundEditData} [data] The new data for the sound
+   * @param {string} [reason] Reason for editing the sound
+   * @returns {Promise<SoundboardSound>}
+   */
+  async edit(sound, data = {}, reason) {
+    const soundId = this.resolveId(sound);
+    if (!soundId) throw new TypeError('INVALID_TYPE', 'sound', 'SoundboardSoundResolvable');
+
+    const d = await this.client.api
+      .guilds(this.guild.id)
+      ['soundboard-sounds'](soundId)
+      .patch({
+        data: {
+          name: data.name,
+          volume: data.volume,
+          emoji_id: data.emojiId,
+          emoji_name: data.emojiName,
+        },
+        reason,
+      });
+
+    const existing = this.cache.get(soundId);
+    if (existing) {
+      const clone = existing._clone();
+      clone._patch(d);
+      return clone;
+    }
+    return this._add(d);
+  }
+
+  /**
+   * Deletes a soundboard sound.
+   * @param {SoundboardSoundResolvable} sound The sound to delete
+   * @param {string} [reason] Reason for deleting the sound
+   * @returns {Promise<void>}
+   */
+  async delete(sound, reason) {
+    const soundId = this.resolveId(sound);
+    if (!soundId) throw new TypeError('INVALID_TYPE', 'sound', 'SoundboardSoundResolvable');
+
+    await this.client.api.guilds(this.guild.id)['soundboard-sounds'](soundId).delete({ reason });
+  }
+
+  /**
+   * Obtains one or more soundboard sounds from Discord, or the cache if they're already available.
+   * @param {Snowflake} [id] The id of the sound
+   * @param {BaseFetchOptions} [options] Additional options for this fetch
+   * @returns {Promise<SoundboardSound|Collection<Snowflake, SoundboardSound>>}
+   * @example
+   * // Fetch all soundboard sounds of the guild
+   * guild.soundboardSounds.fetch()
+   *   .then(sounds => console.log(`There are ${sounds.size} soundboard sounds.`))
+   *   .catch(console.error);
+   */
+  async fetch(id, { cache = true, force = false } = {}) {
+    if (id) {
+      if (!force) {
+        const existing = this.cache.get(id);
+        if (existing) return existing;
+      }
+      const sound = await this.client.api.guilds(this.guild.id)['soundboard-sounds'](id).get();
+      return this._add(sound, cache);
+    }
+
+    const data = await this.client.api.guilds(this.guild.id)['soundboard-sounds'].get();
+    return new Collection(data.items.map(sound => [sound.sound_id, this._add(sound, cache)]));
+  }
+}
+
+module.exports = GuildSoundboardSoundManager;
@@ -0,0 +1,97 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const BaseManager = require('./BaseManager');
+const ReadState = require('../structures/ReadState');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+/**
+ * Manages the read states of the client user, seeded from the READY packet and kept up to date by acks.
+ * @extends {BaseManager}
+ */
+class ReadStateManager extends BaseManager {
+  constructor(client) {
+    super(client);
+
+    /**
+     * The read states of the channels, mapped by channel id
+     * @type {Collection<Snowflake, ReadState>}
+     */
+    this.cache = new Collection();
+  }
+
+  /**
+   * Replaces the cache with the read states of the READY packet.
+   * @param {Object|Object[]} data The `read_state` of the READY packet
+   * @private
+   */
+  _setup(data) {
+    this.cache.clear();
+    const entries = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(entries)) return;
+    for (const entry of entries) {
+      // Other types track guild events, the notification center and the like, not channels
+      if ((entry.read_state_type ?? 0) !== 0) continue;
+      this._add(entry);
+    }
+  }
+
+  _add(data) {
+    const existing = this.cache.get(data.id);
+    if (existing) {
+      existing._patch(data);
+      return existing;
+    }
+    const readState = new ReadState(this.client, data);
+    this.cache.set(readState.id, readState);
+    return readState;
+  }
+
+  /**
+   * Records that a channel was read up to a message.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake} messageId The id of the last read message
+   * @param {number} [mentionCount=0] The amount of mentions left unread
+   * @returns {ReadState}
+   * @private
+   */
+  _ack(channelId, messageId, mentionCount = 0) {
+    return this._add({ id: channelId, last_message_id: messageId, mention_count: mentionCount });
+  }
+
+  /**
+   * Updates the read state of the channel of a received message.
+   * @param {Message} message The received message
+   * @private
+   */
+  _onMessage(message) {
+    // Sending a message marks the channel as read for every session
+    if (message.author?.id === this.client.user?.id) {
+      this._ack(message.channelId, message.id);
+      return;
+    }
+    const mentioned = message.guildId ? message.mentions.has(this.client.user) : true;
+    if (!mentioned) return;
+    const readState = this.cache.get(message.channelId);
+    this._add({ id: message.channelId, mention_count: (readState?.mentionCount ?? 0) + 1 });
+  }
+
+  /**
+   * Checks whether a channel has unread messages.
+   * @param {TextBasedChannelsResolvable} channel The channel to check
+   * @returns {boolean}
+   */
+  isUnread(channel) {
+    channel = this.client.channels.resolve(channel);
+    if (!channel?.isText()) return false;
+    const readState = this.cache.get(channel.id);
+    if (readState?.mentionCount) return true;
+    if (!channel.lastMessageId) return false;
+    if (readState?.lastMessageId) return BigInt(channel.lastMessageId) > BigInt(readState.lastMessageId);
+    // Channels without a read state were never opened, only the messages sent after joining the guild are unread
+    if (!channel.guild) return true;
+    return SnowflakeUtil.timestampFrom(channel.lastMessageId) > (channel.guild.joinedTimestamp ?? Infinity);
+  }
+}
+
+module.exports = ReadStateManager;
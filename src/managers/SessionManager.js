@@ -1,7 +1,15 @@
 'use strict';
 
+const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
+const { Error, TypeError } = require('../errors');
+const GatewaySession = require('../structures/GatewaySession');
+const { Presence } = require('../structures/Presence');
 const Session = require('../structures/Session');
+const { Events, Opcodes } = require('../util/Constants');
+
+// The status of the client user is the first of these that one of its sessions has
+const STATUS_PRIORITY = ['invisible', 'dnd', 'online', 'idle'];
 
 /**
  * Manages API methods for users and stores their cache.
@@ -16,6 +24,19 @@ class SessionManager extends CachedManager {
      * @type {string}
      */
     this.currentSessionIdHash = null;
+
+    /**
+     * The clients logged in to the gateway with this account, mapped by session id.
+     * Kept up to date by the gateway, unlike the cache.
+     * @type {Collection<string, GatewaySession>}
+     */
+    this.gatewaySessions = new Collection();
+
+    /**
+     * The presence of the client user as seen by other users, merged from all of its gateway sessions
+     * @type {?Presence}
+     */
+    this.effectivePresence = null;
   }
   /**
    * The cache of Sessions
@@ -61,6 +82,226 @@ class SessionManager extends CachedManager {
     }
     return this.cache.get(this.currentSessionIdHash) || null;
   }
+
+  /**
+   * The type of a remote command, one of the commands the official clients send to each other:
+   * * VOICE_CHANNEL_SELECT: join a voice channel
+   * * DISCONNECT: leave the voice channel
+   * * VOICE_STATE_UPDATE: mute or deafen
+   * * AUDIO_SETTINGS_UPDATE: change the volume of a user
+   * @typedef {string} RemoteCommandType
+   */
+
+  /**
+   * A command sent to a session by another session of the client user.
+   * @typedef {Object} RemoteCommand
+   * @property {RemoteCommandType|string} type The type of the command
+   * @property {?Snowflake} [guildId] The guild of the voice channel, for `VOICE_CHANNEL_SELECT`
+   * @property {?Snowflake} [channelId] The voice channel to join, for `VOICE_CHANNEL_SELECT`
+   * @property {boolean} [selfMute] Whether to mute, for `VOICE_CHANNEL_SELECT` and `VOICE_STATE_UPDATE`
+   * @property {boolean} [selfDeaf] Whether to deafen, for `VOICE_CHANNEL_SELECT` and `VOICE_STATE_UPDATE`
+   * @property {Snowflake} [userId] The user to change the volume of, for `AUDIO_SETTINGS_UPDATE`
+   * @property {string} [context] The audio context, `default` or `stream`, for `AUDIO_SETTINGS_UPDATE`
+   * @property {number} [volume] The volume of the user, from 0 to 200, for `AUDIO_SETTINGS_UPDATE`
+   * @property {boolean} [muted] Whether the user is muted locally, for `AUDIO_SETTINGS_UPDATE`
+   * @property {Object} raw The raw payload of the command
+   */
+
+  /**
+   * Sends a raw command to another session of the client user, e.g. an official desktop client.
+   * Prefer the helpers of this manager, such as {@link SessionManager#remoteJoinVoiceChannel}.
+   * @param {GatewaySession|string} session The session to send the command to, or its id
+   * @param {Object} payload The raw command, with at least a `type`
+   * @example
+   * // Tell the desktop client to leave its voice channel
+   * const desktop = client.sessions.gatewaySessions.find(session => session.clientInfo.client === 'desktop');
+   * client.sessions.sendRemoteCommand(desktop, { type: 'DISCONNECT' });
+   */
+  sendRemoteCommand(session, payload) {
+    const sessionId = session instanceof GatewaySession ? session.id : session;
+    if (typeof sessionId !== 'string') throw new TypeError('INVALID_TYPE', 'session', 'GatewaySession or string');
+    if (typeof payload?.type !== 'string') throw new TypeError('INVALID_TYPE', 'payload.type', 'string');
+    const shard = this.client.ws.shards.first();
+    if (!shard) throw new Error('WS_NOT_OPEN', 'remote command');
+    shard.send({ op: Opcodes.REMOTE_COMMAND, d: { target_session_id: sessionId, payload } });
+  }
+
+  /**
+   * Tells another session to join a voice channel.
+   * @param {GatewaySession|string} session The session to send the command to, or its id
+   * @param {VoiceChannel|StageChannel|DMChannel|GroupDMChannel|Snowflake} channel The channel to join
+   * @param {Object} [options] Options for joining
+   * @param {boolean} [options.selfMute=false] Whether to join muted
+   * @param {boolean} [options.selfDeaf=false] Whether to join deafened
+   */
+  remoteJoinVoiceChannel(session, channel, { selfMute = false, selfDeaf = false } = {}) {
+    const resolved = this.client.channels.resolve(channel);
+    if (!resolved?.isVoice() && !['DM', 'GROUP_DM'].includes(resolved?.type)) {
+      throw new TypeError('INVALID_TYPE', 'channel', 'voice-based channel');
+    }
+    this.sendRemoteCommand(session, {
+      type: 'VOICE_CHANNEL_SELECT',
+      guild_id: resolved.guildId ?? null,
+      channel_id: resolved.id,
+      self_mute: selfMute,
+      self_deaf: selfDeaf,
+    });
+  }
+
+  /**
+   * Tells another session to leave its voice channel.
+   * @param {GatewaySession|string} session The session to send the command to, or its id
+   */
+  remoteDisconnect(session) {
+    this.sendRemoteCommand(session, { type: 'DISCONNECT' });
+  }
+
+  /**
+   * Tells another session to mute or deafen itself.
+   * @param {GatewaySession|string} session The session to send the command to, or its id
+   * @param {Object} state The new voice state
+   * @param {boolean} [state.selfMute] Whether to mute
+   * @param {boolean} [state.selfDeaf] Whether to deafen
+   */
+  remoteSetVoiceState(session, { selfMute, selfDeaf }) {
+    this.sendRemoteCommand(session, { type: 'VOICE_STATE_UPDATE', self_mute: selfMute, self_deaf: selfDeaf });
+  }
+
+  /**
+   * Tells another session to change the volume of a user.
+   * @param {GatewaySession|string} session The session to send the command to, or its id
+   * @param {UserResolvable} user The user to change the volume of
+   * @param {Object} settings The new audio settings
+   * @param {number} [settings.volume] The volume, from 0 to 200
+   * @param {boolean} [settings.muted] Whether to mute the user locally
+   * @param {string} [settings.context='default'] The audio context, `default` or `stream`
+   */
+  remoteSetUserVolume(session, user, { volume, muted, context = 'default' }) {
+    const userId = this.client.users.resolveId(user);
+    if (!userId) throw new TypeError('INVALID_TYPE', 'user', 'UserResolvable');
+    this.sendRemoteCommand(session, { type: 'AUDIO_SETTINGS_UPDATE', context, id: userId, volume, muted });
+  }
+
+  /**
+   * Handles a command sent to this session, acting on it when the `handleRemoteCommands` client option is enabled.
+   * @param {Object} data The raw `REMOTE_COMMAND` packet
+   * @private
+   */
+  _handleRemoteCommand(data) {
+    const raw = data.payload ?? data;
+    const command = { type: raw.type, raw };
+    if ('guild_id' in raw) command.guildId = raw.guild_id;
+    if ('channel_id' in raw) command.channelId = raw.channel_id;
+    if ('self_mute' in raw) command.selfMute = raw.self_mute;
+    if ('self_deaf' in raw) command.selfDeaf = raw.self_deaf;
+    if ('id' in raw) command.userId = raw.id;
+    if ('context' in raw) command.context = raw.context;
+    if ('volume' in raw) command.volume = raw.volume;
+    if ('muted' in raw) command.muted = raw.muted;
+
+    /**
+     * Emitted whenever another session of the client user sends a command to this session.
+     * @event Client#remoteCommand
+     * @param {RemoteCommand} command The command
+     * @param {?GatewaySession} origin The session that sent the command, if known
+     */
+    this.client.emit(
+      Events.REMOTE_COMMAND,
+      command,
+      this.gatewaySessions.get(data.origin_session_id ?? data.session_id) ?? null,
+    );
+
+    if (this.client.options.handleRemoteCommands) this._runRemoteCommand(command);
+  }
+
+  /**
+   * Acts on a remote command with the voice connection of the client.
+   * @param {RemoteCommand} command The command
+   * @private
+   */
+  _runRemoteCommand(command) {
+    const voice = this.client.voice;
+    switch (command.type) {
+      case 'VOICE_CHANNEL_SELECT': {
+        if (!command.channelId) {
+          voice.connection?.disconnect();
+          break;
+        }
+        voice
+          .joinChannel(command.channelId, { selfMute: command.selfMute, selfDeaf: command.selfDeaf })
+          .catch(error => this.client.emit(Events.DEBUG, `[REMOTE COMMAND] Failed to join voice: ${error.message}`));
+        break;
+      }
+      case 'DISCONNECT':
+        voice.connection?.disconnect();
+        break;
+      case 'VOICE_STATE_UPDATE': {
+        const state = {};
+        if (typeof command.selfMute === 'boolean') state.self_mute = command.selfMute;
+        if (typeof command.selfDeaf === 'boolean') state.self_deaf = command.selfDeaf;
+        voice.connection?.sendVoiceStateUpdate(state);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Replaces the gateway sessions with the ones sent by Discord.
+   * @param {Object[]} data The raw gateway sessions
+   * @returns {{ added: Collection<string, GatewaySession>, removed: Collection<string, GatewaySession> }}
+   * @private
+   */
+  _replaceGatewaySessions(data = []) {
+    const sessions = new Collection();
+    const added = new Collection();
+    const removed = new Collection(this.gatewaySessions);
+    for (const raw of data) {
+      // The `all` session is the presence Discord computed from the other ones
+      if (raw.session_id === 'all') continue;
+      let session = this.gatewaySessions.get(raw.session_id);
+      if (session) {
+        session._patch(raw);
+        removed.delete(session.id);
+      } else {
+        session = new GatewaySession(this.client, raw);
+        added.set(session.id, session);
+      }
+      sessions.set(session.id, session);
+    }
+    this.gatewaySessions = sessions;
+    this.effectivePresence = this._computeEffectivePresence(data);
+    return { added, removed };
+  }
+
+  /**
+   * Computes the presence of the client user like the official client: the status is the most important one
+   * of all sessions, and the activities are the ones of the active session.
+   * @param {Object[]} data The raw gateway sessions
+   * @returns {Presence}
+   * @private
+   */
+  _computeEffectivePresence(data) {
+    const aggregated = data.find(raw => raw.session_id === 'all');
+    const sessions = data.filter(raw => raw.session_id !== 'all');
+    const clientStatus = {};
+    for (const raw of sessions) {
+      if (!STATUS_PRIORITY.includes(raw.status) || raw.status === 'invisible') continue;
+      const type = raw.client_info?.client ?? 'unknown';
+      const current = clientStatus[type];
+      if (!current || STATUS_PRIORITY.indexOf(raw.status) < STATUS_PRIORITY.indexOf(current)) {
+        clientStatus[type] = raw.status;
+      }
+    }
+    const status =
+      aggregated?.status ?? STATUS_PRIORITY.find(value => sessions.some(raw => raw.status === value)) ?? 'offline';
+    const source = aggregated ?? sessions.find(raw => raw.active) ?? sessions[0];
+    return new Presence(this.client, {
+      user: { id: this.client.user.id },
+      status,
+      activities: source?.activities ?? [],
+      client_status: clientStatus,
+    });
+  }
 }
 
 module.exports = SessionManager;
@@ -121,7 +121,8 @@ class APIRequest {
       applyHeaderOverrides(headers, this.client.options.http.headers);
       headers['User-Agent'] = this.fullUserAgent;
 
-      if (this.options.auth !== false) {
+      // Replayed requests never reach Discord, so they don't need a token
+      if (this.options.auth !== false && !this.rest.cassette?.replaying) {
         headers.Authorization = this.rest.getAuth();
       }
 
@@ -190,7 +191,10 @@ class APIRequest {
     if (cypherList) fetchOptions.tls = { ciphers: cypherList };
     const proxy = this.getProxyConfig();
     if (proxy) fetchOptions.proxy = proxy;
-    return fetch(url, fetchOptions).finally(() => clearTimeout(timeout));
+    const response = this.rest.cassette
+      ? this.rest.cassette.handle(this, url, fetchOptions, fetch)
+      : fetch(url, fetchOptions);
+    return response.finally(() => clearTimeout(timeout));
   }
 }
 
@@ -0,0 +1,64 @@
+'use strict';
+
+const RateLimitStore = require('./RateLimitStore');
+
+/**
+ * The default rate limit store, which keeps everything in memory.
+ * @extends {RateLimitStore}
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super();
+
+    /**
+     * The saved buckets, mapped by their hash
+     * @type {Map<string, RateLimitBucketState>}
+     */
+    this.buckets = new Map();
+
+    /**
+     * The bucket hashes, mapped by their route key
+     * @type {Map<string, string>}
+     */
+    this.routes = new Map();
+
+    /**
+     * The global cooldown, if any
+     * @type {?RateLimitGlobalState}
+     */
+    this.global = null;
+  }
+
+  getBucket(hash) {
+    return this.buckets.get(hash) ?? null;
+  }
+
+  setBucket(hash, state) {
+    this.buckets.set(hash, { limit: state.limit, remaining: state.remaining, reset: state.reset });
+  }
+
+  getRouteBucket(routeKey) {
+    return this.routes.get(routeKey) ?? null;
+  }
+
+  setRouteBucket(routeKey, hash) {
+    this.routes.set(routeKey, hash);
+  }
+
+  getGlobal() {
+    return this.global;
+  }
+
+  setGlobal(state) {
+    this.global = { reset: state.reset };
+  }
+
+  sweep(now = Date.now()) {
+    for (const [hash, bucket] of this.buckets) {
+      if (bucket.reset < now) this.buckets.delete(hash);
+    }
+    if (this.global && this.global.reset < now) this.global = null;
+  }
+}
+
+module.exports = MemoryRateLimitStore;
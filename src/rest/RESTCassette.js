@@ -0,0 +1,175 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const { Error, TypeError } = require('../errors');
+
+const CASSETTE_VERSION = 1;
+const MODES = ['record', 'replay'];
+
+/**
+ * Options for the HTTP cassette of a {@link RESTManager}.
+ * @typedef {Object} HTTPCassetteOptions
+ * @property {string} mode Either `record` to save every response, or `replay` to answer requests from the file
+ * without any network
+ * @property {string} path The path of the JSON cassette file
+ */
+
+/**
+ * A recorded request and its response.
+ * @typedef {Object} CassetteInteraction
+ * @property {string} method The HTTP method of the request, upper-cased
+ * @property {string} route The route of the request
+ * @property {string} path The full path of the request, including the query string
+ * @property {?Object} query The query of the request
+ * @property {*} body The JSON body of the request, if any
+ * @property {Object} response The recorded response (`status`, `statusText`, `headers`, `body` and `encoding`)
+ */
+
+/**
+ * Records the requests made by a {@link RESTManager} to a file and replays them deterministically.
+ * Interactions are matched on the method and route of the request; when a route was recorded several times,
+ * the recordings are replayed in order, preferring the ones with the same path and body.
+ */
+class RESTCassette {
+  constructor(manager, { mode, path } = {}) {
+    if (!MODES.includes(mode)) throw new TypeError('CLIENT_INVALID_OPTION', 'http.cassette.mode', MODES.join(' or '));
+    if (typeof path !== 'string') throw new TypeError('CLIENT_INVALID_OPTION', 'http.cassette.path', 'a string');
+
+    /**
+     * The manager that uses this cassette
+     * @type {RESTManager}
+     * @private
+     */
+    this.manager = manager;
+
+    /**
+     * The mode of this cassette
+     * @type {string}
+     */
+    this.mode = mode;
+
+    /**
+     * The path of the cassette file
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * The recorded interactions
+     * @type {CassetteInteraction[]}
+     */
+    this.interactions = [];
+
+    /**
+     * The indexes of the interactions that were already replayed
+     * @type {Set<number>}
+     * @private
+     */
+    this.played = new Set();
+
+    if (mode === 'replay') this.load();
+  }
+
+  /**
+   * Whether this cassette answers requests instead of the network
+   * @type {boolean}
+   * @readonly
+   */
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Loads the interactions of the cassette file.
+   */
+  load() {
+    if (!fs.existsSync(this.path)) throw new Error('FILE_NOT_FOUND', this.path);
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    this.interactions = Array.isArray(data?.interactions) ? data.interactions : [];
+    this.played.clear();
+  }
+
+  /**
+   * Writes the recorded interactions to the cassette file.
+   */
+  save() {
+    fs.writeFileSync(
+      this.path,
+      JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2),
+      'utf8',
+    );
+  }
+
+  /**
+   * Makes a request through this cassette.
+   * @param {APIRequest} request The request to make
+   * @param {string} url The URL of the request
+   * @param {Object} fetchOptions The options passed to fetch
+   * @param {Function} fetch The fetch function used when recording
+   * @returns {Promise<Response>}
+   */
+  async handle(request, url, fetchOptions, fetch) {
+    if (this.replaying) return this.replay(request);
+    const res = await fetch(url, fetchOptions);
+    await this.record(request, res.clone());
+    return res;
+  }
+
+  async record(request, res) {
+    const contentType = res.headers.get('content-type') ?? '';
+    const isText = contentType.startsWith('application/json') || contentType.startsWith('text/');
+    const raw = Buffer.from(await res.arrayBuffer());
+    this.interactions.push({
+      method: request.methodUpper,
+      route: request.route,
+      path: request.path,
+      query: request.options.query ?? null,
+      body: serializeBody(request.options),
+      response: {
+        status: res.status,
+        statusText: res.statusText,
+        headers: Object.fromEntries(res.headers),
+        body: raw.length ? raw.toString(isText ? 'utf8' : 'base64') : null,
+        encoding: isText ? 'utf8' : 'base64',
+      },
+    });
+    this.save();
+  }
+
+  replay(request) {
+    const index = this.findInteraction(request);
+    if (index === -1) {
+      return Promise.reject(new Error('REST_CASSETTE_NO_MATCH', request.methodUpper, request.route));
+    }
+    this.played.add(index);
+    const { response } = this.interactions[index];
+    const body = response.body === null ? null : Buffer.from(response.body, response.encoding);
+    return Promise.resolve(
+      new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers }),
+    );
+  }
+
+  findInteraction(request) {
+    const body = JSON.stringify(serializeBody(request.options));
+    let fallback = -1;
+    let last = -1;
+    for (const [index, interaction] of this.interactions.entries()) {
+      if (interaction.method !== request.methodUpper || interaction.route !== request.route) continue;
+      last = index;
+      if (this.played.has(index)) continue;
+      if (interaction.path === request.path && JSON.stringify(interaction.body) === body) return index;
+      if (fallback === -1) fallback = index;
+    }
+    // Once every recording of a route was played, keep answering with the last one
+    return fallback === -1 ? last : fallback;
+  }
+}
+
+function serializeBody(options) {
+  const data = options.data ?? null;
+  if (!options.files?.length) return data;
+  return { data, files: options.files.map((file, index) => ({ key: file?.key, name: file?.name ?? `file-${index}` })) };
+}
+
+module.exports = RESTCassette;
@@ -0,0 +1,153 @@
+'use strict';
+
+const { TypeError } = require('../errors');
+
+/**
+ * The context passed to the hooks of a {@link RESTInterceptor}.
+ * The same object is reused for every attempt of a request, so hooks can keep data on it.
+ * @typedef {Object} RESTInterceptorContext
+ * @property {APIRequest} request The request being made
+ * @property {HTTPMethod} method The HTTP method of the request
+ * @property {string} path The full path of the request
+ * @property {string} route The route identifying the rate limit bucket of the request
+ * @property {?string} bucket The rate limit bucket hash of the route, if known
+ * @property {number} retries The number of times this request has been retried
+ * @property {?string} captchaKey The captcha solution sent with this attempt, if any
+ * @property {number} startedAt The timestamp at which the current attempt started
+ * @property {?number} duration How long the current attempt took, in milliseconds
+ */
+
+/**
+ * Called before every attempt of a request, including rate limit, captcha and MFA retries.
+ * Headers and data can be changed through `context.request.options`.
+ * Returning a {@link Response} skips the network and uses it as the response of this attempt.
+ * @typedef {Function} RESTBeforeRequestHook
+ * @param {RESTInterceptorContext} context The context of the request
+ * @returns {void|Response|Promise<void|Response>}
+ */
+
+/**
+ * Called after a request succeeded.
+ * Returning anything other than `undefined` replaces the data the request resolves with.
+ * @typedef {Function} RESTAfterResponseHook
+ * @param {RESTInterceptorContext} context The context of the request
+ * @param {*} data The parsed response
+ * @param {Response} response The response received
+ * @returns {*}
+ */
+
+/**
+ * Called after a request failed for good.
+ * Returning anything other than `undefined` resolves the request with it instead of rejecting.
+ * @typedef {Function} RESTErrorHook
+ * @param {RESTInterceptorContext} context The context of the request
+ * @param {Error} error The error the request failed with
+ * @returns {*}
+ */
+
+/**
+ * A middleware of the REST manager. A function is used as the `beforeRequest` hook.
+ * @typedef {Object|RESTBeforeRequestHook} RESTInterceptor
+ * @property {RESTBeforeRequestHook} [beforeRequest] Called before every attempt of a request
+ * @property {RESTAfterResponseHook} [afterResponse] Called after a request succeeded
+ * @property {RESTErrorHook} [onError] Called after a request failed
+ */
+
+/**
+ * The ordered chain of interceptors of a {@link RESTManager}.
+ */
+class RESTInterceptors {
+  constructor() {
+    /**
+     * The interceptors, in the order they run
+     * @type {Object[]}
+     * @private
+     */
+    this.stack = [];
+  }
+
+  /**
+   * The amount of interceptors in this chain
+   * @type {number}
+   * @readonly
+   */
+  get size() {
+    return this.stack.length;
+  }
+
+  /**
+   * Adds an interceptor at the end of the chain.
+   * @param {RESTInterceptor} interceptor The interceptor to add
+   */
+  use(interceptor) {
+    if (typeof interceptor === 'function') interceptor = { beforeRequest: interceptor, source: interceptor };
+    if (typeof interceptor !== 'object' || interceptor === null) {
+      throw new TypeError('INVALID_TYPE', 'interceptor', 'object or function', true);
+    }
+    this.stack.push(interceptor);
+  }
+
+  /**
+   * Removes an interceptor from the chain.
+   * @param {RESTInterceptor} interceptor The interceptor to remove
+   * @returns {boolean} Whether the interceptor was in the chain
+   */
+  remove(interceptor) {
+    const index = this.stack.findIndex(entry => entry === interceptor || entry.source === interceptor);
+    if (index === -1) return false;
+    this.stack.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Creates the context of a request.
+   * @param {APIRequest} request The request
+   * @returns {RESTInterceptorContext}
+   */
+  createContext(request) {
+    return {
+      request,
+      method: request.method,
+      path: request.path,
+      route: request.route,
+      bucket: request.rest.getBucketHash(request.method, request.route),
+      retries: request.retries,
+      captchaKey: null,
+      startedAt: Date.now(),
+      duration: null,
+    };
+  }
+
+  async beforeRequest(context) {
+    for (const interceptor of this.stack) {
+      if (typeof interceptor.beforeRequest !== 'function') continue;
+      const response = await interceptor.beforeRequest(context); // eslint-disable-line no-await-in-loop
+      if (response instanceof Response) return response;
+    }
+    return null;
+  }
+
+  async afterResponse(context, data, response) {
+    for (const interceptor of this.stack) {
+      if (typeof interceptor.afterResponse !== 'function') continue;
+      const result = await interceptor.afterResponse(context, data, response); // eslint-disable-line no-await-in-loop
+      if (result !== undefined) data = result;
+    }
+    return data;
+  }
+
+  async onError(context, error) {
+    for (const interceptor of this.stack) {
+      if (typeof interceptor.onError !== 'function') continue;
+      try {
+        const result = await interceptor.onError(context, error); // eslint-disable-line no-await-in-loop
+        if (result !== undefined) return result;
+      } catch (err) {
+        error = err;
+      }
+    }
+    throw error;
+  }
+}
+
+module.exports = RESTInterceptors;
@@ -5,6 +5,8 @@ const { setInterval } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
 const APIRequest = require('./APIRequest');
 const routeBuilder = require('./APIRouter');
+const RESTCassette = require('./RESTCassette');
+const RESTInterceptors = require('./RESTInterceptors');
 const RateLimitCoordinator = require('./RateLimitCoordinator');
 const RequestHandler = require('./RequestHandler');
 const { Error } = require('../errors');
@@ -50,12 +52,15 @@ class RESTManager {
     this._bucketHandlers = new Collection();
     this._formData = null;
     this.coordinator = new RateLimitCoordinator(this);
+    this.interceptors = new RESTInterceptors();
+    this.cassette = client.options.http?.cassette ? new RESTCassette(this, client.options.http.cassette) : null;
 
     if (client.options.restSweepInterval > 0) {
       this.sweepInterval = setInterval(() => {
         this.handlers.sweep(handler => handler._inactive);
         this._bucketHandlers.sweep(handler => handler._inactive);
         this._routeBuckets.sweep(bucketHash => !this._bucketHandlers.has(bucketHash));
+        this.coordinator.store.sweep(Date.now());
       }, client.options.restSweepInterval * 1_000).unref();
     }
   }
@@ -70,8 +75,52 @@ class RESTManager {
 
   bindBucket(method, route, bucketHash, handler) {
     if (!bucketHash || !handler) return;
+    const routeKey = this._routeKey(method, route);
     this._bucketHandlers.set(bucketHash, handler);
-    this._routeBuckets.set(this._routeKey(method, route), bucketHash);
+    if (this._routeBuckets.get(routeKey) !== bucketHash) {
+      this._routeBuckets.set(routeKey, bucketHash);
+      this.coordinator.store.setRouteBucket(routeKey, bucketHash);
+    }
+  }
+
+  getBucketHash(method, route) {
+    const routeKey = this._routeKey(method, route);
+    let bucketHash = this._routeBuckets.get(routeKey);
+    if (!bucketHash) {
+      // Fall back to the bindings saved by a previous run or by another process sharing the store
+      bucketHash = this.coordinator.store.getRouteBucket(routeKey);
+      if (bucketHash) this._routeBuckets.set(routeKey, bucketHash);
+    }
+    return bucketHash ?? null;
+  }
+
+  /**
+   * Adds an interceptor at the end of the REST middleware chain.
+   * @param {RESTInterceptor} interceptor The interceptor to add
+   * @returns {RESTManager}
+   * @example
+   * // Log how long every request takes
+   * client.rest.use({
+   *   afterResponse: context => console.log(`${context.method} ${context.path} took ${context.duration}ms`),
+   * });
+   * @example
+   * // Answer a route with a canned response
+   * client.rest.use(context => {
+   *   if (context.route === '/users/@me') return Response.json({ id: '1', username: 'mock' });
+   * });
+   */
+  use(interceptor) {
+    this.interceptors.use(interceptor);
+    return this;
+  }
+
+  /**
+   * Removes an interceptor from the REST middleware chain.
+   * @param {RESTInterceptor} interceptor The interceptor to remove
+   * @returns {boolean} Whether the interceptor was removed
+   */
+  removeInterceptor(interceptor) {
+    return this.interceptors.remove(interceptor);
   }
 
   getFormData() {
@@ -177,13 +226,13 @@ class RESTManager {
 
   request(method, url, options = {}) {
     const apiRequest = new APIRequest(this, method, url, options);
-    const routeKey = this._routeKey(apiRequest.method, apiRequest.route);
-    const bucketHash = this._routeBuckets.get(routeKey);
+    const bucketHash = this.getBucketHash(apiRequest.method, apiRequest.route);
     let handler = bucketHash ? this._bucketHandlers.get(bucketHash) : null;
     if (!handler) handler = this.handlers.get(apiRequest.route);
 
     if (!handler) {
       handler = new RequestHandler(this);
+      this.coordinator.hydrate(handler, bucketHash);
     }
     this.handlers.set(apiRequest.route, handler);
     if (bucketHash) this._bucketHandlers.set(bucketHash, handler);
@@ -1,6 +1,7 @@
 'use strict';
 
 const { setTimeout: sleep } = require('node:timers/promises');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
 
 function parseJSONResponse(res) {
   if (res.headers.get('content-type')?.startsWith('application/json')) return res.json();
@@ -24,7 +25,7 @@ function calculateReset(reset, resetAfter, serverDate) {
 class RateLimitCoordinator {
   constructor(manager) {
     this.manager = manager;
-    this.buckets = new Map();
+    this.store = manager.client.options.http?.rateLimitStore ?? new MemoryRateLimitStore();
   }
 
   getRateLimitScope(headers, bodyGlobal = false) {
@@ -46,16 +47,33 @@ class RateLimitCoordinator {
   }
 
   getActiveRateLimit(handler, now = Date.now(), request) {
-    if (!request?.options?.webhook && this.manager.globalRemaining <= 0 && now < this.manager.globalReset) {
-      const timeout = this.manager.globalReset + this.manager.client.options.restTimeOffset - now;
-      return { isGlobal: true, limit: this.manager.globalLimit, timeout };
+    const { restTimeOffset } = this.manager.client.options;
+    if (!request?.options?.webhook) {
+      if (this.manager.globalRemaining <= 0 && now < this.manager.globalReset) {
+        const timeout = this.manager.globalReset + restTimeOffset - now;
+        return { isGlobal: true, limit: this.manager.globalLimit, timeout };
+      }
+
+      // Global cooldowns saved by a previous run or by another process sharing the store
+      const global = this.store.getGlobal();
+      if (global && now < global.reset) {
+        return { isGlobal: true, limit: this.manager.globalLimit, timeout: global.reset + restTimeOffset - now };
+      }
     }
 
     if (handler.remaining <= 0 && now < handler.reset) {
-      const timeout = handler.reset + this.manager.client.options.restTimeOffset - now;
+      const timeout = handler.reset + restTimeOffset - now;
       return { isGlobal: false, limit: handler.limit, timeout };
     }
 
+    if (request) {
+      const bucketHash = this.manager.getBucketHash(request.method, request.route);
+      const bucket = bucketHash ? this.store.getBucket(bucketHash) : null;
+      if (bucket && bucket.remaining <= 0 && now < bucket.reset) {
+        return { isGlobal: false, limit: bucket.limit, timeout: bucket.reset + restTimeOffset - now };
+      }
+    }
+
     return null;
   }
 
@@ -96,15 +114,14 @@ class RateLimitCoordinator {
     let sublimitTimeout = null;
     if (retryAfter > 0) {
       if (this.isGlobalScope(headers)) {
-        this.manager.globalRemaining = 0;
-        this.manager.globalReset = Date.now() + retryAfter;
+        this.setGlobalCooldown(retryAfter);
       } else if (!(handler.remaining <= 0 && Date.now() < handler.reset)) {
         sublimitTimeout = retryAfter;
       }
     }
 
     if (bucketHash) {
-      this.buckets.set(bucketHash, {
+      this.store.setBucket(bucketHash, {
         limit: handler.limit,
         remaining: handler.remaining,
         reset: handler.reset,
@@ -114,6 +131,21 @@ class RateLimitCoordinator {
     return { sublimitTimeout };
   }
 
+  setGlobalCooldown(timeout) {
+    this.manager.globalRemaining = 0;
+    this.manager.globalReset = Date.now() + timeout;
+    this.store.setGlobal({ reset: this.manager.globalReset });
+  }
+
+  hydrate(handler, bucketHash) {
+    if (!bucketHash) return;
+    const bucket = this.store.getBucket(bucketHash);
+    if (!bucket || bucket.reset < Date.now()) return;
+    handler.limit = bucket.limit;
+    handler.remaining = bucket.remaining;
+    handler.reset = bucket.reset;
+  }
+
   async resolve429Timeout(res, computedTimeout) {
     let safeTimeout = Math.max(computedTimeout, 0);
     let bodyRetryAfter = null;
@@ -0,0 +1,91 @@
+'use strict';
+
+const { Error } = require('../errors');
+
+/**
+ * The state of a rate limit bucket, as saved in a {@link RateLimitStore}.
+ * @typedef {Object} RateLimitBucketState
+ * @property {number} limit The maximum amount of requests of this bucket
+ * @property {number} remaining The amount of requests left in this bucket
+ * @property {number} reset The timestamp at which this bucket resets
+ */
+
+/**
+ * The state of the global rate limit, as saved in a {@link RateLimitStore}.
+ * @typedef {Object} RateLimitGlobalState
+ * @property {number} reset The timestamp at which the global cooldown ends
+ */
+
+/**
+ * The interface used by the {@link RESTManager} to save rate limit state.
+ * All the methods are synchronous as they are read on every request.
+ * <info>Extend this class to share rate limits with something else than the built-in stores.</info>
+ * @abstract
+ */
+class RateLimitStore {
+  /**
+   * Gets the state of a bucket.
+   * @param {string} hash The bucket hash, as sent by Discord in the `x-ratelimit-bucket` header
+   * @returns {?RateLimitBucketState}
+   * @abstract
+   */
+  getBucket() {
+    throw new Error('NOT_IMPLEMENTED', 'getBucket', this.constructor.name);
+  }
+
+  /**
+   * Sets the state of a bucket.
+   * @param {string} hash The bucket hash
+   * @param {RateLimitBucketState} state The state of the bucket
+   * @abstract
+   */
+  setBucket() {
+    throw new Error('NOT_IMPLEMENTED', 'setBucket', this.constructor.name);
+  }
+
+  /**
+   * Gets the bucket hash a route was last bound to.
+   * @param {string} routeKey The route key (`METHOD:route`)
+   * @returns {?string}
+   * @abstract
+   */
+  getRouteBucket() {
+    throw new Error('NOT_IMPLEMENTED', 'getRouteBucket', this.constructor.name);
+  }
+
+  /**
+   * Binds a route to a bucket hash.
+   * @param {string} routeKey The route key (`METHOD:route`)
+   * @param {string} hash The bucket hash
+   * @abstract
+   */
+  setRouteBucket() {
+    throw new Error('NOT_IMPLEMENTED', 'setRouteBucket', this.constructor.name);
+  }
+
+  /**
+   * Gets the global cooldown, if any.
+   * @returns {?RateLimitGlobalState}
+   * @abstract
+   */
+  getGlobal() {
+    throw new Error('NOT_IMPLEMENTED', 'getGlobal', this.constructor.name);
+  }
+
+  /**
+   * Sets the global cooldown.
+   * @param {RateLimitGlobalState} state The global cooldown
+   * @abstract
+   */
+  setGlobal() {
+    throw new Error('NOT_IMPLEMENTED', 'setGlobal', this.constructor.name);
+  }
+
+  /**
+   * Removes the buckets and the global cooldown that are expired.
+   * @param {number} [now=Date.now()] The current timestamp
+   */
+  sweep() {}
+}
+
+module.exports = RateLimitStore;
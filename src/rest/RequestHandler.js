@@ -141,6 +141,9 @@ class RequestHandler {
       await sleep(initialDelay);
     }
 
+    const interceptors = this.manager.interceptors?.size ? this.manager.interceptors : null;
+    const context = interceptors ? interceptors.createContext(request) : null;
+
     const run = async (activeCaptchaKey, activeCaptchaToken) => {
       const hasDebugListener = hasListener(this.manager.client, DEBUG);
       const hasRateLimitListener = hasListener(this.manager.client, RATE_LIMIT);
@@ -227,19 +230,32 @@ class RequestHandler {
         });
       }
 
-      // Perform the request
       let res;
-      try {
-        res = await request.make(activeCaptchaKey, activeCaptchaToken);
-      } catch (error) {
-        // Retry the specified number of times for request abortions
-        if (request.retries === this.manager.client.options.retryLimit) {
-          throw new HTTPError(error.message, error.constructor.name, error.status, request);
-        }
+      if (context) {
+        context.bucket = this.manager.getBucketHash(request.method, request.route);
+        context.retries = request.retries;
+        context.captchaKey = activeCaptchaKey ?? null;
+        context.startedAt = Date.now();
+        context.duration = null;
+        // Interceptors may answer the request themselves
+        res = await interceptors.beforeRequest(context);
+      }
 
-        request.retries++;
-        return run();
+      // Perform the request
+      if (!res) {
+        try {
+          res = await request.make(activeCaptchaKey, activeCaptchaToken);
+        } catch (error) {
+          // Retry the specified number of times for request abortions
+          if (request.retries === this.manager.client.options.retryLimit) {
+            throw new HTTPError(error.message, error.constructor.name, error.status, request);
+          }
+
+          request.retries++;
+          return run();
+        }
       }
+      if (context) context.duration = Date.now() - context.startedAt;
 
       if (hasApiResponseListener) {
         /**
@@ -352,7 +368,9 @@ class RequestHandler {
       // Handle 2xx and 3xx responses
       if (res.ok) {
         // Nothing wrong with the request, proceed with the next one
-        return parseResponse(res);
+        if (!context) return parseResponse(res);
+        const data = await parseResponse(res);
+        return interceptors.afterResponse(context, data, res);
       }
 
       // Handle 4xx responses
@@ -380,16 +398,16 @@ class RequestHandler {
               : { safeTimeout, bodyRetryAfter, bodyGlobal: false, scope: null };
             safeTimeout = resolved.safeTimeout;
             bodyRetryAfter = resolved.bodyRetryAfter;
-            if (resolved.bodyGlobal && safeTimeout > 0) {
-              isGlobal = true;
-              this.manager.globalRemaining = 0;
-              this.manager.globalReset = Date.now() + safeTimeout;
-            }
+            if (resolved.bodyGlobal && safeTimeout > 0) isGlobal = true;
           }
 
           if (isGlobal && safeTimeout > 0) {
-            this.manager.globalRemaining = 0;
-            this.manager.globalReset = Date.now() + safeTimeout;
+            if (this.manager.coordinator?.setGlobalCooldown) {
+              this.manager.coordinator.setGlobalCooldown(safeTimeout);
+            } else {
+              this.manager.globalRemaining = 0;
+              this.manager.globalReset = Date.now() + safeTimeout;
+            }
           }
 
           if (hasDebugListener) {
@@ -533,7 +551,8 @@ class RequestHandler {
       return null;
     };
 
-    return run(captchaKey, captchaToken);
+    if (!context) return run(captchaKey, captchaToken);
+    return run(captchaKey, captchaToken).catch(error => interceptors.onError(context, error));
   }
 }
 
@@ -0,0 +1,118 @@
+'use strict';
+
+const RateLimitStore = require('./RateLimitStore');
+
+/**
+ * Options for a {@link SQLiteRateLimitStore}.
+ * @typedef {Object} SQLiteRateLimitStoreOptions
+ * @property {string} [path='ratelimits.sqlite'] The path of the database file
+ * @property {string} [namespace='default'] The namespace of this store, used to keep the rate limits of
+ * several accounts in the same file
+ * @property {number} [busyTimeout=1000] How long to wait for a lock held by another process, in milliseconds
+ */
+
+/**
+ * A rate limit store backed by a `bun:sqlite` database file.
+ * Rate limits survive restarts and are shared by every process using the same file and namespace.
+ * @extends {RateLimitStore}
+ */
+class SQLiteRateLimitStore extends RateLimitStore {
+  /**
+   * @param {SQLiteRateLimitStoreOptions|string} [options] Options for the store, or the path of the database file
+   */
+  constructor(options = {}) {
+    super();
+    if (typeof options === 'string') options = { path: options };
+    const { path = 'ratelimits.sqlite', namespace = 'default', busyTimeout = 1_000 } = options;
+
+    /**
+     * The namespace of this store
+     * @type {string}
+     */
+    this.namespace = namespace;
+
+    const { Database } = require('bun:sqlite');
+
+    /**
+     * The database of this store
+     * @type {Database}
+     * @private
+     */
+    this.db = new Database(path, { create: true });
+    this.db.exec(`PRAGMA journal_mode = WAL; PRAGMA busy_timeout = ${Number(busyTimeout) || 0};`);
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS buckets (
+        namespace TEXT NOT NULL, hash TEXT NOT NULL, lim REAL, remaining INTEGER NOT NULL, reset INTEGER NOT NULL,
+        PRIMARY KEY (namespace, hash)
+      );
+      CREATE TABLE IF NOT EXISTS routes (
+        namespace TEXT NOT NULL, route TEXT NOT NULL, hash TEXT NOT NULL, PRIMARY KEY (namespace, route)
+      );
+      CREATE TABLE IF NOT EXISTS global (namespace TEXT PRIMARY KEY, reset INTEGER NOT NULL);`,
+    );
+
+    this._statements = {
+      getBucket: this.db.query('SELECT lim, remaining, reset FROM buckets WHERE namespace = ? AND hash = ?'),
+      setBucket: this.db.query('INSERT OR REPLACE INTO buckets VALUES (?, ?, ?, ?, ?)'),
+      getRoute: this.db.query('SELECT hash FROM routes WHERE namespace = ? AND route = ?'),
+      setRoute: this.db.query('INSERT OR REPLACE INTO routes VALUES (?, ?, ?)'),
+      getGlobal: this.db.query('SELECT reset FROM global WHERE namespace = ?'),
+      setGlobal: this.db.query('INSERT OR REPLACE INTO global VALUES (?, ?)'),
+      sweepBuckets: this.db.query('DELETE FROM buckets WHERE namespace = ? AND reset < ?'),
+      sweepGlobal: this.db.query('DELETE FROM global WHERE namespace = ? AND reset < ?'),
+    };
+  }
+
+  getBucket(hash) {
+    const row = this._statements.getBucket.get(this.namespace, hash);
+    if (!row) return null;
+    // Infinite limits are saved as NULL
+    return { limit: row.lim ?? Infinity, remaining: row.remaining, reset: row.reset };
+  }
+
+  setBucket(hash, { limit, remaining, reset }) {
+    this._statements.setBucket.run(
+      this.namespace,
+      hash,
+      Number.isFinite(limit) ? limit : null,
+      Math.trunc(remaining),
+      Math.trunc(reset),
+    );
+  }
+
+  getRouteBucket(routeKey) {
+    return this._statements.getRoute.get(this.namespace, routeKey)?.hash ?? null;
+  }
+
+  setRouteBucket(routeKey, hash) {
+    this._statements.setRoute.run(this.namespace, routeKey, hash);
+  }
+
+  getGlobal() {
+    const row = this._statements.getGlobal.get(this.namespace);
+    return row ? { reset: row.reset } : null;
+  }
+
+  setGlobal({ reset }) {
+    this._statements.setGlobal.run(this.namespace, Math.trunc(reset));
+  }
+
+  sweep(now = Date.now()) {
+    this._statements.sweepBuckets.run(this.namespace, now);
+    this._statements.sweepGlobal.run(this.namespace, now);
+  }
+
+  /**
+   * Closes the database of this store.
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SQLiteRateLimitStore;
+
+/**
+ * @external Database
+ * @see {@link https://bun.sh/docs/api/sqlite}
+ */
@@ -94,9 +94,13 @@ class BaseGuildVoiceChannel extends GuildChannel {
     if ('status' in data) {
       /**
        * The status of the voice channel (max 500 characters)
+       * <info>Discord doesn't send it with the channel, use {@link GuildChannelManager#fetchVoiceStatuses} to fetch
+       * the statuses of every voice channel of a guild</info>
        * @type {?string}
        */
-      this.status = data.status;
+      this.status = data.status || null;
+    } else {
+      this.status ??= null;
     }
   }
 
@@ -0,0 +1,89 @@
+'use strict';
+
+const Base = require('./Base');
+const { Presence } = require('./Presence');
+
+/**
+ * @typedef {Object} GatewaySessionClientInfo
+ * @property {string} client The type of client, e.g. `desktop`, `mobile` or `web`
+ * @property {string} os The operating system of the client
+ * @property {number} version The version of the client
+ */
+
+/**
+ * Represents a client logged in to the gateway with the account of the client user.
+ * @extends {Base}
+ */
+class GatewaySession extends Base {
+  constructor(client, data) {
+    super(client);
+
+    /**
+     * The id of the session
+     * @type {string}
+     */
+    this.id = data.session_id;
+
+    this._patch(data);
+  }
+
+  _patch(data) {
+    if ('client_info' in data) {
+      /**
+       * The client of the session
+       * @type {GatewaySessionClientInfo}
+       */
+      this.clientInfo = data.client_info;
+    }
+
+    if ('active' in data) {
+      /**
+       * Whether this session is the one the client user is active on
+       * @type {boolean}
+       */
+      this.active = data.active;
+    } else {
+      this.active ??= false;
+    }
+
+    /**
+     * The presence of the client user on this session
+     * @type {Presence}
+     */
+    this.presence = new Presence(this.client, {
+      user: { id: this.client.user.id },
+      status: data.status,
+      activities: data.activities ?? [],
+      client_status: { [data.client_info?.client ?? 'unknown']: data.status },
+    });
+  }
+
+  /**
+   * The status of the session
+   * @type {PresenceStatus}
+   * @readonly
+   */
+  get status() {
+    return this.presence.status;
+  }
+
+  /**
+   * The activities of the session
+   * @type {Array<CustomStatus|RichPresence|SpotifyRPC>}
+   * @readonly
+   */
+  get activities() {
+    return this.presence.activities;
+  }
+
+  /**
+   * Whether this is the session of this client
+   * @type {boolean}
+   * @readonly
+   */
+  get current() {
+    return this.client.ws.shards.some(shard => shard.sessionId === this.id);
+  }
+}
+
+module.exports = GatewaySession;
@@ -1,6 +1,7 @@
 'use strict';
 
 const process = require('node:process');
+const { setTimeout, clearTimeout } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
 const AnonymousGuild = require('./AnonymousGuild');
 const GuildAuditLogs = require('./GuildAuditLogs');
@@ -9,15 +10,17 @@ const GuildTemplate = require('./GuildTemplate');
 const Integration = require('./Integration');
 const Webhook = require('./Webhook');
 const WelcomeScreen = require('./WelcomeScreen');
-const { Error } = require('../errors');
+const { Error, TypeError } = require('../errors');
 const AutoModerationRuleManager = require('../managers/AutoModerationRuleManager');
 const GuildBanManager = require('../managers/GuildBanManager');
 const GuildChannelManager = require('../managers/GuildChannelManager');
 const GuildEmojiManager = require('../managers/GuildEmojiManager');
 const GuildInviteManager = require('../managers/GuildInviteManager');
+const GuildMemberListManager = require('../managers/GuildMemberListManager');
 const GuildMemberManager = require('../managers/GuildMemberManager');
 const GuildScheduledEventManager = require('../managers/GuildScheduledEventManager');
 const GuildSettingManager = require('../managers/GuildSettingManager');
+const GuildSoundboardSoundManager = require('../managers/GuildSoundboardSoundManager');
 const GuildStickerManager = require('../managers/GuildStickerManager');
 const PresenceManager = require('../managers/PresenceManager');
 const RoleManager = require('../managers/RoleManager');
@@ -28,7 +31,10 @@ const {
   DefaultMessageNotificationLevels,
   VerificationLevels,
   ExplicitContentFilterLevels,
+  Events,
+  Opcodes,
   Status,
+  ThreadChannelTypes,
   MFALevels,
   PremiumTiers,
 } = require('../util/Constants');
@@ -36,6 +42,12 @@ const DataResolver = require('../util/DataResolver');
 const SystemChannelFlags = require('../util/SystemChannelFlags');
 const Util = require('../util/Util');
 
+// The amount of channels Discord accepts in a single REQUEST_LAST_MESSAGES payload
+const LAST_MESSAGES_CHANNEL_LIMIT = 100;
+
+// Discord compares hashes of the cached ids instead of the ids themselves
+const hashEntityIds = ids => Array.from(ids, id => Bun.hash.xxHash64(id).toString());
+
 let deprecationEmittedForSetChannelPositions = false;
 let deprecationEmittedForSetRolePositions = false;
 let deprecationEmittedForDeleted = false;
@@ -124,6 +136,26 @@ class Guild extends AnonymousGuild {
      */
     this.settings = new GuildSettingManager(this);
 
+    /**
+     * A manager of the member lists of this guild
+     * @type {GuildMemberListManager}
+     */
+    this.memberList = new GuildMemberListManager(this);
+
+    /**
+     * The gateway subscriptions set with {@link Guild#setSubscriptions}, `null` when they come from
+     * {@link WebsocketOptions#guildSubscriptions}
+     * @type {?GuildSubscriptionOptions}
+     */
+    this.subscriptions = null;
+
+    /**
+     * The pending requests of {@link Guild#fetchLastMessages}, in the order they were sent
+     * @type {Object[]}
+     * @private
+     */
+    Object.defineProperty(this, '_lastMessagesRequests', { value: [] });
+
     if (!data) return;
     if (data.unavailable) {
       /**
@@ -185,6 +217,15 @@ class Guild extends AnonymousGuild {
     return this.client.ws.shards.get(this.shardId);
   }
 
+  /**
+   * The cached channels of this guild that have messages the client user didn't read
+   * @type {Collection<Snowflake, TextBasedChannels>}
+   * @readonly
+   */
+  get unreadChannels() {
+    return this.channels.cache.filter(channel => this.client.readStates.isUnread(channel));
+  }
+
   _patch(data) {
     super._patch(data);
     this.id = data.id;
@@ -552,6 +593,20 @@ class Guild extends AnonymousGuild {
       });
     }
 
+    if (!this.soundboardSounds) {
+      /**
+       * A manager of the soundboard sounds belonging to this guild
+       * @type {GuildSoundboardSoundManager}
+       */
+      this.soundboardSounds = new GuildSoundboardSoundManager(this);
+      if (data.soundboard_sounds) for (const sound of data.soundboard_sounds) this.soundboardSounds._add(sound);
+    } else if (data.soundboard_sounds) {
+      this.client.actions.GuildSoundboardSoundsUpdate.handle({
+        guild_id: this.id,
+        soundboard_sounds: data.soundboard_sounds,
+      });
+    }
+
     if ('incidents_data' in data) {
       /**
        * Incident actions of a guild.
@@ -1502,8 +1557,11 @@ class Guild extends AnonymousGuild {
    * const guild = client.guilds.cache.get('id');
    * guild.markAsRead();
    */
-  markAsRead() {
-    return this.client.api.guilds(this.id).ack.post();
+  async markAsRead() {
+    await this.client.api.guilds(this.id).ack.post();
+    for (const channel of this.channels.cache.values()) {
+      if (channel.isText() && channel.lastMessageId) this.client.readStates._ack(channel.id, channel.lastMessageId);
+    }
   }
 
   /**
@@ -1698,6 +1756,10 @@ class Guild extends AnonymousGuild {
     const data = await this.client.api['read-states']['ack-bulk'].post({
       data: readStates,
     });
+    for (const readState of readStates) {
+      if ((readState.read_state_type ?? 0) !== 0) continue;
+      this.client.readStates._ack(readState.channel_id, readState.message_id);
+    }
 
     return data;
   }
@@ -1766,6 +1828,216 @@ class Guild extends AnonymousGuild {
     return data;
   }
 
+  /**
+   * Options for fetching the last messages of channels.
+   * @typedef {Object} FetchLastMessagesOptions
+   * @property {number} [timeout=15_000] How long to wait for Discord to answer, in milliseconds
+   */
+
+  /**
+   * Fetches the last message of channels of this guild in bulk through the gateway, caching them in the
+   * {@link MessageManager} of their channels. Falls back to fetching every channel through the API while the shard
+   * of this guild isn't ready. Channels without messages, or that the client user can't read, are left out.
+   * @param {Collection<Snowflake, GuildChannel>|GuildChannelResolvable[]} [channels] The channels, defaults to every
+   * text-based channel of the guild
+   * @param {FetchLastMessagesOptions} [options] Options for the fetch
+   * @returns {Promise<Collection<Snowflake, Message>>} The last messages, mapped by channel id
+   * @example
+   * // Show an overview of the guild
+   * guild.fetchLastMessages()
+   *   .then(messages => messages.each(message => console.log(`#${message.channel.name}: ${message.content}`)))
+   *   .catch(console.error);
+   */
+  async fetchLastMessages(channels = this.channels.cache, { timeout = 15_000 } = {}) {
+    const textChannels = [];
+    for (const resolvable of channels.values()) {
+      const channel = this.channels.resolve(resolvable);
+      if (!channel) throw new TypeError('INVALID_TYPE', 'channels', 'Array of GuildChannelResolvable', true);
+      if (channel.isText()) textChannels.push(channel);
+    }
+    if (!textChannels.length) return new Collection();
+
+    if (this.shard.status !== Status.READY) {
+      const messages = await Promise.all(
+        textChannels.map(channel =>
+          channel.messages
+            .fetch({ limit: 1 })
+            .then(fetched => fetched.first())
+            .catch(() => null),
+        ),
+      );
+      return new Collection(messages.filter(Boolean).map(message => [message.channelId, message]));
+    }
+
+    const chunks = [];
+    for (let i = 0; i < textChannels.length; i += LAST_MESSAGES_CHANNEL_LIMIT) {
+      chunks.push(textChannels.slice(i, i + LAST_MESSAGES_CHANNEL_LIMIT).map(channel => channel.id));
+    }
+
+    const messages = new Collection();
+    const requests = chunks.map(channelIds => ({ channelIds: new Set(channelIds), messages: null }));
+    const queue = this._lastMessagesRequests;
+    queue.push(...requests);
+    const promise = new Promise((resolve, reject) => {
+      const cleanup = () => {
+        this.client.removeListener(Events.LAST_MESSAGES, handler);
+        this.client.decrementMaxListeners();
+        for (const request of requests) queue.splice(queue.indexOf(request), 1);
+      };
+      const handler = (guild, received) => {
+        if (guild.id !== this.id) return;
+        // The responses are shared by the calls waiting on this guild, so they are matched to the requests by their
+        // channels, and the ones without messages to the oldest request. The first listener matches it for the others
+        const request =
+          queue.find(({ messages: answer }) => answer === received) ??
+          queue.find(({ channelIds, messages: answer }) => !answer && received.every((_, id) => channelIds.has(id)));
+        if (!request) return;
+        request.messages = received;
+        if (!requests.includes(request)) return;
+        for (const [channelId, message] of received) messages.set(channelId, message);
+        if (requests.some(({ messages: answer }) => !answer)) return;
+        clearTimeout(timer);
+        cleanup();
+        resolve(messages);
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('LAST_MESSAGES_TIMEOUT'));
+      }, timeout).unref();
+      this.client.incrementMaxListeners();
+      this.client.on(Events.LAST_MESSAGES, handler);
+    });
+
+    for (const channelIds of chunks) {
+      this.shard.send({ op: Opcodes.REQUEST_LAST_MESSAGES, d: { guild_id: this.id, channel_ids: channelIds } });
+    }
+    return promise;
+  }
+
+  /**
+   * The entities that were removed from the caches of a guild because they were deleted.
+   * @typedef {Object} GuildReconciledEntities
+   * @property {Collection<Snowflake, GuildChannel>} channels The deleted channels
+   * @property {Collection<Snowflake, Role>} roles The deleted roles
+   * @property {Collection<Snowflake, GuildEmoji>} emojis The deleted emojis
+   * @property {Collection<Snowflake, Sticker>} stickers The deleted stickers
+   */
+
+  /**
+   * Asks Discord which of the cached channels, roles, emojis and stickers of this guild were deleted, e.g. while the
+   * client was disconnected, and removes them from the caches, emitting their delete events.
+   * <info>This is done automatically for every guild after a session is resumed from a disconnection of more than
+   * a minute, call it after shorter ones if the guild has to be up to date</info>
+   * @param {number} [timeout=15_000] How long to wait for Discord to answer, in milliseconds
+   * @returns {Promise<GuildReconciledEntities>}
+   * @example
+   * guild.reconcileCache()
+   *   .then(({ channels }) => console.log(`${channels.size} channels were deleted`))
+   *   .catch(console.error);
+   */
+  reconcileCache(timeout = 15_000) {
+    const promise = new Promise((resolve, reject) => {
+      const handler = (guild, removed) => {
+        if (guild.id !== this.id) return;
+        clearTimeout(timer);
+        this.client.removeListener(Events.GUILD_CACHE_RECONCILE, handler);
+        this.client.decrementMaxListeners();
+        resolve(removed);
+      };
+      const timer = setTimeout(() => {
+        this.client.removeListener(Events.GUILD_CACHE_RECONCILE, handler);
+        this.client.decrementMaxListeners();
+        reject(new Error('GUILD_RECONCILE_TIMEOUT'));
+      }, timeout).unref();
+      this.client.incrementMaxListeners();
+      this.client.on(Events.GUILD_CACHE_RECONCILE, handler);
+    });
+    this._requestDeletedEntityIds();
+    return promise;
+  }
+
+  /**
+   * Changes the gateway events the client user receives for this guild, overriding
+   * {@link WebsocketOptions#guildSubscriptions}. The options are merged with the current ones.
+   * @param {?GuildSubscriptionOptions} options The subscriptions, `null` to go back to the ones of the client options
+   * @returns {Guild}
+   * @example
+   * // Stop receiving the typing indicators and presences of a large guild
+   * guild.setSubscriptions({ typing: false, activities: false });
+   */
+  setSubscriptions(options) {
+    if (options !== null && typeof options !== 'object') {
+      throw new TypeError('INVALID_TYPE', 'options', 'GuildSubscriptionOptions');
+    }
+    this.subscriptions = options && { ...this._resolveSubscriptions(), ...options };
+    this._sendSubscriptions();
+    return this;
+  }
+
+  /**
+   * Resolves the subscriptions of this guild, from {@link Guild#subscriptions} or the client options.
+   * @returns {?GuildSubscriptionOptions} `null` when the guild should not be subscribed to
+   * @private
+   */
+  _resolveSubscriptions() {
+    if (this.subscriptions) return this.subscriptions;
+    const { guildSubscriptions = {} } = this.client.options.ws;
+    return (typeof guildSubscriptions === 'function' ? guildSubscriptions(this) : guildSubscriptions) || null;
+  }
+
+  /**
+   * Builds the payload of the subscriptions of this guild for the `GUILD_SUBSCRIPTIONS_BULK` opcode.
+   * @param {?GuildSubscriptionOptions} [options=this._resolveSubscriptions()] The subscriptions
+   * @returns {Object}
+   * @private
+   */
+  _subscriptionPayload(options = this._resolveSubscriptions()) {
+    const subscribed = Boolean(options);
+    return {
+      typing: options?.typing ?? subscribed,
+      threads: options?.threads ?? subscribed,
+      activities: options?.activities ?? subscribed,
+      member_updates: options?.memberUpdates ?? subscribed,
+      thread_member_lists: options?.threadMemberLists ?? [],
+      members: options?.members ?? [],
+      channels: Object.fromEntries(this.memberList.subscriptions),
+    };
+  }
+
+  /**
+   * Sends the subscriptions of this guild, along with the subscribed member list ranges, to the gateway.
+   * @param {?GuildSubscriptionOptions} [options=this._resolveSubscriptions()] The subscriptions
+   * @private
+   */
+  _sendSubscriptions(options) {
+    this.shard.send({
+      op: Opcodes.GUILD_SUBSCRIPTIONS_BULK,
+      d: {
+        subscriptions: {
+          [this.id]: this._subscriptionPayload(options),
+        },
+      },
+    });
+  }
+
+  /**
+   * Sends the hashes of the ids of the cached entities, Discord answers with the ids of the deleted ones.
+   * @private
+   */
+  _requestDeletedEntityIds() {
+    const channelIds = this.channels.cache.filter(channel => !ThreadChannelTypes.includes(channel.type)).keys();
+    this.shard.send({
+      op: Opcodes.GET_DELETED_ENTITY_IDS_NOT_MATCHING_HASH,
+      d: {
+        guild_id: this.id,
+        channel_ids_hash: hashEntityIds(channelIds),
+        role_ids_hash: hashEntityIds(this.roles.cache.keys()),
+        emoji_ids_hash: hashEntityIds(this.emojis.cache.keys()),
+        sticker_ids_hash: hashEntityIds(this.stickers.cache.keys()),
+      },
+    });
+  }
+
   /**
    * Creates a collection of this guild's roles, sorted by their position and ids.
    * @returns {Collection<Snowflake, Role>}
@@ -6,6 +6,7 @@ const AutoModerationRule = require('./AutoModerationRule');
 const { GuildScheduledEvent } = require('./GuildScheduledEvent');
 const Integration = require('./Integration');
 const Invite = require('./Invite');
+const SoundboardSound = require('./SoundboardSound');
 const { StageInstance } = require('./StageInstance');
 const { Sticker } = require('./Sticker');
 const Webhook = require('./Webhook');
@@ -30,6 +31,7 @@ const Util = require('../util/Util');
  * * GUILD_SCHEDULED_EVENT
  * * APPLICATION_COMMAND
  * * AUTO_MODERATION
+ * * SOUNDBOARD_SOUND
  * @typedef {string} AuditLogTargetType
  */
 
@@ -112,6 +114,9 @@ const Targets = {
  * * THREAD_UPDATE: 111
  * * THREAD_DELETE: 112
  * * APPLICATION_COMMAND_PERMISSION_UPDATE: 121
+ * * SOUNDBOARD_SOUND_CREATE: 130
+ * * SOUNDBOARD_SOUND_UPDATE: 131
+ * * SOUNDBOARD_SOUND_DELETE: 132
  * * AUTO_MODERATION_RULE_CREATE: 140
  * * AUTO_MODERATION_RULE_UPDATE: 141
  * * AUTO_MODERATION_RULE_DELETE: 142
@@ -177,6 +182,9 @@ const Actions = {
   THREAD_UPDATE: 111,
   THREAD_DELETE: 112,
   APPLICATION_COMMAND_PERMISSION_UPDATE: 121,
+  SOUNDBOARD_SOUND_CREATE: 130,
+  SOUNDBOARD_SOUND_UPDATE: 131,
+  SOUNDBOARD_SOUND_DELETE: 132,
   AUTO_MODERATION_RULE_CREATE: 140,
   AUTO_MODERATION_RULE_UPDATE: 141,
   AUTO_MODERATION_RULE_DELETE: 142,
@@ -276,10 +284,11 @@ class GuildAuditLogs {
    * * A thread
    * * An application command
    * * An auto moderation rule
+   * * A soundboard sound
    * * An object with an id key if target was deleted
    * * An object where the keys represent either the new value or the old value
    * @typedef {?(Object|Guild|Channel|User|Role|Invite|Webhook|GuildEmoji|Message|Integration|StageInstance|Sticker|
-   * GuildScheduledEvent|ApplicationCommand|AutoModerationRule)} AuditLogEntryTarget
+   * GuildScheduledEvent|ApplicationCommand|AutoModerationRule|SoundboardSound)} AuditLogEntryTarget
    */
 
   /**
@@ -302,7 +311,7 @@ class GuildAuditLogs {
     if (target < 110) return Targets.GUILD_SCHEDULED_EVENT;
     if (target < 120) return Targets.THREAD;
     if (target < 130) return Targets.APPLICATION_COMMAND;
-    if (target < 140) return Targets.SOUNDBOARD_SOUND; // !Todo
+    if (target < 140) return Targets.SOUNDBOARD_SOUND;
     if (target < 143) return Targets.AUTO_MODERATION;
     if (target < 146) return Targets.USER;
     if (target >= 163 && target <= 165) return Targets.GUILD_ONBOARDING_PROMPT; // !Todo
@@ -341,6 +350,7 @@ class GuildAuditLogs {
         Actions.STICKER_CREATE,
         Actions.GUILD_SCHEDULED_EVENT_CREATE,
         Actions.THREAD_CREATE,
+        Actions.SOUNDBOARD_SOUND_CREATE,
         Actions.AUTO_MODERATION_RULE_CREATE,
         Actions.AUTO_MODERATION_BLOCK_MESSAGE,
       ].includes(action)
@@ -368,6 +378,7 @@ class GuildAuditLogs {
         Actions.STICKER_DELETE,
         Actions.GUILD_SCHEDULED_EVENT_DELETE,
         Actions.THREAD_DELETE,
+        Actions.SOUNDBOARD_SOUND_DELETE,
         Actions.AUTO_MODERATION_RULE_DELETE,
       ].includes(action)
     ) {
@@ -392,6 +403,7 @@ class GuildAuditLogs {
         Actions.GUILD_SCHEDULED_EVENT_UPDATE,
         Actions.THREAD_UPDATE,
         Actions.APPLICATION_COMMAND_PERMISSION_UPDATE,
+        Actions.SOUNDBOARD_SOUND_UPDATE,
         Actions.AUTO_MODERATION_RULE_UPDATE,
       ].includes(action)
     ) {
@@ -710,8 +722,21 @@ class GuildAuditLogsEntry {
       this.target = guild.roles.cache.get(data.target_id) ?? { id: data.target_id };
     } else if (targetType === Targets.EMOJI) {
       this.target = guild.emojis.cache.get(data.target_id) ?? { id: data.target_id };
+    } else if (targetType === Targets.SOUNDBOARD_SOUND) {
+      this.target =
+        guild.soundboardSounds.cache.get(data.target_id) ??
+        new SoundboardSound(
+          guild.client,
+          this.changes.reduce(
+            (o, c) => {
+              o[c.key] = c.new ?? c.old;
+              return o;
+            },
+            { sound_id: data.target_id, guild_id: guild.id },
+          ),
+        );
     } else if (data.target_id) {
-      // Missing SoundboardSound & Onboarding
+      // Missing Onboarding
       this.target = { id: data.target_id };
     }
   }
@@ -0,0 +1,154 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const Base = require('./Base');
+
+/**
+ * A group header of a member list: a hoisted role, `online` or `offline`.
+ * @typedef {Object} GuildMemberListGroup
+ * @property {string} id The id of the role, or `online` or `offline`
+ * @property {number} count The amount of members in the group
+ */
+
+/**
+ * An entry of a member list, either a group header or a member.
+ * @typedef {Object} GuildMemberListItem
+ * @property {string} type Either `GROUP` or `MEMBER`
+ * @property {?GuildMemberListGroup} group The group, if this entry is a group header
+ * @property {?GuildMember} member The member, if this entry is a member
+ */
+
+/**
+ * An operation applied to a member list by Discord.
+ * @typedef {Object} GuildMemberListOperation
+ * @property {string} type Either `SYNC`, `INSERT`, `UPDATE`, `DELETE` or `INVALIDATE`
+ * @property {?number} index The index of the affected entry, for `INSERT`, `UPDATE` and `DELETE`
+ * @property {?number[]} range The affected range of entries, for `SYNC` and `INVALIDATE`
+ */
+
+/**
+ * Represents the member list of a guild as shown in the sidebar of the channels sharing the same view permissions.
+ * Only the ranges that were subscribed to with {@link GuildMemberListManager#subscribe} are populated.
+ * @extends {Base}
+ */
+class GuildMemberList extends Base {
+  constructor(guild, id) {
+    super(guild.client);
+
+    /**
+     * The guild of this member list
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The id of this member list, `everyone` or a hash of the view permission overwrites of its channels
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * The amount of members that can see the channels of this list
+     * @type {number}
+     */
+    this.memberCount = 0;
+
+    /**
+     * The amount of online members that can see the channels of this list
+     * @type {number}
+     */
+    this.onlineCount = 0;
+
+    /**
+     * The groups of this list, in order
+     * @type {GuildMemberListGroup[]}
+     */
+    this.groups = [];
+
+    /**
+     * The entries of this list, in order. Entries outside of the subscribed ranges are empty
+     * @type {GuildMemberListItem[]}
+     */
+    this.items = [];
+  }
+
+  /**
+   * The members of the subscribed ranges, in the order of the list
+   * @type {Collection<Snowflake, GuildMember>}
+   * @readonly
+   */
+  get members() {
+    const members = new Collection();
+    for (const item of this.items) {
+      if (item?.member) members.set(item.member.id, item.member);
+    }
+    return members;
+  }
+
+  _patch(data) {
+    if ('member_count' in data) this.memberCount = data.member_count;
+    if ('online_count' in data) this.onlineCount = data.online_count;
+    if ('groups' in data) this.groups = data.groups.map(group => ({ id: group.id, count: group.count ?? 0 }));
+  }
+
+  /**
+   * Applies the operations of a `GUILD_MEMBER_LIST_UPDATE` packet.
+   * @param {Object[]} ops The raw operations
+   * @returns {GuildMemberListOperation[]}
+   * @private
+   */
+  _applyOps(ops) {
+    const operations = [];
+    for (const op of ops) {
+      switch (op.op) {
+        case 'SYNC': {
+          const [start, end] = op.range;
+          for (let i = start; i <= end; i++) {
+            const item = op.items[i - start];
+            if (item) this.items[i] = this._addItem(item);
+            else delete this.items[i];
+          }
+          break;
+        }
+        case 'INVALIDATE': {
+          const [start, end] = op.range;
+          for (let i = start; i <= end; i++) delete this.items[i];
+          break;
+        }
+        case 'INSERT':
+          this.items.splice(op.index, 0, this._addItem(op.item));
+          break;
+        case 'UPDATE':
+          this.items[op.index] = this._addItem(op.item);
+          break;
+        case 'DELETE':
+          this.items.splice(op.index, 1);
+          break;
+        default:
+          continue;
+      }
+      operations.push({ type: op.op, index: op.index ?? null, range: op.range ?? null });
+    }
+    return operations;
+  }
+
+  /**
+   * Caches the member and presence of a raw entry.
+   * @param {Object} item The raw entry
+   * @returns {GuildMemberListItem}
+   * @private
+   */
+  _addItem(item) {
+    if (item.group) return { type: 'GROUP', group: { id: item.group.id, count: item.group.count ?? 0 }, member: null };
+    const { presence, ...data } = item.member;
+    const member = this.guild.members._add(data);
+    if (presence) {
+      this.guild.presences._add(
+        Object.assign(presence, { user: { id: member.id, ...presence.user }, guild: this.guild }),
+      );
+    }
+    return { type: 'MEMBER', group: null, member };
+  }
+}
+
+module.exports = GuildMemberList;
@@ -1207,25 +1207,27 @@ class Message extends Base {
    * Marks the message as unread.
    * @returns {Promise<void>}
    */
-  markUnread() {
-    return this.client.api.channels[this.channelId].messages[this.id].ack.post({
+  async markUnread() {
+    await this.client.api.channels[this.channelId].messages[this.id].ack.post({
       data: {
         manual: true,
         mention_count: 1,
       },
     });
+    this.client.readStates._ack(this.channelId, String(BigInt(this.id) - 1n), 1);
   }
 
   /**
    * Marks the message as read.
    * @returns {Promise<void>}
    */
-  markRead() {
-    return this.client.api.channels[this.channelId].messages[this.id].ack.post({
+  async markRead() {
+    await this.client.api.channels[this.channelId].messages[this.id].ack.post({
       data: {
         token: null,
       },
     });
+    this.client.readStates._ack(this.channelId, this.id);
   }
 
   /**
@@ -0,0 +1,76 @@
+'use strict';
+
+const Base = require('./Base');
+
+/**
+ * Represents how far the client user has read a channel.
+ * @extends {Base}
+ */
+class ReadState extends Base {
+  constructor(client, data) {
+    super(client);
+
+    /**
+     * The id of the channel of this read state
+     * @type {Snowflake}
+     */
+    this.id = data.id;
+
+    /**
+     * The id of the last message that was read
+     * @type {?Snowflake}
+     */
+    this.lastMessageId = null;
+
+    /**
+     * The amount of unread messages mentioning the client user
+     * @type {number}
+     */
+    this.mentionCount = 0;
+
+    /**
+     * The timestamp of the last pin that was seen
+     * @type {?number}
+     */
+    this.lastPinTimestamp = null;
+
+    this._patch(data);
+  }
+
+  _patch(data) {
+    if ('last_message_id' in data) this.lastMessageId = data.last_message_id ?? null;
+    if ('mention_count' in data) this.mentionCount = data.mention_count ?? 0;
+    if ('last_pin_timestamp' in data) {
+      this.lastPinTimestamp = data.last_pin_timestamp ? Date.parse(data.last_pin_timestamp) : null;
+    }
+    if ('flags' in data) {
+      /**
+       * The flags of this read state
+       * @type {number}
+       */
+      this.flags = data.flags;
+    } else {
+      this.flags ??= 0;
+    }
+  }
+
+  /**
+   * The channel of this read state
+   * @type {?TextBasedChannels}
+   * @readonly
+   */
+  get channel() {
+    return this.client.channels.cache.get(this.id) ?? null;
+  }
+
+  /**
+   * Whether the channel of this read state has unread messages
+   * @type {boolean}
+   * @readonly
+   */
+  get unread() {
+    return this.client.readStates.isUnread(this.id);
+  }
+}
+
+module.exports = ReadState;
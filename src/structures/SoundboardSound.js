@@ -0,0 +1,181 @@
+'use strict';
+
+const Base = require('./Base');
+const { Emoji } = require('./Emoji');
+const { Error } = require('../errors');
+
+/**
+ * Represents a sound of the soundboard, either a default sound or one uploaded to a guild.
+ * @extends {Base}
+ */
+class SoundboardSound extends Base {
+  constructor(client, data) {
+    super(client);
+
+    /**
+     * The id of the sound
+     * @type {Snowflake}
+     */
+    this.soundId = data.sound_id;
+
+    this._patch(data);
+  }
+
+  _patch(data) {
+    if ('name' in data) {
+      /**
+       * The name of the sound
+       * @type {string}
+       */
+      this.name = data.name;
+    }
+
+    if ('volume' in data) {
+      /**
+       * The volume of the sound, from 0 to 1
+       * @type {number}
+       */
+      this.volume = data.volume;
+    } else {
+      this.volume ??= 1;
+    }
+
+    if ('emoji_id' in data || 'emoji_name' in data) {
+      /**
+       * The id of the custom emoji of the sound
+       * @type {?Snowflake}
+       * @private
+       */
+      this._emojiId = data.emoji_id ?? null;
+
+      /**
+       * The unicode emoji of the sound, or the name of its custom emoji
+       * @type {?string}
+       * @private
+       */
+      this._emojiName = data.emoji_name ?? null;
+    } else {
+      this._emojiId ??= null;
+      this._emojiName ??= null;
+    }
+
+    if ('guild_id' in data) {
+      /**
+       * The id of the guild of the sound, `null` for default sounds
+       * @type {?Snowflake}
+       */
+      this.guildId = data.guild_id;
+    } else {
+      this.guildId ??= null;
+    }
+
+    if ('available' in data) {
+      /**
+       * Whether the sound can be used, may be `false` when the guild lost its boosts
+       * @type {boolean}
+       */
+      this.available = data.available;
+    } else {
+      this.available ??= true;
+    }
+
+    if ('user' in data) {
+      /**
+       * The user who uploaded the sound
+       * @type {?User}
+       */
+      this.user = this.client.users._add(data.user);
+    } else {
+      this.user ??= null;
+    }
+  }
+
+  /**
+   * The id of the sound
+   * @type {Snowflake}
+   * @readonly
+   */
+  get id() {
+    return this.soundId;
+  }
+
+  /**
+   * The emoji of the sound
+   * @type {?Emoji}
+   * @readonly
+   */
+  get emoji() {
+    if (!this._emojiId && !this._emojiName) return null;
+    return (
+      this.client.emojis.resolve(this._emojiId) ?? new Emoji(this.client, { id: this._emojiId, name: this._emojiName })
+    );
+  }
+
+  /**
+   * The guild of the sound
+   * @type {?Guild}
+   * @readonly
+   */
+  get guild() {
+    return this.client.guilds.resolve(this.guildId);
+  }
+
+  /**
+   * A link to the file of the sound
+   * @type {string}
+   * @readonly
+   */
+  get url() {
+    return this.client.rest.cdn.SoundboardSound(this.soundId);
+  }
+
+  /**
+   * Edits the sound.
+   * @param {GuildSoundboardSoundEditData} data The new data for the sound
+   * @param {string} [reason] Reason for editing the sound
+   * @returns {Promise<SoundboardSound>}
+   */
+  edit(data, reason) {
+    if (!this.guildId) throw new Error('NOT_GUILD_SOUNDBOARD_SOUND');
+    return this.guild.soundboardSounds.edit(this, data, reason);
+  }
+
+  /**
+   * Deletes the sound.
+   * @param {string} [reason] Reason for deleting the sound
+   * @returns {Promise<SoundboardSound>}
+   */
+  async delete(reason) {
+    if (!this.guildId) throw new Error('NOT_GUILD_SOUNDBOARD_SOUND');
+    await this.guild.soundboardSounds.delete(this, reason);
+    return this;
+  }
+
+  /**
+   * Whether this sound is the same as another one.
+   * @param {SoundboardSound|Object} other The sound to compare it to
+   * @returns {boolean}
+   */
+  equals(other) {
+    if (other instanceof SoundboardSound) {
+      return (
+        other.soundId === this.soundId &&
+        other.name === this.name &&
+        other.volume === this.volume &&
+        other._emojiId === this._emojiId &&
+        other._emojiName === this._emojiName &&
+        other.available === this.available
+      );
+    }
+    return (
+      other.sound_id === this.soundId &&
+      other.name === this.name &&
+      other.volume === this.volume &&
+      (other.emoji_id ?? null) === this._emojiId &&
+      (other.emoji_name ?? null) === this._emojiName &&
+      (other.available ?? true) === this.available
+    );
+  }
+}
+
+module.exports = SoundboardSound;
@@ -238,6 +238,9 @@ TextBasedChannel.applyToClass(ThreadOnlyChannel, true, [
   'send',
   'lastMessage',
   'lastPinAt',
+  'lastReadMessageId',
+  'mentionCount',
+  'unread',
   'bulkDelete',
   'sendTyping',
   'createMessageCollector',
@@ -2,6 +2,8 @@
 
 const process = require('node:process');
 const BaseGuildVoiceChannel = require('./BaseGuildVoiceChannel');
+const SoundboardSound = require('./SoundboardSound');
+const { Error, TypeError } = require('../errors');
 const Permissions = require('../util/Permissions');
 
 let deprecationEmittedForEditable = false;
@@ -58,6 +60,28 @@ class VoiceChannel extends BaseGuildVoiceChannel {
     );
   }
 
+  /**
+   * Plays a soundboard sound in the channel. The client user must be connected to the channel.
+   * @param {SoundboardSound|Snowflake} sound The sound to play, either a sound of a guild or a default sound
+   * @returns {Promise<void>}
+   * @example
+   * // Play the first default sound
+   * const sounds = await client.fetchDefaultSoundboardSounds();
+   * await voiceChannel.sendSoundboardSound(sounds.first());
+   */
+  async sendSoundboardSound(sound) {
+    if (this.guild.members.me?.voice.channelId !== this.id) throw new Error('VOICE_SOUNDBOARD_NOT_CONNECTED');
+    if (typeof sound === 'string') sound = this.guild.soundboardSounds.cache.get(sound) ?? { soundId: sound };
+    if (!sound?.soundId) throw new TypeError('INVALID_TYPE', 'sound', 'SoundboardSound or Snowflake');
+
+    await this.client.api.channels(this.id)['send-soundboard-sound'].post({
+      data: {
+        sound_id: sound.soundId,
+        source_guild_id: sound instanceof SoundboardSound ? sound.guildId ?? undefined : undefined,
+      },
+    });
+  }
+
   /**
    * Sets the bitrate of the channel.
    * @name VoiceChannel#setBitrate
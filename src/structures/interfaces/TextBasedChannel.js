@@ -61,6 +61,33 @@ class TextBasedChannel {
     return this.lastPinTimestamp ? new Date(this.lastPinTimestamp) : null;
   }
 
+  /**
+   * The id of the last message the client user read in the channel
+   * @type {?Snowflake}
+   * @readonly
+   */
+  get lastReadMessageId() {
+    return this.client.readStates.cache.get(this.id)?.lastMessageId ?? null;
+  }
+
+  /**
+   * The amount of unread messages mentioning the client user in the channel
+   * @type {number}
+   * @readonly
+   */
+  get mentionCount() {
+    return this.client.readStates.cache.get(this.id)?.mentionCount ?? 0;
+  }
+
+  /**
+   * Whether the channel has messages the client user didn't read
+   * @type {boolean}
+   * @readonly
+   */
+  get unread() {
+    return this.client.readStates.isUnread(this);
+  }
+
   /**
    * Represents the data for a poll answer.
    * @typedef {Object} PollAnswerData
@@ -572,6 +599,9 @@ class TextBasedChannel {
         'searchInteractionUserApps',
         'lastMessage',
         'lastPinAt',
+        'lastReadMessageId',
+        'mentionCount',
+        'unread',
         'search',
         'sendTyping',
         'createMessageCollector',
@@ -761,25 +791,24 @@ async function parseOption(
 
 function awaitAutocomplete(client, nonce, defaultValue) {
   return new Promise(resolve => {
-    const handler = data => {
-      if (data.t !== 'APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE') return;
-      if (data.d?.nonce !== nonce) return;
+    const handler = (choices, responseNonce) => {
+      if (responseNonce !== nonce) return;
       clearTimeout(timeout);
-      client.removeListener(Events.UNHANDLED_PACKET, handler);
+      client.removeListener(Events.APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE, handler);
       client.decrementMaxListeners();
-      if (data.d.choices.length >= 1) {
-        resolve(data.d.choices[0].value);
+      if (choices.length >= 1) {
+        resolve(choices[0].value);
       } else {
         resolve(defaultValue);
       }
     };
     const timeout = setTimeout(() => {
-      client.removeListener(Events.UNHANDLED_PACKET, handler);
+      client.removeListener(Events.APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE, handler);
       client.decrementMaxListeners();
       resolve(defaultValue);
     }, 5_000).unref();
     client.incrementMaxListeners();
-    client.on(Events.UNHANDLED_PACKET, handler);
+    client.on(Events.APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE, handler);
   });
 }
 
@@ -0,0 +1,626 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const EventEmitter = require('node:events');
+const { setTimeout, clearTimeout } = require('node:timers');
+const zlib = require('node:zlib');
+const { Error } = require('../errors');
+const { Opcodes } = require('../util/Constants');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+const decoder = new TextDecoder();
+
+/**
+ * Options for a {@link MockDiscordServer}.
+ * @typedef {Object} MockDiscordServerOptions
+ * @property {number} [port=0] The port to listen on, a random free port is used by default
+ * @property {string} [hostname='127.0.0.1'] The hostname to listen on
+ * @property {number} [heartbeatInterval=41250] The heartbeat interval sent in HELLO, in milliseconds
+ * @property {?string} [token=null] The only token accepted by IDENTIFY and RESUME, any token is accepted if `null`
+ * @property {Object} [user] The user sent in READY, merged with a default user
+ * @property {Object[]} [guilds=[]] The guilds sent in READY
+ * @property {Object|Function} [ready] Additional READY data, or a function returning it from the IDENTIFY payload
+ * @property {Object|Function} [supplemental] Additional READY_SUPPLEMENTAL data, or a function returning it from
+ * the IDENTIFY payload
+ */
+
+/**
+ * A request received by the REST stand-in of a {@link MockDiscordServer}.
+ * @typedef {Object} MockRESTRequest
+ * @property {string} method The HTTP method of the request
+ * @property {string} path The path of the request, without the `/api/v*` prefix and the query string
+ * @property {Object<string, string>} query The query of the request
+ * @property {Object<string, string>} params The parameters of the matched route
+ * @property {Object<string, string>} headers The headers of the request
+ * @property {*} body The parsed JSON body of the request, the `FormData` of multipart requests, or the raw text
+ */
+
+/**
+ * A function answering requests of the REST stand-in.
+ * Returning a {@link Response} sends it as is, `undefined` sends `204 No Content`
+ * and anything else is sent as JSON.
+ * @typedef {Function} MockRESTHandler
+ * @param {MockRESTRequest} request The received request
+ * @returns {*}
+ */
+
+/**
+ * A gateway session of a {@link MockDiscordServer}.
+ * @typedef {Object} MockGatewaySession
+ * @property {string} id The id of the session
+ * @property {number} sequence The sequence of the last dispatch
+ * @property {Object[]} history The dispatches of the session, replayed on RESUME
+ * @property {?ServerWebSocket} socket The connection currently using this session
+ */
+
+/**
+ * An in-process stand-in for the Discord gateway and REST API, to run end-to-end tests without Discord.
+ * Point a client to it with {@link MockDiscordServer#clientOptions}, then script dispatches, close codes,
+ * invalid sessions and rate limits.
+ * <info>Only the JSON encoding is supported. `zlib-stream` and `zstd-stream` compression are used when requested.</info>
+ * @extends {EventEmitter}
+ * @example
+ * const { Client } = require('discord-sb.js');
+ * const { MockDiscordServer } = require('discord-sb.js/testing');
+ *
+ * const server = await new MockDiscordServer({ heartbeatInterval: 1_000 }).start();
+ * const client = new Client(server.clientOptions);
+ * await client.login('token');
+ *
+ * server.dispatch('MESSAGE_CREATE', { id: '1', channel_id: '2', content: 'hi', author: server.user });
+ * server.close(4000);
+ * await server.waitForPacket(packet => packet.op === 6);
+ */
+class MockDiscordServer extends EventEmitter {
+  /**
+   * @param {MockDiscordServerOptions} [options] Options for the server
+   */
+  constructor({
+    port = 0,
+    hostname = '127.0.0.1',
+    heartbeatInterval = 41_250,
+    token = null,
+    user = {},
+    guilds = [],
+    ready = {},
+    supplemental = {},
+  } = {}) {
+    super();
+
+    /**
+     * The options of this server
+     * @type {MockDiscordServerOptions}
+     */
+    this.options = { port, hostname, heartbeatInterval, token, ready, supplemental };
+
+    /**
+     * The user sent in READY
+     * @type {Object}
+     */
+    this.user = {
+      id: SnowflakeUtil.generate(),
+      username: 'mock',
+      global_name: 'Mock',
+      discriminator: '0',
+      avatar: null,
+      bot: false,
+      flags: 0,
+      verified: true,
+      mfa_enabled: false,
+      premium_type: 0,
+      ...user,
+    };
+
+    /**
+     * The guilds sent in READY
+     * @type {Object[]}
+     */
+    this.guilds = guilds;
+
+    /**
+     * Whether heartbeats are acknowledged, set to `false` to simulate a zombie connection
+     * @type {boolean}
+     */
+    this.ackHeartbeats = true;
+
+    /**
+     * The underlying Bun server
+     * @type {?Object}
+     * @private
+     */
+    this.server = null;
+
+    /**
+     * The open gateway connections
+     * @type {Set<ServerWebSocket>}
+     */
+    this.connections = new Set();
+
+    /**
+     * The gateway sessions, mapped by their id
+     * @type {Map<string, MockGatewaySession>}
+     */
+    this.sessions = new Map();
+
+    /**
+     * Every packet sent by the clients to the gateway
+     * @type {Object[]}
+     */
+    this.received = [];
+
+    /**
+     * Every request received by the REST stand-in
+     * @type {MockRESTRequest[]}
+     */
+    this.requests = [];
+
+    /**
+     * The routes of the REST stand-in
+     * @type {Object[]}
+     * @private
+     */
+    this.routes = [];
+
+    /**
+     * The pending rate limits of the REST stand-in
+     * @type {Object[]}
+     * @private
+     */
+    this.rateLimits = [];
+
+    this.route('GET', '/gateway', () => ({ url: this.gatewayURL }));
+    this.route('GET', '/users/@me', () => this.user);
+  }
+
+  /**
+   * The port this server listens on
+   * @type {?number}
+   * @readonly
+   */
+  get port() {
+    return this.server?.port ?? null;
+  }
+
+  /**
+   * The base URL of the REST stand-in, to use as the `http.api` client option
+   * @type {string}
+   * @readonly
+   */
+  get api() {
+    return `http://${this.options.hostname}:${this.port}/api`;
+  }
+
+  /**
+   * The URL of the gateway, also returned by `GET /gateway`
+   * @type {string}
+   * @readonly
+   */
+  get gatewayURL() {
+    return `ws://${this.options.hostname}:${this.port}`;
+  }
+
+  /**
+   * Client options pointing to this server
+   * @type {ClientOptions}
+   * @readonly
+   */
+  get clientOptions() {
+    return { http: { api: this.api } };
+  }
+
+  /**
+   * Starts listening.
+   * @returns {Promise<MockDiscordServer>}
+   */
+  start() {
+    if (typeof Bun === 'undefined') throw new Error('MOCK_SERVER_BUN_REQUIRED');
+    if (this.server) return Promise.resolve(this);
+    this.server = Bun.serve({
+      port: this.options.port,
+      hostname: this.options.hostname,
+      fetch: (request, server) => this._handleRequest(request, server),
+      websocket: {
+        open: ws => this._onOpen(ws),
+        message: (ws, message) => this._onMessage(ws, message),
+        close: (ws, code, reason) => this._onClose(ws, code, reason),
+      },
+    });
+    return Promise.resolve(this);
+  }
+
+  /**
+   * Closes every connection and stops listening.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    const closed = [...this.connections].map(ws => new Promise(resolve => (ws.data.onClose = resolve)));
+    for (const ws of this.connections) ws.close(1_001, 'Server stopped');
+    // The promise of Bun's `Server#stop` never resolves once the server closed a WebSocket itself, as it stays in
+    // `pendingWebSockets`, so the connections are awaited instead
+    server.stop(true);
+    await Promise.all(closed);
+  }
+
+  /**
+   * Adds a route to the REST stand-in. Routes added last take precedence.
+   * @param {string} method The HTTP method of the route
+   * @param {string|RegExp} path The path of the route, `:name` segments are available in `request.params`
+   * @param {MockRESTHandler|Object} handler The function answering the route, or the JSON to answer it with
+   * @returns {MockDiscordServer}
+   * @example
+   * server.route('GET', '/channels/:id', request => ({ id: request.params.id, type: 0 }));
+   */
+  route(method, path, handler) {
+    this.routes.unshift({
+      method: method.toUpperCase(),
+      pattern: path instanceof RegExp ? path : compilePath(path),
+      handler: typeof handler === 'function' ? handler : () => handler,
+    });
+    return this;
+  }
+
+  /**
+   * Answers the next requests of a route with `429 Too Many Requests`.
+   * @param {string} method The HTTP method of the route
+   * @param {string|RegExp} path The path of the route
+   * @param {Object} [options] Options for the rate limit
+   * @param {number} [options.retryAfter=1] The `retry-after` sent, in seconds
+   * @param {boolean} [options.global=false] Whether the rate limit is global
+   * @param {number} [options.count=1] How many requests are rate limited
+   * @returns {MockDiscordServer}
+   */
+  rateLimit(method, path, { retryAfter = 1, global = false, count = 1 } = {}) {
+    this.rateLimits.push({
+      method: method.toUpperCase(),
+      pattern: path instanceof RegExp ? path : compilePath(path),
+      retryAfter,
+      global,
+      count,
+    });
+    return this;
+  }
+
+  /**
+   * Sends a dispatch to every session. Sessions without a connection keep it for their next RESUME.
+   * @param {string} event The name of the event
+   * @param {*} data The data of the event
+   */
+  dispatch(event, data) {
+    for (const session of this.sessions.values()) this._dispatch(session, event, data);
+  }
+
+  /**
+   * Sends a raw packet to every connection.
+   * @param {Object} packet The packet to send
+   */
+  broadcast(packet) {
+    for (const ws of this.connections) this._send(ws, packet);
+  }
+
+  /**
+   * Closes every connection with a close code.
+   * @param {number} [code=4000] The close code
+   * @param {string} [reason] The close reason
+   */
+  close(code = 4_000, reason = '') {
+    for (const ws of this.connections) ws.close(code, reason);
+  }
+
+  /**
+   * Invalidates the session of every connection.
+   * @param {boolean} [resumable=false] Whether the sessions can be resumed
+   */
+  invalidateSession(resumable = false) {
+    for (const ws of this.connections) {
+      if (!resumable && ws.data.session) this.sessions.delete(ws.data.session.id);
+      this._send(ws, { op: Opcodes.INVALID_SESSION, d: resumable });
+    }
+  }
+
+  /**
+   * Asks every connection to reconnect.
+   */
+  requestReconnect() {
+    this.broadcast({ op: Opcodes.RECONNECT, d: null });
+  }
+
+  /**
+   * Waits for a packet sent by a client.
+   * @param {number|Function} filter The opcode of the packet, or a function testing the packet
+   * @param {number} [timeout=5000] How long to wait, in milliseconds
+   * @returns {Promise<Object>}
+   */
+  waitForPacket(filter, timeout = 5_000) {
+    const test = typeof filter === 'function' ? filter : packet => packet.op === filter;
+    return new Promise((resolve, reject) => {
+      const listener = packet => {
+        if (!test(packet)) return;
+        clearTimeout(timer);
+        this.off('packet', listener);
+        resolve(packet);
+      };
+      const timer = setTimeout(() => {
+        this.off('packet', listener);
+        reject(new Error('MOCK_SERVER_TIMEOUT', 'gateway packet'));
+      }, timeout).unref();
+      this.on('packet', listener);
+    });
+  }
+
+  /**
+   * Waits for a request received by the REST stand-in.
+   * @param {string} method The HTTP method of the request
+   * @param {string|RegExp} path The path of the request
+   * @param {number} [timeout=5000] How long to wait, in milliseconds
+   * @returns {Promise<MockRESTRequest>}
+   */
+  waitForRequest(method, path, timeout = 5_000) {
+    method = method.toUpperCase();
+    const pattern = path instanceof RegExp ? path : compilePath(path);
+    return new Promise((resolve, reject) => {
+      const listener = request => {
+        if (request.method !== method || !pattern.test(request.path)) return;
+        clearTimeout(timer);
+        this.off('request', listener);
+        resolve(request);
+      };
+      const timer = setTimeout(() => {
+        this.off('request', listener);
+        reject(new Error('MOCK_SERVER_TIMEOUT', 'REST request'));
+      }, timeout).unref();
+      this.on('request', listener);
+    });
+  }
+
+  /**
+   * Builds the READY data of a new session.
+   * @param {MockGatewaySession} session The new session
+   * @param {Object} identify The IDENTIFY payload
+   * @returns {Object}
+   * @private
+   */
+  _createReadyData(session, identify) {
+    const { ready } = this.options;
+    return {
+      v: 9,
+      user: this.user,
+      session_id: session.id,
+      resume_gateway_url: this.gatewayURL,
+      guilds: this.guilds,
+      private_channels: [],
+      relationships: [],
+      user_guild_settings: [],
+      notes: {},
+      sessions: [],
+      auth_session_id_hash: session.id,
+      ...(typeof ready === 'function' ? ready(identify, session) : ready),
+    };
+  }
+
+  /**
+   * Builds the READY_SUPPLEMENTAL data of a new session.
+   * @param {MockGatewaySession} session The new session
+   * @param {Object} identify The IDENTIFY payload
+   * @param {Object} ready The READY data of the session
+   * @returns {Object}
+   * @private
+   */
+  _createSupplementalData(session, identify, ready) {
+    const { supplemental } = this.options;
+    return {
+      guilds: ready.guilds.map(guild => ({ id: guild.id, voice_states: [], embedded_activities: [] })),
+      merged_members: ready.guilds.map(() => []),
+      merged_presences: { friends: [], guilds: ready.guilds.map(() => []) },
+      lazy_private_channels: [],
+      disclose: [],
+      ...(typeof supplemental === 'function' ? supplemental(identify, session) : supplemental),
+    };
+  }
+
+  async _handleRequest(request, server) {
+    const url = new URL(request.url);
+    if (!url.pathname.startsWith('/api/')) {
+      const data = { query: url.searchParams, session: null, compressor: null };
+      if (server.upgrade(request, { data })) return undefined;
+      return new Response('Upgrade Required', { status: 426 });
+    }
+
+    const mockRequest = {
+      method: request.method,
+      path: url.pathname.replace(/^\/api(\/v\d+)?/, ''),
+      query: Object.fromEntries(url.searchParams),
+      params: {},
+      headers: Object.fromEntries(request.headers),
+      body: await parseBody(request),
+    };
+    this.requests.push(mockRequest);
+
+    /**
+     * Emitted when the REST stand-in receives a request.
+     * @event MockDiscordServer#request
+     * @param {MockRESTRequest} request The received request
+     */
+    this.emit('request', mockRequest);
+
+    const rateLimit = this.rateLimits.find(
+      limit => limit.method === mockRequest.method && limit.pattern.test(mockRequest.path),
+    );
+    if (rateLimit) {
+      if (--rateLimit.count <= 0) this.rateLimits.splice(this.rateLimits.indexOf(rateLimit), 1);
+      const headers = {
+        'retry-after': String(rateLimit.retryAfter),
+        'x-ratelimit-scope': rateLimit.global ? 'global' : 'user',
+      };
+      if (rateLimit.global) {
+        headers['x-ratelimit-global'] = 'true';
+      } else {
+        Object.assign(headers, {
+          'x-ratelimit-limit': '1',
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset-after': String(rateLimit.retryAfter),
+        });
+      }
+      return Response.json(
+        { message: 'You are being rate limited.', retry_after: rateLimit.retryAfter, global: rateLimit.global },
+        { status: 429, headers },
+      );
+    }
+
+    for (const route of this.routes) {
+      if (route.method !== mockRequest.method) continue;
+      const match = route.pattern.exec(mockRequest.path);
+      if (!match) continue;
+      mockRequest.params = { ...match.groups };
+      const result = await route.handler(mockRequest);
+      if (result instanceof Response) return result;
+      if (result === undefined) return new Response(null, { status: 204 });
+      return Response.json(result);
+    }
+
+    return Response.json({ message: '404: Not Found', code: 0 }, { status: 404 });
+  }
+
+  _onOpen(ws) {
+    const compress = ws.data.query.get('compress');
+    if (compress === 'zlib-stream' || compress === 'zstd-stream') {
+      const zstd = compress === 'zstd-stream';
+      const stream = zstd ? zlib.createZstdCompress() : zlib.createDeflate();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      ws.data.compressor = {
+        stream,
+        chunks,
+        flush: zstd ? zlib.constants.ZSTD_e_flush : zlib.constants.Z_SYNC_FLUSH,
+      };
+    }
+    this.connections.add(ws);
+
+    /**
+     * Emitted when a client connects to the gateway.
+     * @event MockDiscordServer#connection
+     * @param {ServerWebSocket} ws The connection
+     */
+    this.emit('connection', ws);
+    this._send(ws, { op: Opcodes.HELLO, d: { heartbeat_interval: this.options.heartbeatInterval } });
+  }
+
+  _onMessage(ws, message) {
+    let packet;
+    try {
+      packet = JSON.parse(typeof message === 'string' ? message : decoder.decode(message));
+    } catch {
+      ws.close(4_002, 'Error while decoding payload.');
+      return;
+    }
+    this.received.push(packet);
+
+    /**
+     * Emitted when a client sends a packet to the gateway.
+     * @event MockDiscordServer#packet
+     * @param {Object} packet The received packet
+     * @param {ServerWebSocket} ws The connection the packet was received on
+     */
+    this.emit('packet', packet, ws);
+
+    switch (packet.op) {
+      case Opcodes.HEARTBEAT:
+      case Opcodes.QOS_HEARTBEAT:
+        if (this.ackHeartbeats) this._send(ws, { op: Opcodes.HEARTBEAT_ACK, d: null });
+        break;
+      case Opcodes.IDENTIFY:
+        this._identify(ws, packet.d);
+        break;
+      case Opcodes.RESUME:
+        this._resume(ws, packet.d);
+        break;
+    }
+  }
+
+  _onClose(ws) {
+    this.connections.delete(ws);
+    ws.data.onClose?.();
+    if (ws.data.session?.socket === ws) ws.data.session.socket = null;
+    ws.data.compressor?.stream.close();
+  }
+
+  _identify(ws, data) {
+    if (this.options.token !== null && data?.token !== this.options.token) {
+      ws.close(4_004, 'Authentication failed.');
+      return;
+    }
+    const session = { id: SnowflakeUtil.generate(), sequence: 0, history: [], socket: ws };
+    this.sessions.set(session.id, session);
+    ws.data.session = session;
+    const ready = this._createReadyData(session, data);
+    this._dispatch(session, 'READY', ready);
+    // Only user accounts receive the rest of their session in a second packet
+    if (!ready.user.bot) {
+      this._dispatch(session, 'READY_SUPPLEMENTAL', this._createSupplementalData(session, data, ready));
+    }
+  }
+
+  _resume(ws, data) {
+    const session = this.sessions.get(data?.session_id);
+    if (!session || (this.options.token !== null && data.token !== this.options.token)) {
+      this._send(ws, { op: Opcodes.INVALID_SESSION, d: false });
+      return;
+    }
+    if (session.socket && session.socket !== ws) session.socket.close(4_000, 'Session resumed elsewhere.');
+    session.socket = ws;
+    ws.data.session = session;
+    for (const packet of session.history) {
+      if (packet.s > data.seq) this._send(ws, packet);
+    }
+    this._dispatch(session, 'RESUMED', null);
+  }
+
+  _dispatch(session, event, data) {
+    const packet = { op: Opcodes.DISPATCH, t: event, s: ++session.sequence, d: data };
+    session.history.push(packet);
+    if (session.socket) this._send(session.socket, packet);
+  }
+
+  _send(ws, packet) {
+    const payload = JSON.stringify(packet);
+    if (!ws.data.compressor) {
+      ws.send(payload);
+      return;
+    }
+    const { stream, chunks, flush } = ws.data.compressor;
+    stream.write(payload);
+    stream.flush(flush, () => {
+      if (!chunks.length) return;
+      ws.send(Buffer.concat(chunks.splice(0, chunks.length)));
+    });
+  }
+}
+
+function compilePath(path) {
+  const source = path
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? `(?<${segment.slice(1)}>[^/]+)` : escapeRegExp(segment)))
+    .join('/');
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function parseBody(request) {
+  const contentType = request.headers.get('content-type') ?? '';
+  if (contentType.startsWith('application/json')) return request.json();
+  if (contentType.startsWith('multipart/form-data')) return request.formData();
+  const text = await request.text();
+  return text.length ? text : null;
+}
+
+module.exports = MockDiscordServer;
+
+/**
+ * @external ServerWebSocket
+ * @see {@link https://bun.sh/docs/api/websockets}
+ */
@@ -150,6 +150,7 @@ exports.Endpoints = {
         `${root}/stickers/${stickerId}.${
           stickerFormat === 'LOTTIE' ? 'json' : stickerFormat === 'GIF' ? 'gif' : 'png'
         }`,
+      SoundboardSound: soundId => `${root}/soundboard-sounds/${soundId}`,
       RoleIcon: (roleId, hash, format = 'webp', size) =>
         makeImageUrl(`${root}/role-icons/${roleId}/${hash}`, { size, format }),
       GuildScheduledEventCover: (scheduledEventId, coverHash, format, size) =>
@@ -323,6 +324,17 @@ exports.VoiceOpcodes = {
   CLIENT_FLAGS: 18,
   SPEED_TEST: 19,
   CLIENT_PLATFORM: 20,
+  DAVE_PREPARE_TRANSITION: 21,
+  DAVE_EXECUTE_TRANSITION: 22,
+  DAVE_TRANSITION_READY: 23,
+  DAVE_PREPARE_EPOCH: 24,
+  DAVE_MLS_EXTERNAL_SENDER: 25,
+  DAVE_MLS_KEY_PACKAGE: 26,
+  DAVE_MLS_PROPOSALS: 27,
+  DAVE_MLS_COMMIT_WELCOME: 28,
+  DAVE_MLS_ANNOUNCE_COMMIT_TRANSITION: 29,
+  DAVE_MLS_WELCOME: 30,
+  DAVE_MLS_INVALID_COMMIT_WELCOME: 31,
 };
 
 /**
@@ -332,6 +344,7 @@ exports.VoiceOpcodes = {
  * * API_RESPONSE: apiResponse
  * * API_REQUEST: apiRequest
  * * CLIENT_READY: ready
+ * * SUPPLEMENTAL_READY: supplementalReady
  * * APPLICATION_COMMAND_CREATE: applicationCommandCreate (deprecated)
  * * APPLICATION_COMMAND_DELETE: applicationCommandDelete (deprecated)
  * * APPLICATION_COMMAND_UPDATE: applicationCommandUpdate (deprecated)
@@ -350,6 +363,7 @@ exports.VoiceOpcodes = {
  * * GUILD_MEMBER_UPDATE: guildMemberUpdate
  * * GUILD_MEMBER_AVAILABLE: guildMemberAvailable
  * * GUILD_MEMBERS_CHUNK: guildMembersChunk
+ * * GUILD_MEMBER_LIST_UPDATE: memberListUpdate
  * * GUILD_INTEGRATIONS_UPDATE: guildIntegrationsUpdate
  * * GUILD_ROLE_CREATE: roleCreate
  * * GUILD_ROLE_DELETE: roleDelete
@@ -394,6 +408,8 @@ exports.VoiceOpcodes = {
  * * SHARD_RECONNECTING: shardReconnecting
  * * SHARD_READY: shardReady
  * * SHARD_RESUME: shardResume
+ * * SHARD_SESSION_RESTORE: shardSessionRestore
+ * * SHARD_HEALTH: shardHealth
  * * INVALIDATED: invalidated
  * * RAW: raw
  * * STAGE_INSTANCE_CREATE: stageInstanceCreate
@@ -402,6 +418,10 @@ exports.VoiceOpcodes = {
  * * GUILD_STICKER_CREATE: stickerCreate
  * * GUILD_STICKER_DELETE: stickerDelete
  * * GUILD_STICKER_UPDATE: stickerUpdate
+ * * GUILD_SOUNDBOARD_SOUND_CREATE: guildSoundboardSoundCreate
+ * * GUILD_SOUNDBOARD_SOUND_UPDATE: guildSoundboardSoundUpdate
+ * * GUILD_SOUNDBOARD_SOUND_DELETE: guildSoundboardSoundDelete
+ * * SOUNDBOARD_SOUNDS: soundboardSounds
  * * GUILD_SCHEDULED_EVENT_CREATE: guildScheduledEventCreate
  * * GUILD_SCHEDULED_EVENT_UPDATE: guildScheduledEventUpdate
  * * GUILD_SCHEDULED_EVENT_DELETE: guildScheduledEventDelete
@@ -419,6 +439,17 @@ exports.VoiceOpcodes = {
  * * CALL_UPDATE: callUpdate
  * * CALL_DELETE: callDelete
  * * VOICE_CHANNEL_EFFECT_SEND: voiceChannelEffectSend
+ * * SESSIONS_UPDATE: sessionsUpdate
+ * * LAST_MESSAGES: lastMessages
+ * * CHANNEL_STATUSES: channelStatuses
+ * * REMOTE_COMMAND: remoteCommand
+ * * GUILD_CACHE_RECONCILE: guildCacheReconcile
+ * * INTERACTION_SUCCESS: interactionSuccess
+ * * INTERACTION_FAILURE: interactionFailure
+ * * APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE: applicationCommandAutocompleteResponse
+ * * RECENT_MENTION_DELETE: recentMentionDelete
+ * * USER_CONNECTIONS_UPDATE: userConnectionsUpdate
+ * * USER_SETTINGS_PROTO_UPDATE: userSettingsProtoUpdate
  * @typedef {Object<string, string>} Events
  */
 exports.Events = {
@@ -427,6 +458,7 @@ exports.Events = {
   API_RESPONSE: 'apiResponse',
   API_REQUEST: 'apiRequest',
   CLIENT_READY: 'ready',
+  SUPPLEMENTAL_READY: 'supplementalReady',
   APPLICATION_COMMAND_CREATE: 'applicationCommandCreate',
   APPLICATION_COMMAND_DELETE: 'applicationCommandDelete',
   APPLICATION_COMMAND_UPDATE: 'applicationCommandUpdate',
@@ -445,6 +477,7 @@ exports.Events = {
   GUILD_MEMBER_UPDATE: 'guildMemberUpdate',
   GUILD_MEMBER_AVAILABLE: 'guildMemberAvailable',
   GUILD_MEMBERS_CHUNK: 'guildMembersChunk',
+  GUILD_MEMBER_LIST_UPDATE: 'memberListUpdate',
   GUILD_INTEGRATIONS_UPDATE: 'guildIntegrationsUpdate',
   GUILD_ROLE_CREATE: 'roleCreate',
   GUILD_ROLE_DELETE: 'roleDelete',
@@ -489,6 +522,8 @@ exports.Events = {
   SHARD_RECONNECTING: 'shardReconnecting',
   SHARD_READY: 'shardReady',
   SHARD_RESUME: 'shardResume',
+  SHARD_SESSION_RESTORE: 'shardSessionRestore',
+  SHARD_HEALTH: 'shardHealth',
   INVALIDATED: 'invalidated',
   RAW: 'raw',
   STAGE_INSTANCE_CREATE: 'stageInstanceCreate',
@@ -497,6 +532,10 @@ exports.Events = {
   GUILD_STICKER_CREATE: 'stickerCreate',
   GUILD_STICKER_DELETE: 'stickerDelete',
   GUILD_STICKER_UPDATE: 'stickerUpdate',
+  GUILD_SOUNDBOARD_SOUND_CREATE: 'guildSoundboardSoundCreate',
+  GUILD_SOUNDBOARD_SOUND_UPDATE: 'guildSoundboardSoundUpdate',
+  GUILD_SOUNDBOARD_SOUND_DELETE: 'guildSoundboardSoundDelete',
+  SOUNDBOARD_SOUNDS: 'soundboardSounds',
   GUILD_SCHEDULED_EVENT_CREATE: 'guildScheduledEventCreate',
   GUILD_SCHEDULED_EVENT_UPDATE: 'guildScheduledEventUpdate',
   GUILD_SCHEDULED_EVENT_DELETE: 'guildScheduledEventDelete',
@@ -516,6 +555,17 @@ exports.Events = {
   MESSAGE_POLL_VOTE_ADD: 'messagePollVoteAdd',
   MESSAGE_POLL_VOTE_REMOVE: 'messagePollVoteRemove',
   VOICE_CHANNEL_EFFECT_SEND: 'voiceChannelEffectSend',
+  SESSIONS_UPDATE: 'sessionsUpdate',
+  LAST_MESSAGES: 'lastMessages',
+  CHANNEL_STATUSES: 'channelStatuses',
+  REMOTE_COMMAND: 'remoteCommand',
+  GUILD_CACHE_RECONCILE: 'guildCacheReconcile',
+  INTERACTION_SUCCESS: 'interactionSuccess',
+  INTERACTION_FAILURE: 'interactionFailure',
+  APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE: 'applicationCommandAutocompleteResponse',
+  RECENT_MENTION_DELETE: 'recentMentionDelete',
+  USER_CONNECTIONS_UPDATE: 'userConnectionsUpdate',
+  USER_SETTINGS_PROTO_UPDATE: 'userSettingsProtoUpdate',
   // Djs v12
   VOICE_BROADCAST_SUBSCRIBE: 'subscribe',
   VOICE_BROADCAST_UNSUBSCRIBE: 'unsubscribe',
@@ -557,6 +607,7 @@ exports.PartialTypes = keyMirror(['USER', 'CHANNEL', 'GUILD_MEMBER', 'MESSAGE',
 /**
  * The type of a WebSocket message event, e.g. `MESSAGE_CREATE`. Here are the available events:
  * * READY
+ * * READY_SUPPLEMENTAL
  * * RESUMED
  * * APPLICATION_COMMAND_CREATE (deprecated)
  * * APPLICATION_COMMAND_DELETE (deprecated)
@@ -621,6 +672,7 @@ exports.PartialTypes = keyMirror(['USER', 'CHANNEL', 'GUILD_MEMBER', 'MESSAGE',
  */
 exports.WSEvents = keyMirror([
   'READY',
+  'READY_SUPPLEMENTAL',
   'RESUMED',
   'APPLICATION_COMMAND_CREATE',
   'APPLICATION_COMMAND_DELETE',
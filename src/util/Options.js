@@ -94,6 +94,8 @@ const Intents = require('./Intents');
  * @property {number} [retryLimit=1] How many times to retry on 5XX errors
  * (Infinity for an indefinite amount of retries)
  * @property {boolean} [failIfNotExists=true] Default value for {@link ReplyMessageOptions#failIfNotExists}
+ * @property {boolean} [handleRemoteCommands=false] Whether to act on the commands sent to this session by the other
+ * sessions of the account, e.g. joining the voice channel picked on the mobile app. See {@link Client#remoteCommand}
  * @property {PresenceData} [presence={ status: 'online', since: 0, activities: [], afk: false }] Presence data to use upon login
  * @property {number} [waitGuildTimeout=15_000] Time in milliseconds that Clients with the GUILDS intent should wait for
  * missing guilds to be received before starting the bot. If not specified, the default is 15 seconds.
@@ -124,6 +126,40 @@ const Intents = require('./Intents');
  * @property {AgentOptions} [agent={}] HTTPS Agent options (WS Proxy)
  * @property {boolean} [compress=false] Whether to compress data sent on the connection
  * @property {WebSocketProperties} [properties] Properties to identify the client with
+ * @property {?string} [transportCompression] The compression of the gateway connection, either `zlib-stream`,
+ * `zstd-stream` or `null` for none. Defaults to `zlib-stream` when zlib-sync is installed, and to none otherwise
+ * @property {GatewaySessionStore} [sessionStore] Where to save the gateway sessions, so they are resumed after a
+ * restart instead of identifying again. Sessions are saved after every batch of dispatches and on
+ * {@link Client#destroy}. Use a {@link FileGatewaySessionStore} to save them in a file
+ * <warn>A resumed session doesn't receive READY again, so guilds and channels aren't cached after a restart</warn>
+ * @property {boolean} [worker=false] Whether to run the connections in worker threads. The workers decompress and
+ * unpack the payloads and send the heartbeats, so large packets like READY don't block the event loop for long and
+ * heartbeats are sent on time. It can't be used with a proxy agent in `agent`
+ * @property {ShardHealthPolicy} [health] When the shards reconnect because of their health, see
+ * {@link WebSocketManager#stats}
+ * @property {GuildSubscriptionOptions|Function} [guildSubscriptions] The gateway events to receive for every guild,
+ * or a function taking a guild and returning them. A falsy value skips the guild. Defaults to every event
+ */
+
+/**
+ * When the shards reconnect because of their health.
+ * @typedef {Object} ShardHealthPolicy
+ * @property {number} [historySize=50] How many heartbeat latencies are kept for {@link WebSocketManager#stats}
+ * @property {number} [maxMissedAcks=1] How many heartbeats in a row may not be acknowledged before the connection
+ * is assumed to be a zombie and a new session is identified
+ * @property {?number} [maxLatency=null] The heartbeat latency, in milliseconds, above which the shard reconnects and
+ * resumes its session
+ */
+
+/**
+ * The gateway events to receive for a guild, sent with the `GUILD_SUBSCRIPTIONS_BULK` opcode.
+ * @typedef {Object} GuildSubscriptionOptions
+ * @property {boolean} [typing=true] Whether to receive the typing indicators of the guild
+ * @property {boolean} [threads=true] Whether to receive the threads of every channel, not only the joined ones
+ * @property {boolean} [activities=true] Whether to receive the presences and activities of the members
+ * @property {boolean} [memberUpdates=true] Whether to receive the member updates of every member
+ * @property {Snowflake[]} [members=[]] The ids of members to receive the presence of, even when offline
+ * @property {Snowflake[]} [threadMemberLists=[]] The ids of threads to receive the member list of
  */
 
 /**
@@ -149,6 +185,11 @@ const Intents = require('./Intents');
  * If not provided, uses Bun's native fetch. Use this to inject a custom implementation (e.g. TLS-impersonating
  * fetch) without adding dependencies to the package.
  * @property {boolean} [tlsFingerprint=false] Use Impit for TLS fingerprint impersonation (Chrome-like ClientHello).
+ * @property {RateLimitStore} [rateLimitStore] Where to save the rate limit state of the REST manager.
+ * Defaults to a {@link MemoryRateLimitStore}; use a {@link SQLiteRateLimitStore} to keep rate limits across restarts
+ * and share them between processes
+ * @property {HTTPCassetteOptions} [cassette] Records every response to a file, or replays them from it without any
+ * network, to write deterministic tests
  * @property {string} [api='https://discord.com/api'] Base URL of the API
  * @property {string} [cdn='https://cdn.discordapp.com'] Base URL of the CDN
  * @property {string} [invite='https://discord.gg'] Base URL of invites
@@ -193,6 +234,7 @@ class Options extends null {
       restTimeOffset: 500,
       restSweepInterval: 60,
       failIfNotExists: true,
+      handleRemoteCommands: false,
       presence: { status: 'online', since: 0, activities: [], afk: true },
       sweepers: {},
       ws: {
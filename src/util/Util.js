@@ -1015,7 +1015,7 @@ class Util extends null {
       const removeListeners = () => {
         client.removeListener(Events.MESSAGE_CREATE, handler);
         client.removeListener(Events.INTERACTION_MODAL_CREATE, handler);
-        if (isHandlerDeferUpdate) client.removeListener(Events.UNHANDLED_PACKET, handler);
+        if (isHandlerDeferUpdate) client.removeListener(Events.INTERACTION_SUCCESS, successHandler);
       };
 
       const finalize = data => {
@@ -1034,13 +1034,13 @@ class Util extends null {
         client.decrementMaxListeners();
         reject(new DiscordError('INTERACTION_FAILED'));
       };
+      const successHandler = response => {
+        // Interaction#deferUpdate
+        if (response.nonce != nonce) return;
+        removeListeners();
+        dataFromInteractionSuccess = parent;
+      };
       const handler = data => {
-        // UnhandledPacket
-        if (isHandlerDeferUpdate && data.d?.nonce == nonce && data.t == 'INTERACTION_SUCCESS') {
-          // Interaction#deferUpdate
-          removeListeners();
-          dataFromInteractionSuccess = parent;
-        }
         if (data.nonce !== nonce) return;
         dataFromNormalEvent = data;
         finalize(data);
@@ -1055,7 +1055,7 @@ class Util extends null {
       client.incrementMaxListeners();
       client.on(Events.MESSAGE_CREATE, handler);
       client.on(Events.INTERACTION_MODAL_CREATE, handler);
-      if (isHandlerDeferUpdate) client.on(Events.UNHANDLED_PACKET, handler);
+      if (isHandlerDeferUpdate) client.on(Events.INTERACTION_SUCCESS, successHandler);
     });
   }
 
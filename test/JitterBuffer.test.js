@@ -0,0 +1,103 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { describe, expect, test } = require('bun:test');
+const JitterBuffer = require('../src/client/voice/receiver/JitterBuffer');
+
+function createBuffer(depth = 3) {
+  const released = [];
+  const lost = [];
+  const buffer = new JitterBuffer(
+    { jitterBufferDepth: depth },
+    packet => released.push(packet.header.sequenceNumber),
+    lastPacket => lost.push(lastPacket?.header.sequenceNumber ?? null),
+  );
+  const push = (...sequences) => {
+    for (const sequenceNumber of sequences) buffer.push({ header: { sequenceNumber }, payload: Buffer.from([0xfc]) });
+  };
+  return { buffer, released, lost, push };
+}
+
+describe('JitterBuffer', () => {
+  test('releases the packets received in order right away', () => {
+    const { buffer, released, push } = createBuffer();
+    push(10, 11, 12);
+    expect(released).toEqual([10, 11, 12]);
+    expect(buffer.stats).toEqual({ received: 3, reordered: 0, late: 0, lost: 0, duplicate: 0 });
+    buffer.destroy();
+  });
+
+  test('puts the reordered packets back in order', () => {
+    const { buffer, released, push } = createBuffer();
+    push(10, 12, 11, 13);
+    expect(released).toEqual([10, 11, 12, 13]);
+    expect(buffer.stats.reordered).toBe(1);
+    expect(buffer.stats.lost).toBe(0);
+    buffer.destroy();
+  });
+
+  test('keeps the order across the wrap around of the sequence numbers', () => {
+    const { buffer, released, push } = createBuffer();
+    push(65534, 0, 65535, 1);
+    expect(released).toEqual([65534, 65535, 0, 1]);
+    expect(buffer.stats.reordered).toBe(1);
+    buffer.destroy();
+  });
+
+  test('considers a packet lost once enough packets are waiting for it', () => {
+    const { buffer, released, lost, push } = createBuffer(2);
+    push(1, 3, 4);
+    expect(released).toEqual([1]);
+    push(5);
+    expect(released).toEqual([1, 3, 4, 5]);
+    expect(lost).toEqual([1]);
+    expect(buffer.stats.lost).toBe(1);
+    buffer.destroy();
+  });
+
+  test('drops the duplicate packets', () => {
+    const { buffer, released, push } = createBuffer();
+    push(1, 2, 2, 4, 4, 1);
+    expect(released).toEqual([1, 2]);
+    expect(buffer.stats.duplicate).toBe(3);
+    expect(buffer.stats.received).toBe(3);
+    buffer.destroy();
+  });
+
+  test('drops the packets received after being considered lost', () => {
+    const { buffer, released, push } = createBuffer(1);
+    push(1, 3, 4);
+    expect(released).toEqual([1, 3, 4]);
+    push(2);
+    expect(released).toEqual([1, 3, 4]);
+    expect(buffer.stats.late).toBe(1);
+    expect(buffer.stats.duplicate).toBe(0);
+    buffer.destroy();
+  });
+
+  test('starts over after a large forward jump of the sequence numbers', () => {
+    const { buffer, released, lost, push } = createBuffer();
+    push(100, 101, 20_000, 20_001);
+    expect(released).toEqual([100, 101, 20_000, 20_001]);
+    expect(lost).toEqual([]);
+    buffer.destroy();
+  });
+
+  test('starts over after a large backward jump of the sequence numbers', () => {
+    const { buffer, released, push } = createBuffer();
+    const first = Array.from({ length: 50 }, (_, i) => 10_000 + i);
+    const second = Array.from({ length: 500 }, (_, i) => 2_000 + i);
+    push(...first, ...second);
+    expect(released).toEqual([...first, ...second]);
+    expect(buffer.stats.late).toBe(0);
+    buffer.destroy();
+  });
+
+  test('releases the waiting packets when flushed', () => {
+    const { buffer, released, lost, push } = createBuffer();
+    push(1, 3);
+    buffer.flush();
+    expect(released).toEqual([1, 3]);
+    expect(lost).toEqual([1]);
+  });
+});
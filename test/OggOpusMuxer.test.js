@@ -0,0 +1,163 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { once } = require('node:events');
+const { describe, expect, test } = require('bun:test');
+const OggOpusMuxer = require('../src/client/voice/receiver/OggOpusMuxer');
+
+// A CELT fullband packet of a single 20ms frame, 960 samples
+const FRAME = Buffer.from([0xfc, 0x01, 0x02]);
+
+async function mux(chunks, options) {
+  const muxer = new OggOpusMuxer(options);
+  const output = [];
+  muxer.on('data', page => output.push(page));
+  for (const chunk of chunks) muxer.write(chunk);
+  muxer.end();
+  await once(muxer, 'end');
+  return { muxer, pages: parsePages(Buffer.concat(output)) };
+}
+
+function parsePages(data) {
+  const pages = [];
+  let offset = 0;
+  while (offset < data.length) {
+    expect(data.toString('ascii', offset, offset + 4)).toBe('OggS');
+    const lacing = [...data.subarray(offset + 27, offset + 27 + data[offset + 26])];
+    const length = 27 + lacing.length + lacing.reduce((sum, value) => sum + value, 0);
+    const raw = data.subarray(offset, offset + length);
+
+    const packets = [];
+    let start = 27 + lacing.length;
+    let size = 0;
+    for (const value of lacing) {
+      size += value;
+      if (value === 255) continue;
+      packets.push(raw.subarray(start, start + size));
+      start += size;
+      size = 0;
+    }
+
+    pages.push({
+      raw,
+      headerType: raw[5],
+      granulePosition: Number(raw.readBigInt64LE(6)),
+      serial: raw.readUInt32LE(14),
+      sequence: raw.readUInt32LE(18),
+      crc: raw.readUInt32LE(22),
+      lacing,
+      packets,
+    });
+    offset += length;
+  }
+  return pages;
+}
+
+// The CRC of the Ogg pages, computed bit by bit with the 0x04c11db7 polynomial
+function crc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc ^= byte << 24;
+    for (let i = 0; i < 8; i++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+}
+
+describe('OggOpusMuxer', () => {
+  test('writes the header pages first and marks the first and last pages', async () => {
+    const { muxer, pages } = await mux([FRAME], { channels: 1 });
+    expect(pages).toHaveLength(3);
+
+    const [head, tags, audio] = pages;
+    expect(head.headerType).toBe(0x02);
+    expect(head.granulePosition).toBe(0);
+    expect(head.packets[0].toString('ascii', 0, 8)).toBe('OpusHead');
+    expect(head.packets[0][9]).toBe(1);
+    expect(head.packets[0].readUInt32LE(12)).toBe(48_000);
+
+    expect(tags.headerType).toBe(0);
+    expect(tags.granulePosition).toBe(0);
+    expect(tags.packets[0].toString('ascii', 0, 8)).toBe('OpusTags');
+
+    expect(audio.headerType).toBe(0x04);
+    expect(audio.packets).toEqual([FRAME]);
+
+    expect(pages.map(page => page.sequence)).toEqual([0, 1, 2]);
+    expect(pages.every(page => page.serial === muxer.serial)).toBe(true);
+  });
+
+  test('writes the headers and an empty last page when no packet was written', async () => {
+    const { pages } = await mux([]);
+    expect(pages).toHaveLength(3);
+    expect(pages[2].headerType).toBe(0x04);
+    expect(pages[2].packets).toEqual([]);
+  });
+
+  test('writes the checksum of every page', async () => {
+    const { pages } = await mux([FRAME, FRAME, Buffer.alloc(600, 0xfc)]);
+    for (const page of pages) {
+      const raw = Buffer.from(page.raw);
+      raw.writeUInt32LE(0, 22);
+      expect(page.crc).toBe(crc32(raw));
+    }
+  });
+
+  test('sets the granule position of the pages to the end of their last packet', async () => {
+    const { muxer, pages } = await mux(Array(120).fill(FRAME));
+    const audio = pages.slice(2);
+    // A page is written once it holds a second of audio
+    expect(audio.map(page => page.packets.length)).toEqual([50, 50, 20]);
+    expect(audio.map(page => page.granulePosition)).toEqual([48_000, 96_000, 115_200]);
+    expect(muxer.granulePosition).toBe(115_200);
+  });
+
+  test('counts the samples of the packets from their TOC byte', async () => {
+    const { pages } = await mux([
+      // SILK 10ms, a single frame
+      Buffer.from([0x00, 0x01]),
+      // CELT 20ms, two frames
+      Buffer.from([0xfd, 0x01, 0x02]),
+      // Hybrid 10ms, three frames in a code 3 packet
+      Buffer.from([0x63, 0x03, 0x01]),
+    ]);
+    expect(pages[2].granulePosition).toBe(480 + 1_920 + 1_440);
+  });
+
+  test('keeps the gaps between the timestamps as jumps of the granule position', async () => {
+    const { pages } = await mux([
+      { payload: FRAME, timestamp: 0 },
+      { payload: FRAME, timestamp: 960 },
+      { payload: FRAME, timestamp: 48_000 },
+      { payload: FRAME },
+    ]);
+    const audio = pages.slice(2);
+    expect(audio.map(page => page.packets.length)).toEqual([2, 2]);
+    expect(audio.map(page => page.granulePosition)).toEqual([1_920, 49_920]);
+  });
+
+  test('ignores the timestamps before the end of the previous packet', async () => {
+    const { pages } = await mux([
+      { payload: FRAME, timestamp: 0 },
+      { payload: FRAME, timestamp: 500 },
+    ]);
+    expect(pages.slice(2).map(page => page.granulePosition)).toEqual([1_920]);
+  });
+
+  test('starts a new page before exceeding 255 segments', async () => {
+    // Every packet takes two lacing values
+    const packet = Buffer.alloc(300, 0xfc);
+    const { pages } = await mux(Array(130).fill(packet), { maxPageDuration: Infinity });
+    const audio = pages.slice(2);
+    expect(audio.map(page => page.packets.length)).toEqual([127, 3]);
+    expect(audio.map(page => page.lacing.length)).toEqual([254, 6]);
+    expect(audio[0].lacing.slice(0, 2)).toEqual([255, 45]);
+    expect(audio.map(page => page.granulePosition)).toEqual([127 * 960, 130 * 960]);
+  });
+
+  test('ends the packets whose length is a multiple of 255 with an empty lacing value', async () => {
+    const packet = Buffer.alloc(510, 0xfc);
+    const { pages } = await mux([packet]);
+    expect(pages[2].lacing).toEqual([255, 255, 0]);
+    expect(pages[2].packets).toEqual([packet]);
+  });
+});
@@ -71,7 +71,7 @@ import {
 import { ChildProcess, ChildProcessWithoutNullStreams } from 'node:child_process';
 import { EventEmitter } from 'node:events';
 import { AgentOptions } from 'node:https';
-import { Readable, Writable, Stream } from 'node:stream';
+import { Readable, Writable, Stream, Transform, TransformOptions } from 'node:stream';
 import { MessagePort, Worker } from 'node:worker_threads';
 import { authenticator } from 'otplib';
 import { RtpPacket } from 'werift-rtp';
@@ -167,6 +167,7 @@ import {
   RawReactionEmojiData,
   RawRichPresenceAssets,
   RawRoleData,
+  RawSoundboardSoundData,
   RawStageInstanceData,
   RawStickerData,
   RawStickerPackData,
@@ -585,6 +586,10 @@ export class RESTManager {
   public versioned: true;
   public cookieJar: CookieJar;
   public fetch: typeof globalThis.fetch;
+  public interceptors: RESTInterceptors;
+  public cassette: RESTCassette | null;
+  public use(interceptor: RESTInterceptor): this;
+  public removeInterceptor(interceptor: RESTInterceptor): boolean;
   public getAuth(): string;
   public invalidateSuperProperties(): void;
   public getSuperProperties(userAgent: string): string;
@@ -592,6 +597,67 @@ export class RESTManager {
   public readonly cdn: unknown;
 }
 
+export class RESTInterceptors {
+  private constructor();
+  private stack: RESTInterceptorHooks[];
+  public readonly size: number;
+  public use(interceptor: RESTInterceptor): void;
+  public remove(interceptor: RESTInterceptor): boolean;
+}
+
+export interface RESTInterceptorContext {
+  request: APIRequest;
+  method: APIRequest['method'];
+  path: string;
+  route: string;
+  bucket: string | null;
+  retries: number;
+  captchaKey: string | null;
+  startedAt: number;
+  duration: number | null;
+  [key: string]: unknown;
+}
+
+export interface RESTInterceptorHooks {
+  beforeRequest?: (context: RESTInterceptorContext) => Awaitable<Response | undefined>;
+  afterResponse?: (context: RESTInterceptorContext, data: unknown, response: Response) => unknown;
+  onError?: (context: RESTInterceptorContext, error: Error) => unknown;
+}
+
+export type RESTInterceptor = RESTInterceptorHooks | NonNullable<RESTInterceptorHooks['beforeRequest']>;
+
+export class RESTCassette {
+  private constructor(manager: RESTManager, options: HTTPCassetteOptions);
+  private manager: RESTManager;
+  private played: Set<number>;
+  public mode: HTTPCassetteOptions['mode'];
+  public path: string;
+  public interactions: CassetteInteraction[];
+  public readonly replaying: boolean;
+  public load(): void;
+  public save(): void;
+}
+
+export interface HTTPCassetteOptions {
+  mode: 'record' | 'replay';
+  path: string;
+}
+
+export interface CassetteInteraction {
+  method: string;
+  route: string;
+  path: string;
+  query: Record<string, unknown> | null;
+  body: unknown;
+  response: {
+    status: number;
+    statusText: string;
+    headers: Record<string, string>;
+    body: string | null;
+    encoding: 'utf8' | 'base64';
+  };
+}
+
 export class BaseClient extends EventEmitter {
   public constructor(options?: ClientOptions | WebhookClientOptions);
   public readonly api: RESTManager['api'];
@@ -771,7 +837,7 @@ export class BaseGuildVoiceChannel extends TextBasedChannelMixin(GuildChannel, [
   public rateLimitPerUser: number | null;
   public userLimit: number;
   public videoQualityMode: VideoQualityMode | null;
-  public status?: string;
+  public status: string | null;
   public createInvite(options?: CreateInviteOptions): Promise<Invite>;
   public setRTCRegion(rtcRegion: string | null, reason?: string): Promise<this>;
   public fetchInvites(cache?: boolean): Promise<Collection<string, Invite>>;
@@ -920,6 +986,7 @@ export class Client<Ready extends boolean = boolean> extends BaseClient {
   public voice: ClientVoiceManager;
   public ws: WebSocketManager;
   public notes: UserNoteManager;
+  public readStates: ReadStateManager;
   public relationships: RelationshipManager;
   public voiceStates: VoiceStateManager;
   public sessions: SessionManager;
@@ -937,6 +1004,7 @@ export class Client<Ready extends boolean = boolean> extends BaseClient {
   public fetchSticker(id: Snowflake): Promise<Sticker>;
   public fetchUserWithBot(user: UserResolvable, botToken: string): Promise<User>;
   public fetchPremiumStickerPacks(): Promise<Collection<Snowflake, StickerPack>>;
+  public fetchDefaultSoundboardSounds(): Promise<Collection<Snowflake, SoundboardSound>>;
   public fetchWebhook(id: Snowflake, token?: string): Promise<Webhook>;
   public fetchGuildWidget(guild: GuildResolvable): Promise<Widget>;
   public refreshAttachmentURL(...urls: string[]): Promise<{ original: string; refreshed: string }[]>;
@@ -1128,6 +1196,7 @@ export interface JoinChannelConfig {
   selfDeaf?: boolean;
   selfVideo?: boolean;
   videoCodec?: VideoCodec;
+  daveEncryption?: boolean;
 }
 
 export type VideoCodec = 'VP8' | 'H264';
@@ -1190,6 +1259,7 @@ export class BaseDispatcher extends Writable {
   public timestamp: number;
   public payloadType: number;
   public extensionEnabled: boolean;
+  public codec: string | null;
 
   public pause(silence?: boolean): void;
   public resume(): void;
@@ -1243,6 +1313,7 @@ export class VoiceConnection extends EventEmitter {
   constructor(voiceManager: ClientVoiceManager, channel: VoiceChannel);
   private authentication: object;
   private sockets: object;
+  private dave: object | null;
   private ssrcMap: Map<number, boolean>;
   private _speaking: Map<Snowflake, Readonly<Speaking>>;
   private _disconnect(): void;
@@ -1251,6 +1322,7 @@ export class VoiceConnection extends EventEmitter {
   private checkAuthenticated(): void;
   private cleanup(): void;
   private connect(): void;
+  private createDAVESession(protocolVersion: number): void;
   private onReady(data: object): void;
   private onSessionDescription(mode: string, secret: string): void;
   private onSpeaking(data: object): void;
@@ -1278,6 +1350,8 @@ export class VoiceConnection extends EventEmitter {
   public readonly voice: VoiceState | null;
   public voiceManager: ClientVoiceManager;
   public videoCodec: VideoCodec;
+  public daveEncryption: boolean;
+  public readonly voicePrivacyCode: string | null;
   public streamConnection: StreamConnection | null;
   public streamWatchConnection: Collection<Snowflake, StreamConnectionReadonly>;
   public disconnect(): void;
@@ -1286,6 +1360,7 @@ export class VoiceConnection extends EventEmitter {
   public setSpeaking(value: BitFieldResolvable<SpeakingString, number>): void;
   public setVideoStatus(value: boolean): void;
   public setVideoCodec(value: VideoCodec): this;
+  public getVerificationCode(user: UserResolvable): Promise<string | null>;
 
   public on(event: 'authenticated' | 'closing' | 'newSession' | 'ready' | 'reconnecting', listener: () => void): this;
   public on(event: 'debug', listener: (message: string) => void): this;
@@ -1307,6 +1382,14 @@ export class VoiceConnection extends EventEmitter {
   public joinStreamConnection(user: UserResolvable): Promise<StreamConnectionReadonly>;
 }
 
+export interface VoiceReceiverStats {
+  received: number;
+  reordered: number;
+  late: number;
+  lost: number;
+  duplicate: number;
+}
+
 export interface StreamState {
   isPaused: boolean;
   region: string | null;
@@ -1362,12 +1445,95 @@ export class Recorder<Ready extends boolean = boolean, T = any> extends EventEmi
   public destroy(): void;
 }
 
+export interface OggOpusPacket {
+  payload: Buffer;
+  timestamp?: number;
+}
+
+export class OggOpusMuxer extends Transform {
+  constructor(options?: TransformOptions & { channels?: number; maxPageDuration?: number });
+  private _pageSequence: number;
+  private _writeHeaders(): void;
+  private _writePage(end?: boolean): void;
+  public channels: number;
+  public maxPageDuration: number;
+  public serial: number;
+  public granulePosition: number;
+  public write(chunk: OggOpusPacket | Buffer, callback?: (error: Error | null | undefined) => void): boolean;
+  public write(
+    chunk: OggOpusPacket | Buffer,
+    encoding: BufferEncoding,
+    callback?: (error: Error | null | undefined) => void
+  ): boolean;
+}
+
+export type MixedAudioFormat = 'pcm' | 'wav';
+
+export class MixedAudioStream extends Readable {
+  private constructor(receiver: VoiceReceiver, options?: { users?: Set<Snowflake> | null; format?: MixedAudioFormat });
+  private _samples: Int32Array;
+  private _speakers: Map<Snowflake, object>;
+  private _now(): number;
+  private _pushFrames(until: number): void;
+  public readonly receiver: VoiceReceiver;
+  public users: Set<Snowflake> | null;
+  public format: MixedAudioFormat;
+  public startedAt: number;
+  public position: number;
+  public stop(): void;
+}
+
+export interface MixedStreamOptions {
+  users?: UserResolvable[];
+  format?: MixedAudioFormat;
+}
+
+export interface SpeakingSegment {
+  userId: Snowflake;
+  start: number;
+  end: number;
+}
+
+export class SpeakingTimeline {
+  private constructor(receiver: VoiceReceiver);
+  private _speakers: Map<Snowflake, object>;
+  private _sortedSegments(): SpeakingSegment[];
+  private _getName(userId: Snowflake): string;
+  public readonly receiver: VoiceReceiver;
+  public startedAt: Date;
+  public segments: SpeakingSegment[];
+  public recording: boolean;
+  public readonly duration: number;
+  public readonly speaking: Snowflake[];
+  public readonly talkTime: Collection<Snowflake, number>;
+  public getTalkTime(user: UserResolvable): number;
+  public stop(): void;
+  public toJSON(): { startedAt: number; duration: number; segments: SpeakingSegment[]; talkTime: Record<Snowflake, number> };
+  public toSRT(): string;
+  public toRTTM(file?: string): string;
+}
+
+export interface RecordOptions {
+  format?: 'ogg';
+  output?: Writable | string;
+}
+
 export class VoiceReceiver extends EventEmitter {
   constructor(connection: VoiceConnection);
+  public jitterBufferDepth: number;
   public createStream(
     user: UserResolvable,
-    options?: { mode?: 'opus' | 'pcm'; end?: 'silence' | 'manual'; paddingSilence?: boolean }
+    options?: {
+      mode?: 'opus' | 'pcm';
+      end?: 'silence' | 'manual';
+      paddingSilence?: boolean;
+      concealment?: 'plc' | 'silence' | 'none';
+    }
   ): Readable;
+  public getStats(user: UserResolvable): VoiceReceiverStats | null;
+  public record(user: UserResolvable, options?: RecordOptions): OggOpusMuxer;
+  public createMixedStream(options?: MixedStreamOptions): MixedAudioStream;
+  public createSpeakingTimeline(): SpeakingTimeline;
   public createVideoStream(user: UserResolvable, output: Writable | string): Recorder<false, any>;
 
   public on(event: 'debug', listener: (error: Error | string) => void): this;
@@ -1703,11 +1869,15 @@ export class Guild extends AnonymousGuild {
   public safetyAlertsChannelId: Snowflake | null;
   public scheduledEvents: GuildScheduledEventManager;
   public settings: GuildSettingManager;
+  public memberList: GuildMemberListManager;
+  public subscriptions: GuildSubscriptionOptions | null;
+  public readonly unreadChannels: Collection<Snowflake, GuildTextBasedChannel>;
   public profile: GuildProfile;
   public readonly shard: WebSocketShard;
   public shardId: number;
   public stageInstances: StageInstanceManager;
   public stickers: GuildStickerManager;
+  public soundboardSounds: GuildSoundboardSoundManager;
   public incidentsData: IncidentActions | null;
   public readonly systemChannel: TextChannel | null;
   public systemChannelFlags: Readonly<SystemChannelFlags>;
@@ -1787,6 +1957,16 @@ export class Guild extends AnonymousGuild {
   public unmute(): Promise<any>;
   public markRead(readStates?: MarkReadOptions[]): Promise<any>;
   public search(options?: GuildSearchOptions): Promise<any>;
+  public fetchLastMessages(
+    channels?: Collection<Snowflake, GuildBasedChannel> | readonly GuildChannelResolvable[],
+    options?: FetchLastMessagesOptions
+  ): Promise<Collection<Snowflake, Message<true>>>;
+  public reconcileCache(timeout?: number): Promise<GuildReconciledEntities>;
+  public setSubscriptions(options: GuildSubscriptionOptions | null): this;
+  private _requestDeletedEntityIds(): void;
+  private _resolveSubscriptions(): GuildSubscriptionOptions | null;
+  private _subscriptionPayload(options?: GuildSubscriptionOptions | null): unknown;
+  private _sendSubscriptions(options?: GuildSubscriptionOptions | null): void;
 }
 
 export class GuildAuditLogs<T extends GuildAuditLogsResolvable = 'ALL'> {
@@ -1968,6 +2148,34 @@ export class GuildMemberFlags extends BitField<GuildMemberFlagsString> {
   public static resolve(bit?: BitFieldResolvable<GuildMemberFlagsString, number>): number;
 }
 
+export class GuildMemberList extends Base {
+  private constructor(guild: Guild, id: string);
+  public guild: Guild;
+  public id: string;
+  public memberCount: number;
+  public onlineCount: number;
+  public groups: GuildMemberListGroup[];
+  public items: GuildMemberListItem[];
+  public readonly members: Collection<Snowflake, GuildMember>;
+}
+
+export interface GuildMemberListGroup {
+  id: string;
+  count: number;
+}
+
+export type GuildMemberListItem =
+  | { type: 'GROUP'; group: GuildMemberListGroup; member: null }
+  | { type: 'MEMBER'; group: null; member: GuildMember };
+
+export interface GuildMemberListOperation {
+  type: 'SYNC' | 'INSERT' | 'UPDATE' | 'DELETE' | 'INVALIDATE';
+  index: number | null;
+  range: GuildMemberListRange | null;
+}
+
+export type GuildMemberListRange = [start: number, end: number];
+
 export class GuildPreview extends Base {
   private constructor(client: Client, data: RawGuildPreviewData);
   public approximateMemberCount: number;
@@ -2110,6 +2318,30 @@ export class RateLimitError extends Error {
   public name: 'RateLimitError';
 }
 
+export abstract class RateLimitStore {
+  public getBucket(hash: string): RateLimitBucketState | null;
+  public setBucket(hash: string, state: RateLimitBucketState): void;
+  public getRouteBucket(routeKey: string): string | null;
+  public setRouteBucket(routeKey: string, hash: string): void;
+  public getGlobal(): RateLimitGlobalState | null;
+  public setGlobal(state: RateLimitGlobalState): void;
+  public sweep(now?: number): void;
+}
+
+export class MemoryRateLimitStore extends RateLimitStore {
+  public constructor();
+  public buckets: Map<string, RateLimitBucketState>;
+  public routes: Map<string, string>;
+  public global: RateLimitGlobalState | null;
+}
+
+export class SQLiteRateLimitStore extends RateLimitStore {
+  public constructor(options?: SQLiteRateLimitStoreOptions | string);
+  private db: unknown;
+  public namespace: string;
+  public close(): void;
+}
+
 export class Integration extends Base {
   private constructor(client: Client, data: RawIntegrationData, guild: Guild);
   public account: IntegrationAccount;
@@ -2750,8 +2982,40 @@ export class SessionManager extends CachedManager<string, Session, any> {
   private constructor(client: Client, iterable: Iterable<any>);
   public currentSessionIdHash: string | null;
   public readonly currentSession: Session | null;
+  public gatewaySessions: Collection<string, GatewaySession>;
+  public effectivePresence: Presence | null;
   public fetch(): Promise<Collection<string, Session>>;
   public logoutAllDevices(): Promise<void>;
+  public sendRemoteCommand(session: GatewaySession | string, payload: { type: string; [key: string]: unknown }): void;
+  public remoteJoinVoiceChannel(
+    session: GatewaySession | string,
+    channel: VoiceBasedChannel | DMChannel | GroupDMChannel | Snowflake,
+    options?: { selfMute?: boolean; selfDeaf?: boolean }
+  ): void;
+  public remoteDisconnect(session: GatewaySession | string): void;
+  public remoteSetVoiceState(session: GatewaySession | string, state: { selfMute?: boolean; selfDeaf?: boolean }): void;
+  public remoteSetUserVolume(
+    session: GatewaySession | string,
+    user: UserResolvable,
+    settings: { volume?: number; muted?: boolean; context?: 'default' | 'stream' }
+  ): void;
+  private _handleRemoteCommand(data: unknown): void;
+  private _runRemoteCommand(command: RemoteCommand): void;
+}
+
+export type RemoteCommandType = 'VOICE_CHANNEL_SELECT' | 'DISCONNECT' | 'VOICE_STATE_UPDATE' | 'AUDIO_SETTINGS_UPDATE';
+
+export interface RemoteCommand {
+  type: RemoteCommandType | string;
+  guildId?: Snowflake | null;
+  channelId?: Snowflake | null;
+  selfMute?: boolean;
+  selfDeaf?: boolean;
+  userId?: Snowflake;
+  context?: string;
+  volume?: number;
+  muted?: boolean;
+  raw: Record<string, unknown>;
 }
 
 export class BillingManager extends BaseManager {
@@ -2813,6 +3077,23 @@ export class Session extends Base {
   public logout(): Promise<void>;
 }
 
+export class GatewaySession extends Base {
+  private constructor(client: Client, data: unknown);
+  public id: string;
+  public clientInfo: GatewaySessionClientInfo;
+  public active: boolean;
+  public presence: Presence;
+  public readonly status: PresenceStatus;
+  public readonly activities: (CustomStatus | RichPresence | SpotifyRPC)[];
+  public readonly current: boolean;
+}
+
+export interface GatewaySessionClientInfo {
+  client: string;
+  os: string;
+  version: number;
+}
+
 export interface SessionClientInfo {
   location?: string;
   platform?: string;
@@ -3220,6 +3501,17 @@ export class ReactionEmoji extends Emoji {
   public toJSON(): unknown;
 }
 
+export class ReadState extends Base {
+  private constructor(client: Client, data: unknown);
+  public id: Snowflake;
+  public lastMessageId: Snowflake | null;
+  public mentionCount: number;
+  public lastPinTimestamp: number | null;
+  public flags: number;
+  public readonly channel: TextBasedChannel | null;
+  public readonly unread: boolean;
+}
+
 export class RichPresenceAssets {
   private constructor(activity: Activity, assets: RawRichPresenceAssets);
   public readonly activity: Activity;
@@ -3585,6 +3877,25 @@ export class Sticker extends Base {
   public equals(other: Sticker | unknown): boolean;
 }
 
+export class SoundboardSound extends Base {
+  private constructor(client: Client, data: RawSoundboardSoundData);
+  private _emojiId: Snowflake | null;
+  private _emojiName: string | null;
+  public available: boolean;
+  public readonly emoji: Emoji | null;
+  public readonly guild: Guild | null;
+  public guildId: Snowflake | null;
+  public readonly id: Snowflake;
+  public name: string;
+  public soundId: Snowflake;
+  public user: User | null;
+  public readonly url: string;
+  public volume: number;
+  public edit(data?: GuildSoundboardSoundEditData, reason?: string): Promise<SoundboardSound>;
+  public delete(reason?: string): Promise<SoundboardSound>;
+  public equals(other: SoundboardSound | RawSoundboardSoundData): boolean;
+}
+
 export class StickerPack extends Base {
   private constructor(client: Client, data: RawStickerPackData);
   public readonly createdTimestamp: number;
@@ -3737,6 +4048,9 @@ export abstract class ThreadOnlyChannel extends TextBasedChannelMixin(GuildChann
   'send',
   'lastMessage',
   'lastPinAt',
+  'lastReadMessageId',
+  'mentionCount',
+  'unread',
   'sendTyping',
   'createMessageCollector',
   'awaitMessages',
@@ -4429,6 +4743,7 @@ export class VoiceChannel extends BaseGuildVoiceChannel {
   public readonly editable: boolean;
   public readonly speakable: boolean;
   public type: 'GUILD_VOICE';
+  public sendSoundboardSound(sound: SoundboardSound | Snowflake): Promise<void>;
 }
 
 export class VoiceChannelEffect {
@@ -4531,6 +4846,8 @@ export class WebSocketManager extends EventEmitter {
   private totalShards: number | string;
   private shardQueue: Set<WebSocketShard>;
   private packetQueue: unknown[];
+  private handlers: Record<string, (client: Client, packet: unknown, shard: WebSocketShard) => void>;
+  private registeredHandlers: Map<string, DispatchHandler[]>;
   private destroyed: boolean;
   private reconnecting: boolean;
 
@@ -4548,12 +4865,54 @@ export class WebSocketManager extends EventEmitter {
   private createShards(): Promise<void>;
   private reconnect(): Promise<void>;
   public broadcast(packet: unknown): void;
+  public record(options: GatewayRecorderOptions): GatewayRecorder;
+  public stats(): WebSocketManagerStats;
+  public registerHandler(eventName: string, handler: DispatchHandler): () => void;
+  public replay(path: string, options?: { speed?: number }): Promise<number>;
   private destroy(): void;
   private handlePacket(packet?: unknown, shard?: WebSocketShard): boolean;
+  private _composeHandler(eventName: string): void;
+  private _emitUnhandledPacket(packet: unknown, shard: WebSocketShard): void;
   private checkShardsReady(): void;
   private triggerClientReady(): void;
 }
 
+export class GatewayRecorder {
+  private constructor(client: Client, options: GatewayRecorderOptions);
+  private stream: unknown | null;
+  private redact: GatewayRecorderOptions['redact'] | null;
+  private record(packet: unknown, shardId: number): void;
+  public static DEFAULT_REDACTED_KEYS: string[];
+  public readonly client: Client;
+  public path: string;
+  public redactKeys: Set<string>;
+  public redactTokens: boolean;
+  public count: number;
+  public readonly recording: boolean;
+  public start(): this;
+  public stop(): Promise<void>;
+}
+
+export type DispatchHandler = (
+  client: Client,
+  packet: { t: string; d: any },
+  shard: WebSocketShard,
+  next: () => void
+) => void;
+
+export interface GatewayRecorderOptions {
+  path: string;
+  redactKeys?: string[];
+  redactTokens?: boolean;
+  redact?: (packet: unknown, shardId: number) => unknown;
+}
+
+export interface RecordedGatewayPacket {
+  time: number;
+  shard: number;
+  packet: { op: number; d?: unknown; s?: number | null; t?: string | null };
+}
+
 export interface WebSocketShardEvents {
   ready: [];
   resumed: [];
@@ -4579,6 +4938,11 @@ export class WebSocketShard extends EventEmitter {
   private readyTimeout: NodeJS.Timeout | null;
   private closeEmitted: boolean;
   private wsCloseTimeout: NodeJS.Timeout | null;
+  private sessionRestored: boolean;
+  private replaying: boolean;
+  private _pendingSessionRestore: boolean;
+  private health: { missedAcks: number; toJSON(): ShardHealthStats };
+  private _sessionSaveImmediate: NodeJS.Immediate | null;
 
   public manager: WebSocketManager;
   public id: number;
@@ -4597,10 +4961,23 @@ export class WebSocketShard extends EventEmitter {
   private setWsCloseTimeout(time?: number): void;
   private setHeartbeatTimer(time: number): void;
   private sendHeartbeat(): void;
-  private ackHeartbeat(): void;
+  private onWorkerHeartbeat(tag: string, acked: boolean): void;
+  private ackHeartbeat(latency?: number): void;
+  private onMissedHeartbeatAck(tag: string, ignoreHeartbeatAck: boolean): boolean;
+  private emitHealth(reason?: ShardHealthReason | null): void;
   private identify(): void;
   private identifyNew(): void;
   private identifyResume(): void;
+  private restoreSession(): Promise<void>;
+  private saveSession(): void;
+  private _scheduleSessionSave(): void;
+  private _emitSessionRestore(resumed: boolean): boolean;
+  private _readyFromRestoredSession(): Promise<void>;
+  private onPayload(raw: string | Buffer | Uint8Array): void;
+  private onUnpacked(packet: unknown): void;
+  private onDecompressionError(error: Error): void;
+  private getTransportCompression(): GatewayTransportCompression | null;
+  private _closeDecompressor(): void;
   private _send(data: unknown): void;
   private processQueue(): void;
   private destroy(destroyOptions?: { closeCode?: number; reset?: boolean; emit?: boolean; log?: boolean }): void;
@@ -5189,6 +5566,7 @@ export class GuildChannelManager extends CachedManager<Snowflake, GuildBasedChan
     id?: undefined,
     options?: BaseFetchOptions
   ): Promise<Collection<Snowflake, NonThreadGuildBasedChannel | null>>;
+  public fetchVoiceStatuses(timeout?: number): Promise<Collection<Snowflake, string>>;
   public fetchWebhooks(channel: GuildChannelResolvable): Promise<Collection<Snowflake, Webhook>>;
   public setPosition(
     channel: GuildChannelResolvable,
@@ -5232,6 +5610,10 @@ export class GuildManager extends CachedManager<Snowflake, Guild, GuildResolvabl
   public create(name: string, options?: GuildCreateOptions): Promise<Guild>;
   public fetch(options: Snowflake | FetchGuildOptions): Promise<Guild>;
   public fetch(options?: FetchGuildsOptions): Promise<Collection<Snowflake, OAuth2Guild>>;
+  public fetchSoundboardSounds(
+    guilds: readonly GuildResolvable[],
+    timeout?: number
+  ): Promise<Collection<Snowflake, Collection<Snowflake, SoundboardSound>>>;
   public setIncidentActions(
     guild: GuildResolvable,
     incidentActions: IncidentActionsEditOptions
@@ -5243,6 +5625,17 @@ export class GuildManager extends CachedManager<Snowflake, Guild, GuildResolvabl
   ): Promise<void>;
 }
 
+export class GuildMemberListManager extends BaseManager {
+  private constructor(guild: Guild);
+  public guild: Guild;
+  public cache: Collection<string, GuildMemberList>;
+  public subscriptions: Collection<Snowflake, GuildMemberListRange[]>;
+  public resolveListId(channel: GuildChannelResolvable): string;
+  public forChannel(channel: GuildChannelResolvable): GuildMemberList | null;
+  public subscribe(channel: GuildChannelResolvable, ranges?: GuildMemberListRange[]): Promise<GuildMemberList>;
+  public unsubscribe(channel: GuildChannelResolvable): boolean;
+}
+
 export class GuildMemberManager extends CachedManager<Snowflake, GuildMember, GuildMemberResolvable> {
   private constructor(guild: Guild, iterable?: Iterable<RawGuildMemberData>);
   public guild: Guild;
@@ -5324,6 +5717,24 @@ export class GuildScheduledEventManager extends CachedManager<
   ): Promise<GuildScheduledEventManagerFetchSubscribersResult<T>>;
 }
 
+export class GuildSoundboardSoundManager extends CachedManager<
+  Snowflake,
+  SoundboardSound,
+  SoundboardSoundResolvable
+> {
+  private constructor(guild: Guild, iterable?: Iterable<RawSoundboardSoundData>);
+  public guild: Guild;
+  public create(options: GuildSoundboardSoundCreateOptions): Promise<SoundboardSound>;
+  public edit(
+    sound: SoundboardSoundResolvable,
+    data?: GuildSoundboardSoundEditData,
+    reason?: string
+  ): Promise<SoundboardSound>;
+  public delete(sound: SoundboardSoundResolvable, reason?: string): Promise<void>;
+  public fetch(id: Snowflake, options?: BaseFetchOptions): Promise<SoundboardSound>;
+  public fetch(id?: Snowflake, options?: BaseFetchOptions): Promise<Collection<Snowflake, SoundboardSound>>;
+}
+
 export class GuildStickerManager extends CachedManager<Snowflake, Sticker, StickerResolvable> {
   private constructor(guild: Guild, iterable?: Iterable<RawStickerData>);
   public guild: Guild;
@@ -5451,6 +5862,12 @@ export class ReactionUserManager extends CachedManager<Snowflake, User, UserReso
   public remove(user?: UserResolvable): Promise<MessageReaction>;
 }
 
+export class ReadStateManager extends BaseManager {
+  private constructor(client: Client);
+  public cache: Collection<Snowflake, ReadState>;
+  public isUnread(channel: TextBasedChannelResolvable): boolean;
+}
+
 export class RoleManager extends CachedManager<Snowflake, Role, RoleResolvable> {
   private constructor(guild: Guild, iterable?: Iterable<RawRoleData>);
   public readonly everyone: Role;
@@ -5567,6 +5984,9 @@ export interface TextBasedChannelFields extends PartialTextBasedChannelFields {
   readonly lastMessage: Message | null;
   lastPinTimestamp: number | null;
   readonly lastPinAt: Date | null;
+  readonly lastReadMessageId: Snowflake | null;
+  readonly mentionCount: number;
+  readonly unread: boolean;
   messages: MessageManager;
   awaitMessages(options?: AwaitMessagesOptions): Promise<Collection<Snowflake, Message>>;
   createMessageCollector(options?: MessageCollectorOptions): MessageCollector;
@@ -6454,6 +6874,7 @@ export interface ClientEvents extends BaseClientEvents {
     data: { count: number; index: number; nonce: string | undefined; notFound: unknown[] }
   ];
   guildMemberUpdate: [oldMember: GuildMember | PartialGuildMember, newMember: GuildMember];
+  memberListUpdate: [memberList: GuildMemberList, operations: GuildMemberListOperation[]];
   guildUpdate: [oldGuild: Guild, newGuild: Guild];
   inviteCreate: [invite: Invite];
   inviteDelete: [invite: Invite];
@@ -6480,6 +6901,7 @@ export interface ClientEvents extends BaseClientEvents {
   messageUpdate: [oldMessage: Message | PartialMessage, newMessage: Message | PartialMessage];
   presenceUpdate: [oldPresence: Presence | null, newPresence: Presence];
   ready: [client: Client<true>];
+  supplementalReady: [shardId: number];
   invalidated: [];
   roleCreate: [role: Role];
   roleDelete: [role: Role];
@@ -6496,6 +6918,17 @@ export interface ClientEvents extends BaseClientEvents {
   typingStart: [typing: Typing];
   userUpdate: [oldUser: User | PartialUser, newUser: User];
   voiceChannelEffectSend: [voiceChannelEffect: VoiceChannelEffect];
+  sessionsUpdate: [added: Collection<string, GatewaySession>, removed: Collection<string, GatewaySession>];
+  lastMessages: [guild: Guild, messages: Collection<Snowflake, Message>];
+  channelStatuses: [guild: Guild, statuses: Collection<Snowflake, string>];
+  remoteCommand: [command: RemoteCommand, origin: GatewaySession | null];
+  guildCacheReconcile: [guild: Guild, removed: GuildReconciledEntities];
+  interactionSuccess: [response: InteractionResponse];
+  interactionFailure: [response: InteractionResponse];
+  applicationCommandAutocompleteResponse: [choices: ApplicationCommandOptionChoiceData[], nonce: string];
+  recentMentionDelete: [messageId: Snowflake];
+  userConnectionsUpdate: [];
+  userSettingsProtoUpdate: [type: number, proto: string, partial: boolean];
   voiceStateUpdate: [oldState: VoiceState, newState: VoiceState];
   webhookUpdate: [channel: TextChannel | NewsChannel | VoiceChannel | ForumChannel | MediaChannel | StageChannel];
   shardDisconnect: [closeEvent: CloseEvent, shardId: number];
@@ -6503,12 +6936,18 @@ export interface ClientEvents extends BaseClientEvents {
   shardReady: [shardId: number, unavailableGuilds: Set<Snowflake> | undefined];
   shardReconnecting: [shardId: number];
   shardResume: [shardId: number, replayedEvents: number];
+  shardSessionRestore: [shardId: number, resumed: boolean];
+  shardHealth: [shardId: number, stats: ShardHealthStats, reason: ShardHealthReason | null];
   stageInstanceCreate: [stageInstance: StageInstance];
   stageInstanceUpdate: [oldStageInstance: StageInstance | null, newStageInstance: StageInstance];
   stageInstanceDelete: [stageInstance: StageInstance];
   stickerCreate: [sticker: Sticker];
   stickerDelete: [sticker: Sticker];
   stickerUpdate: [oldSticker: Sticker, newSticker: Sticker];
+  guildSoundboardSoundCreate: [sound: SoundboardSound];
+  guildSoundboardSoundDelete: [sound: SoundboardSound];
+  guildSoundboardSoundUpdate: [oldSound: SoundboardSound, newSound: SoundboardSound];
+  soundboardSounds: [guild: Guild, sounds: Collection<Snowflake, SoundboardSound>];
   guildScheduledEventCreate: [guildScheduledEvent: GuildScheduledEvent];
   guildScheduledEventUpdate: [
     oldGuildScheduledEvent: GuildScheduledEvent | PartialGuildScheduledEvent | null,
@@ -6571,6 +7010,7 @@ export interface ClientOptions {
   restSweepInterval?: number;
   retryLimit?: number;
   failIfNotExists?: boolean;
+  handleRemoteCommands?: boolean;
   presence?: PresenceData;
   waitGuildTimeout?: number;
   sweepers?: SweeperOptions;
@@ -6743,6 +7183,7 @@ export interface ConstantsEvents {
   API_RESPONSE: 'apiResponse';
   API_REQUEST: 'apiRequest';
   CLIENT_READY: 'ready';
+  SUPPLEMENTAL_READY: 'supplementalReady';
   /** @deprecated See [this issue](https://github.com/discord/discord-api-docs/issues/3690) for more information. */
   APPLICATION_COMMAND_CREATE: 'applicationCommandCreate';
   /** @deprecated See [this issue](https://github.com/discord/discord-api-docs/issues/3690) for more information. */
@@ -6768,6 +7209,7 @@ export interface ConstantsEvents {
   GUILD_MEMBER_UPDATE: 'guildMemberUpdate';
   GUILD_MEMBER_AVAILABLE: 'guildMemberAvailable';
   GUILD_MEMBERS_CHUNK: 'guildMembersChunk';
+  GUILD_MEMBER_LIST_UPDATE: 'memberListUpdate';
   GUILD_INTEGRATIONS_UPDATE: 'guildIntegrationsUpdate';
   GUILD_ROLE_CREATE: 'roleCreate';
   GUILD_ROLE_DELETE: 'roleDelete';
@@ -6800,6 +7242,17 @@ export interface ConstantsEvents {
   USER_UPDATE: 'userUpdate';
   PRESENCE_UPDATE: 'presenceUpdate';
   VOICE_CHANNEL_EFFECT_SEND: 'voiceChannelEffectSend';
+  SESSIONS_UPDATE: 'sessionsUpdate';
+  LAST_MESSAGES: 'lastMessages';
+  CHANNEL_STATUSES: 'channelStatuses';
+  REMOTE_COMMAND: 'remoteCommand';
+  GUILD_CACHE_RECONCILE: 'guildCacheReconcile';
+  INTERACTION_SUCCESS: 'interactionSuccess';
+  INTERACTION_FAILURE: 'interactionFailure';
+  APPLICATION_COMMAND_AUTOCOMPLETE_RESPONSE: 'applicationCommandAutocompleteResponse';
+  RECENT_MENTION_DELETE: 'recentMentionDelete';
+  USER_CONNECTIONS_UPDATE: 'userConnectionsUpdate';
+  USER_SETTINGS_PROTO_UPDATE: 'userSettingsProtoUpdate';
   VOICE_SERVER_UPDATE: 'voiceServerUpdate';
   VOICE_STATE_UPDATE: 'voiceStateUpdate';
   TYPING_START: 'typingStart';
@@ -6813,6 +7266,8 @@ export interface ConstantsEvents {
   SHARD_RECONNECTING: 'shardReconnecting';
   SHARD_READY: 'shardReady';
   SHARD_RESUME: 'shardResume';
+  SHARD_SESSION_RESTORE: 'shardSessionRestore';
+  SHARD_HEALTH: 'shardHealth';
   INVALIDATED: 'invalidated';
   RAW: 'raw';
   STAGE_INSTANCE_CREATE: 'stageInstanceCreate';
@@ -6821,6 +7276,10 @@ export interface ConstantsEvents {
   GUILD_STICKER_CREATE: 'stickerCreate';
   GUILD_STICKER_DELETE: 'stickerDelete';
   GUILD_STICKER_UPDATE: 'stickerUpdate';
+  GUILD_SOUNDBOARD_SOUND_CREATE: 'guildSoundboardSoundCreate';
+  GUILD_SOUNDBOARD_SOUND_UPDATE: 'guildSoundboardSoundUpdate';
+  GUILD_SOUNDBOARD_SOUND_DELETE: 'guildSoundboardSoundDelete';
+  SOUNDBOARD_SOUNDS: 'soundboardSounds';
   GUILD_SCHEDULED_EVENT_CREATE: 'guildScheduledEventCreate';
   GUILD_SCHEDULED_EVENT_UPDATE: 'guildScheduledEventUpdate';
   GUILD_SCHEDULED_EVENT_DELETE: 'guildScheduledEventDelete';
@@ -6863,6 +7322,17 @@ export interface ConstantsVoiceOpcodes {
   CLIENT_FLAGS: 18;
   SPEED_TEST: 19;
   CLIENT_PLATFORM: 20;
+  DAVE_PREPARE_TRANSITION: 21;
+  DAVE_EXECUTE_TRANSITION: 22;
+  DAVE_TRANSITION_READY: 23;
+  DAVE_PREPARE_EPOCH: 24;
+  DAVE_MLS_EXTERNAL_SENDER: 25;
+  DAVE_MLS_KEY_PACKAGE: 26;
+  DAVE_MLS_PROPOSALS: 27;
+  DAVE_MLS_COMMIT_WELCOME: 28;
+  DAVE_MLS_ANNOUNCE_COMMIT_TRANSITION: 29;
+  DAVE_MLS_WELCOME: 30;
+  DAVE_MLS_INVALID_COMMIT_WELCOME: 31;
 }
 
 export interface ConstantsOpcodes {
@@ -7072,6 +7542,17 @@ export interface FetchedThreads {
   hasMore?: boolean;
 }
 
+export interface GuildReconciledEntities {
+  channels: Collection<Snowflake, NonThreadGuildBasedChannel>;
+  roles: Collection<Snowflake, Role>;
+  emojis: Collection<Snowflake, GuildEmoji>;
+  stickers: Collection<Snowflake, Sticker>;
+}
+
+export interface FetchLastMessagesOptions {
+  timeout?: number;
+}
+
 export interface FetchGuildOptions extends BaseFetchOptions {
   guild: GuildResolvable;
   withCounts?: boolean;
@@ -7213,6 +7694,9 @@ interface GuildAuditLogsTypes {
   THREAD_UPDATE: ['THREAD', 'UPDATE'];
   THREAD_DELETE: ['THREAD', 'DELETE'];
   APPLICATION_COMMAND_PERMISSION_UPDATE: ['APPLICATION_COMMAND_PERMISSION', 'UPDATE'];
+  SOUNDBOARD_SOUND_CREATE: ['SOUNDBOARD_SOUND', 'CREATE'];
+  SOUNDBOARD_SOUND_UPDATE: ['SOUNDBOARD_SOUND', 'UPDATE'];
+  SOUNDBOARD_SOUND_DELETE: ['SOUNDBOARD_SOUND', 'DELETE'];
   AUTO_MODERATION_RULE_CREATE: ['AUTO_MODERATION', 'CREATE'];
   AUTO_MODERATION_RULE_UPDATE: ['AUTO_MODERATION', 'UPDATE'];
   AUTO_MODERATION_RULE_DELETE: ['AUTO_MODERATION', 'DELETE'];
@@ -7270,6 +7754,9 @@ export interface GuildAuditLogsIds {
   111: 'THREAD_UPDATE';
   112: 'THREAD_DELETE';
   121: 'APPLICATION_COMMAND_PERMISSION_UPDATE';
+  130: 'SOUNDBOARD_SOUND_CREATE';
+  131: 'SOUNDBOARD_SOUND_UPDATE';
+  132: 'SOUNDBOARD_SOUND_DELETE';
   140: 'AUTO_MODERATION_RULE_CREATE';
   141: 'AUTO_MODERATION_RULE_UPDATE';
   142: 'AUTO_MODERATION_RULE_DELETE';
@@ -7344,6 +7831,7 @@ export interface GuildAuditLogsEntryTargetField<TActionType extends GuildAuditLo
   GUILD_SCHEDULED_EVENT: GuildScheduledEvent;
   APPLICATION_COMMAND: ApplicationCommand | { id: Snowflake };
   AUTO_MODERATION: AutoModerationRule;
+  SOUNDBOARD_SOUND: SoundboardSound;
 }
 
 export interface GuildAuditLogsFetchOptions<T extends GuildAuditLogsResolvable> {
@@ -7445,6 +7933,22 @@ export interface GuildEmojiEditData {
   roles?: Collection<Snowflake, Role> | RoleResolvable[];
 }
 
+export interface GuildSoundboardSoundCreateOptions {
+  file: BufferResolvable;
+  name: string;
+  volume?: number;
+  emojiId?: Snowflake | null;
+  emojiName?: string | null;
+  reason?: string;
+}
+
+export interface GuildSoundboardSoundEditData {
+  name?: string;
+  volume?: number;
+  emojiId?: Snowflake | null;
+  emojiName?: string | null;
+}
+
 export interface GuildStickerCreateOptions {
   description?: string | null;
   reason?: string;
@@ -7679,6 +8183,8 @@ export type ProxyAgentOptions =
 export interface HTTPOptions {
   agent?: ProxyAgentOptions;
   tlsFingerprint?: boolean;
+  rateLimitStore?: RateLimitStore;
+  cassette?: HTTPCassetteOptions;
   fetch?: (url: string | URL | Request, init?: RequestInit) => Promise<Response>;
   api?: string;
   version?: number;
@@ -7722,6 +8228,12 @@ export interface InteractionReplyOptions extends Omit<WebhookMessageOptions, 'us
   flags?: BitFieldResolvable<'SUPPRESS_EMBEDS' | 'EPHEMERAL', number>;
 }
 
+export interface InteractionResponse {
+  id: Snowflake;
+  nonce: string | null;
+  reasonCode: number | null;
+}
+
 export type InteractionResponseType = keyof typeof InteractionResponseTypes;
 
 export type InteractionType = keyof typeof InteractionTypes;
@@ -8336,6 +8848,22 @@ export interface RateLimitData {
   global: boolean;
 }
 
+export interface RateLimitBucketState {
+  limit: number;
+  remaining: number;
+  reset: number;
+}
+
+export interface RateLimitGlobalState {
+  reset: number;
+}
+
+export interface SQLiteRateLimitStoreOptions {
+  path?: string;
+  namespace?: string;
+  busyTimeout?: number;
+}
+
 export interface InvalidRequestWarningData {
   count: number;
   remainingTime: number;
@@ -8461,6 +8989,8 @@ export type VoiceStatus = number;
 
 export type StickerFormatType = keyof typeof StickerFormatTypes;
 
+export type SoundboardSoundResolvable = SoundboardSound | Snowflake;
+
 export type StickerResolvable = Sticker | Snowflake;
 
 export type StickerType = keyof typeof StickerTypes;
@@ -8710,6 +9240,74 @@ export interface WebSocketOptions {
   compress?: boolean;
   properties?: WebSocketProperties;
   useQosHeartbeat?: boolean;
+  sessionStore?: GatewaySessionStore;
+  transportCompression?: GatewayTransportCompression | null;
+  guildSubscriptions?: GuildSubscriptionOptions | ((guild: Guild) => GuildSubscriptionOptions | null | false);
+  worker?: boolean;
+  health?: ShardHealthPolicy;
+}
+
+export interface ShardHealthPolicy {
+  historySize?: number;
+  maxMissedAcks?: number;
+  maxLatency?: number | null;
+}
+
+export type ShardHealthReason = 'MISSED_ACKS' | 'HIGH_LATENCY';
+
+export interface ShardHealthStats {
+  shardId: number;
+  status: Status;
+  ping: number;
+  latencies: number[];
+  averageLatency: number;
+  jitter: number;
+  missedAcks: number;
+  reconnects: number;
+  resumes: number;
+  invalidSessions: number;
+  closeCodes: Record<number, number>;
+  sendQueue: number;
+}
+
+export interface WebSocketManagerStats {
+  status: Status;
+  ping: number;
+  packetQueue: number;
+  shards: Collection<number, ShardHealthStats>;
+}
+
+export interface GuildSubscriptionOptions {
+  typing?: boolean;
+  threads?: boolean;
+  activities?: boolean;
+  memberUpdates?: boolean;
+  members?: Snowflake[];
+  threadMemberLists?: Snowflake[];
+}
+
+export type GatewayTransportCompression = 'zlib-stream' | 'zstd-stream';
+
+export interface GatewaySessionState {
+  sessionId: string;
+  sequence: number;
+  resumeURL: string | null;
+}
+
+export abstract class GatewaySessionStore {
+  public get(shardId: number): Awaitable<GatewaySessionState | null>;
+  public set(shardId: number, state: GatewaySessionState): Awaitable<void>;
+  public delete(shardId: number): Awaitable<void>;
+}
+
+export class FileGatewaySessionStore extends GatewaySessionStore {
+  public constructor(path?: string);
+  private sessions: Record<number, GatewaySessionState>;
+  public path: string;
+  public get(shardId: number): GatewaySessionState | null;
+  public set(shardId: number, state: GatewaySessionState): void;
+  public delete(shardId: number): void;
+  public save(): void;
 }
 
 export interface WebSocketProperties {
@@ -8748,6 +9346,7 @@ export interface WelcomeScreenEditData {
 
 export type WSEventType =
   | 'READY'
+  | 'READY_SUPPLEMENTAL'
   | 'RESUMED'
   | 'APPLICATION_COMMAND_CREATE'
   | 'APPLICATION_COMMAND_DELETE'
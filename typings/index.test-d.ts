@@ -0,0 +1,41 @@
+import { expectType } from 'tsd';
+import {
+  Client,
+  Collection,
+  MixedAudioStream,
+  OggOpusMuxer,
+  ShardHealthStats,
+  Snowflake,
+  SpeakingSegment,
+  SpeakingTimeline,
+  VoiceReceiver,
+  WebSocketManagerStats,
+  WebSocketShard,
+} from '.';
+
+declare const client: Client;
+declare const receiver: VoiceReceiver;
+
+expectType<WebSocketManagerStats>(client.ws.stats());
+expectType<Collection<number, ShardHealthStats>>(client.ws.stats().shards);
+
+const unregister = client.ws.registerHandler('MESSAGE_CREATE', (handlerClient, packet, shard, next) => {
+  expectType<Client>(handlerClient);
+  expectType<{ t: string; d: any }>(packet);
+  expectType<WebSocketShard>(shard);
+  expectType<() => void>(next);
+  next();
+});
+expectType<() => void>(unregister);
+
+expectType<OggOpusMuxer>(receiver.record('123456789012345678'));
+expectType<OggOpusMuxer>(receiver.record('123456789012345678', { format: 'ogg', output: './recording.ogg' }));
+
+expectType<MixedAudioStream>(receiver.createMixedStream());
+expectType<MixedAudioStream>(receiver.createMixedStream({ users: ['123456789012345678'], format: 'wav' }));
+
+const timeline = receiver.createSpeakingTimeline();
+expectType<SpeakingTimeline>(timeline);
+expectType<SpeakingSegment[]>(timeline.segments);
+expectType<Collection<Snowflake, number>>(timeline.talkTime);
+expectType<string>(timeline.toRTTM('meeting'));
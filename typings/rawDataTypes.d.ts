@@ -34,6 +34,7 @@ import {
   APIPartialGuild,
   APIReaction,
   APIRole,
+  APISoundboardSound,
   APIStageInstance,
   APISticker,
   APIStickerItem,
@@ -212,6 +213,8 @@ export type RawRoleData = APIRole;
 
 export type RawRichPresenceAssets = GatewayActivityAssets;
 
+export type RawSoundboardSoundData = APISoundboardSound;
+
 export type RawStageInstanceData =
   | APIStageInstance
   | (Partial<APIStageInstance> & Pick<APIStageInstance, 'id' | 'channel_id' | 'guild_id'>);
@@ -0,0 +1,94 @@
+import { EventEmitter } from 'node:events';
+import { Awaitable, ClientOptions } from '.';
+
+export interface MockDiscordServerOptions {
+  port?: number;
+  hostname?: string;
+  heartbeatInterval?: number;
+  token?: string | null;
+  user?: Record<string, unknown>;
+  guilds?: Record<string, unknown>[];
+  ready?: Record<string, unknown> | ((identify: unknown, session: MockGatewaySession) => Record<string, unknown>);
+  supplemental?:
+    | Record<string, unknown>
+    | ((identify: unknown, session: MockGatewaySession) => Record<string, unknown>);
+}
+
+export interface MockRESTRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  params: Record<string, string>;
+  headers: Record<string, string>;
+  body: unknown;
+}
+
+export type MockRESTHandler = (request: MockRESTRequest) => Awaitable<unknown>;
+
+export interface MockGatewayPacket {
+  op: number;
+  d?: unknown;
+  s?: number | null;
+  t?: string | null;
+}
+
+export interface MockGatewaySession {
+  id: string;
+  sequence: number;
+  history: MockGatewayPacket[];
+  socket: unknown | null;
+}
+
+export interface MockRateLimitOptions {
+  retryAfter?: number;
+  global?: boolean;
+  count?: number;
+}
+
+export interface MockDiscordServerEvents {
+  connection: [ws: unknown];
+  packet: [packet: MockGatewayPacket, ws: unknown];
+  request: [request: MockRESTRequest];
+}
+
+export class MockDiscordServer extends EventEmitter {
+  public constructor(options?: MockDiscordServerOptions);
+  private server: unknown | null;
+  private routes: unknown[];
+  private rateLimits: unknown[];
+  public options: MockDiscordServerOptions;
+  public user: Record<string, unknown>;
+  public guilds: Record<string, unknown>[];
+  public ackHeartbeats: boolean;
+  public connections: Set<unknown>;
+  public sessions: Map<string, MockGatewaySession>;
+  public received: MockGatewayPacket[];
+  public requests: MockRESTRequest[];
+  public readonly port: number | null;
+  public readonly api: string;
+  public readonly gatewayURL: string;
+  public readonly clientOptions: ClientOptions;
+  public start(): Promise<this>;
+  public stop(): Promise<void>;
+  public route(method: string, path: string | RegExp, handler: MockRESTHandler | unknown): this;
+  public rateLimit(method: string, path: string | RegExp, options?: MockRateLimitOptions): this;
+  public dispatch(event: string, data: unknown): void;
+  public broadcast(packet: MockGatewayPacket): void;
+  public close(code?: number, reason?: string): void;
+  public invalidateSession(resumable?: boolean): void;
+  public requestReconnect(): void;
+  public waitForPacket(
+    filter: number | ((packet: MockGatewayPacket) => boolean),
+    timeout?: number
+  ): Promise<MockGatewayPacket>;
+  public waitForRequest(method: string, path: string | RegExp, timeout?: number): Promise<MockRESTRequest>;
+
+  public on<K extends keyof MockDiscordServerEvents>(
+    event: K,
+    listener: (...args: MockDiscordServerEvents[K]) => Awaitable<void>
+  ): this;
+  public once<K extends keyof MockDiscordServerEvents>(
+    event: K,
+    listener: (...args: MockDiscordServerEvents[K]) => Awaitable<void>
+  ): this;
+}